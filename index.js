@@ -3,20 +3,43 @@
 import { program } from 'commander';
 import chalk from 'chalk';
 import ora from 'ora';
-import { isDockerRunning } from './src/docker.js';
+import { isDockerRunning, useDockerHost, getActiveHost, getHostError } from './src/docker.js';
 import { mainMenu } from './src/ui/menu.js';
 import { showBanner, showStatus } from './src/ui/banner.js';
-import { streamLogs } from './src/logs.js';
+import {
+  streamLogs,
+  streamMergedLogs,
+  resolveLogTargets,
+  exportLogs,
+  parseTimeBound,
+  EXPORT_FORMATS,
+} from './src/logs.js';
 import { showContainerStats } from './src/stats.js';
 import { showDashboard } from './src/dashboard.js';
+import { startSampler, sampleOnce, pruneHistory } from './src/history.js';
+import { streamEvents, EVENT_TYPES } from './src/events.js';
+import { loadConfig } from './src/utils/config.js';
 import {
   getContainers,
-  startContainer,
-  stopContainer,
-  restartContainer,
+  pauseContainer,
+  unpauseContainer,
+  killContainer,
+  renameContainer,
+  isValidContainerName,
+  detectShell,
+  openInteractiveShell,
+  attachContainer,
 } from './src/containers.js';
-import { renderContainersTable } from './src/ui/table.js';
+import { renderContainersTable, renderBulkResults } from './src/ui/table.js';
+import { BULK_ACTIONS, resolveContainers, runBulkAction } from './src/bulk.js';
 import { quickRebuild } from './src/images.js';
+import { renderBuildResult } from './src/ui/build-progress.js';
+import { formatConfigDiff, formatReplaceSteps } from './src/recreate.js';
+import { runCommand, formatCommandResult } from './src/exec.js';
+import { copyFromContainer, copyToContainer } from './src/files.js';
+import { RESOURCE_FIELDS, formatResource, parseResourceValue, updateResources } from './src/resources.js';
+import { showFileBrowser } from './src/ui/file-browser.js';
+import { buildCreateOptions, runContainer, attachOutput, loadTemplates, saveTemplate } from './src/run.js';
 
 const VERSION = '1.0.0';
 
@@ -39,13 +62,30 @@ process.on('uncaughtException', (error) => {
 program
   .name('dockerdash')
   .description('A terminal UI for managing Docker containers with real-time monitoring')
-  .version(VERSION, '-v, --version', 'Show version');
+  .version(VERSION, '-v, --version', 'Show version')
+  .option('--context <name>', 'Docker context to use (overrides DOCKER_CONTEXT)')
+  .option('-H, --host <url>', 'Docker daemon to connect to (unix://, tcp://, ssh://)');
+
+// Point the shared Docker client at --context / --host before any command runs
+program.hook('preAction', () => {
+  const { context, host } = program.opts();
+  if (!context && !host) return;
+
+  try {
+    useDockerHost({ context, host });
+  } catch (error) {
+    console.error(chalk.red(error.message));
+    process.exit(1);
+  }
+});
 
 program
   .option('-a, --all', 'Show all containers (including stopped)', true)
-  .option('-f, --filter <name>', 'Filter containers by name')
   .action(async (options) => {
     await checkDocker();
+    if (loadConfig().historyEnabled) {
+      startSampler();
+    }
     await mainMenu();
   });
 
@@ -54,12 +94,21 @@ program
   .alias('ls')
   .description('List all containers')
   .option('-a, --all', 'Show all containers', true)
+  .option('-u, --unhealthy', 'Only show containers failing their healthcheck')
   .action(async (options) => {
     await checkDocker();
     const spinner = ora('Loading containers...').start();
-    const containers = await getContainers(options.all);
+    let containers = await getContainers(options.all);
     spinner.stop();
 
+    if (options.unhealthy) {
+      containers = containers.filter((c) => c.health === 'unhealthy');
+      if (containers.length === 0) {
+        showStatus('No unhealthy containers', 'success');
+        return;
+      }
+    }
+
     if (containers.length === 0) {
       showStatus('No containers found', 'warning');
       return;
@@ -69,16 +118,49 @@ program
   });
 
 program
-  .command('logs <container>')
-  .description('View container logs')
+  .command('logs [containers...]')
+  .description('View container logs (several containers are merged by timestamp)')
   .option('-f, --follow', 'Follow log output', true)
-  .option('-t, --tail <lines>', 'Number of lines to show', '100')
-  .action(async (container, options) => {
+  .option('-t, --tail <lines>', 'Number of lines to show (default: logTail setting, all when exporting)')
+  .option('-l, --label <selector>', 'Include containers matching a label (key or key=value)')
+  .option('-p, --project <name>', 'Include all containers of a Compose project')
+  .option('-o, --output <file>', 'Export logs to a file instead of viewing them')
+  .option('--format <format>', `Export format (${EXPORT_FORMATS.join('|')})`, 'text')
+  .option('--since <time>', 'Export lines since time (ISO date, Unix seconds, or 10m/2h ago)')
+  .option('--until <time>', 'Export lines before time (ISO date, Unix seconds, or 10m/2h ago)')
+  .option('--stream <name>', 'Export only stdout or stderr')
+  .action(async (containers, options) => {
     await checkDocker();
-    await streamLogs(container, {
-      follow: options.follow,
-      tail: parseInt(options.tail, 10),
+
+    const targets = await resolveLogTargets({
+      names: containers,
+      label: options.label,
+      project: options.project,
     });
+
+    if (targets.length === 0) {
+      showStatus('No matching containers found', 'warning');
+      process.exit(1);
+    }
+
+    if (options.output) {
+      await exportLogsCommand(targets, options);
+      return;
+    }
+
+    const logOptions = { follow: options.follow };
+    if (options.tail) {
+      logOptions.tail = parseInt(options.tail, 10);
+    }
+
+    if (targets.length === 1 && !options.label && !options.project) {
+      await streamLogs(targets[0], logOptions);
+    } else {
+      await streamMergedLogs(targets, {
+        ...logOptions,
+        title: options.project ? `Logs: ${options.project}` : null,
+      });
+    }
   });
 
 program
@@ -103,73 +185,442 @@ program
   });
 
 program
-  .command('start <container>')
-  .description('Start a container')
-  .action(async (container) => {
+  .command('record')
+  .description('Record stats of running containers into the local history store')
+  .option('-i, --interval <seconds>', 'Sampling interval in seconds')
+  .action(async (options) => {
     await checkDocker();
-    const spinner = ora(`Starting ${container}...`).start();
+    const config = loadConfig();
+    const interval = options.interval ? parseFloat(options.interval) * 1000 : config.historyInterval;
+
+    if (isNaN(interval) || interval < 1000) {
+      console.error(chalk.red('Interval must be at least 1 second'));
+      process.exit(1);
+    }
+
+    pruneHistory(config.historyRetention);
+    console.log(chalk.gray(`Sampling every ${interval / 1000}s. Press Ctrl+C to stop.`));
+
+    const record = async () => {
+      try {
+        const count = await sampleOnce();
+        console.log(chalk.gray(`${new Date().toLocaleTimeString()} sampled ${count} container(s)`));
+      } catch (error) {
+        console.error(chalk.red(`${new Date().toLocaleTimeString()} ${error.message}`));
+      }
+    };
+
+    await record();
+    startSampler({
+      interval,
+      background: false,
+      onError: (error) => console.error(chalk.red(error.message)),
+    });
+  });
+
+program
+  .command('events')
+  .description('Stream Docker events (crash loops and OOM kills are highlighted)')
+  .option('-t, --type <types>', `Comma-separated object types (${EVENT_TYPES.join('|')})`)
+  .option('-a, --action <actions>', 'Comma-separated actions (e.g. start,die,oom)')
+  .option('-n, --name <text>', 'Only show objects whose name contains text')
+  .option('-l, --label <selector>', 'Only show objects matching a label (key or key=value)')
+  .option('--since <time>', 'Replay events since time (ISO date, Unix seconds, or 10m/2h ago)')
+  .option('--until <time>', 'Stop at time (ISO date, Unix seconds, or 10m/2h ago)')
+  .action(async (options) => {
+    const splitList = (value) => (value ? value.split(',').map((item) => item.trim()).filter(Boolean) : []);
+    const types = splitList(options.type);
+
+    const unknown = types.filter((type) => !EVENT_TYPES.includes(type));
+    if (unknown.length > 0) {
+      showStatus(`Unknown event type: ${unknown.join(', ')}`, 'error');
+      process.exit(1);
+    }
+
+    const bounds = {};
+    for (const key of ['since', 'until']) {
+      if (!options[key]) continue;
+      const date = parseTimeBound(options[key]);
+      if (!date) {
+        showStatus(`Invalid --${key} value: ${options[key]}`, 'error');
+        process.exit(1);
+      }
+      bounds[key] = Math.floor(date.getTime() / 1000);
+    }
+
+    await checkDocker();
+    await streamEvents({
+      types,
+      actions: splitList(options.action),
+      labels: options.label ? [options.label] : [],
+      name: options.name || null,
+      ...bounds,
+    });
+  });
+
+program
+  .command('start [containers...]')
+  .description('Start one or more containers')
+  .option('--filter <key=value>', 'Select containers like docker ps (label=app=api, name=test-, status=exited)', collect, [])
+  .option('-p, --parallel <n>', 'Containers handled at once (default: bulkConcurrency setting)')
+  .action(async (containers, options) => {
+    await runContainerCommand('start', containers, options);
+  });
+
+program
+  .command('stop [containers...]')
+  .description('Stop one or more containers')
+  .option('-t, --time <seconds>', 'Seconds to wait before killing (default: stopTimeout setting)')
+  .option('--filter <key=value>', 'Select containers like docker ps (label=app=api, name=test-, status=exited)', collect, [])
+  .option('-p, --parallel <n>', 'Containers handled at once (default: bulkConcurrency setting)')
+  .action(async (containers, options) => {
+    await runContainerCommand('stop', containers, options, { timeout: parseStopTimeout(options.time) });
+  });
+
+program
+  .command('restart [containers...]')
+  .description('Restart one or more containers')
+  .option('-t, --time <seconds>', 'Seconds to wait before killing (default: stopTimeout setting)')
+  .option('--filter <key=value>', 'Select containers like docker ps (label=app=api, name=test-, status=exited)', collect, [])
+  .option('-p, --parallel <n>', 'Containers handled at once (default: bulkConcurrency setting)')
+  .action(async (containers, options) => {
+    await runContainerCommand('restart', containers, options, { timeout: parseStopTimeout(options.time) });
+  });
+
+program
+  .command('rm [containers...]')
+  .alias('remove')
+  .description('Remove one or more containers')
+  .option('-f, --force', 'Remove running containers too')
+  .option('--filter <key=value>', 'Select containers like docker ps (label=app=api, name=test-, status=exited)', collect, [])
+  .option('-p, --parallel <n>', 'Containers handled at once (default: bulkConcurrency setting)')
+  .action(async (containers, options) => {
+    await runContainerCommand('remove', containers, options, { force: Boolean(options.force) });
+  });
+
+program
+  .command('pause <container>')
+  .description('Pause all processes in a container')
+  .action(async (container) => {
+    await checkDocker({ modifies: true });
+    const spinner = ora(`Pausing ${container}...`).start();
     try {
-      await startContainer(container);
-      spinner.succeed(`Container ${container} started`);
+      await pauseContainer(container);
+      spinner.succeed(`Container ${container} paused`);
     } catch (error) {
-      spinner.fail(`Failed to start: ${error.message}`);
+      spinner.fail(`Failed to pause: ${error.message}`);
       process.exit(1);
     }
   });
 
 program
-  .command('stop <container>')
-  .description('Stop a container')
+  .command('unpause <container>')
+  .description('Resume a paused container')
   .action(async (container) => {
+    await checkDocker({ modifies: true });
+    const spinner = ora(`Unpausing ${container}...`).start();
+    try {
+      await unpauseContainer(container);
+      spinner.succeed(`Container ${container} unpaused`);
+    } catch (error) {
+      spinner.fail(`Failed to unpause: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('kill <container>')
+  .description('Send a signal to a container (e.g. SIGHUP to reload config)')
+  .option('-s, --signal <signal>', 'Signal to send', 'SIGKILL')
+  .action(async (container, options) => {
+    const signal = /^\d+$/.test(options.signal) ? options.signal : options.signal.toUpperCase().replace(/^(?!SIG)/, 'SIG');
+    await checkDocker({ modifies: true });
+    const spinner = ora(`Sending ${signal} to ${container}...`).start();
+    try {
+      await killContainer(container, signal);
+      spinner.succeed(`Sent ${signal} to ${container}`);
+    } catch (error) {
+      spinner.fail(`Failed to send ${signal}: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('rename <container> <name>')
+  .description('Rename a container')
+  .action(async (container, name) => {
+    if (!isValidContainerName(name)) {
+      showStatus(`Invalid container name: ${name}`, 'error');
+      process.exit(1);
+    }
+    await checkDocker({ modifies: true });
+    const spinner = ora(`Renaming ${container} to ${name}...`).start();
+    try {
+      await renameContainer(container, name);
+      spinner.succeed(`Container ${container} renamed to ${name}`);
+    } catch (error) {
+      spinner.fail(`Failed to rename: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('update <container>')
+  .description('Change resource limits and restart policy of a container without recreating it')
+  .option('--cpus <n>', 'CPU limit (e.g. 1.5; 0 removes a quota limit)')
+  .option('--cpu-shares <n>', 'Relative CPU weight (1024 = default)')
+  .option('--cpuset-cpus <list>', 'CPUs the container may use (e.g. 0-3 or 0,2)')
+  .option('-m, --memory <size>', 'Memory limit (e.g. 512m, 2g)')
+  .option('--memory-swap <size>', 'Memory + swap limit (-1 = unlimited swap)')
+  .option('--pids-limit <n>', 'Maximum number of processes (-1 = unlimited)')
+  .option('--restart <policy>', 'Restart policy (no, always, unless-stopped, on-failure[:retries])')
+  .action(async (container, options) => {
+    const changes = {};
+    try {
+      for (const { key } of RESOURCE_FIELDS) {
+        if (options[key] !== undefined) {
+          changes[key] = parseResourceValue(key, options[key]);
+        }
+      }
+    } catch (error) {
+      showStatus(error.message, 'error');
+      process.exit(1);
+    }
+
+    if (Object.keys(changes).length === 0) {
+      showStatus('Nothing to change (see dd update --help)', 'error');
+      process.exit(1);
+    }
+
+    await checkDocker({ modifies: true });
+    const spinner = ora(`Updating ${container}...`).start();
+    try {
+      const { warnings } = await updateResources(container, changes);
+      spinner.succeed(`Container ${container} updated`);
+      for (const field of RESOURCE_FIELDS.filter(({ key }) => key in changes)) {
+        console.log(`  ${chalk.gray(field.label.padEnd(15))} ${formatResource(field.key, changes[field.key])}`);
+      }
+      for (const warning of warnings) {
+        console.log(chalk.yellow(`  ⚠ ${warning}`));
+      }
+    } catch (error) {
+      spinner.fail(`Failed to update: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('shell <container> [command...]')
+  .description('Open an interactive shell in a container (no docker CLI needed)')
+  .option('-u, --user <user>', 'Run as user (name, uid or uid:gid)')
+  .option('-w, --workdir <dir>', 'Working directory')
+  .option('-e, --env <var>', 'Set an environment variable KEY=VALUE (repeatable)', collect, [])
+  .action(async (container, command, options) => {
+    await checkDocker({ modifies: true });
+    try {
+      const exitCode = await openInteractiveShell(container, {
+        shell: command.length > 0 ? command : await detectShell(container),
+        user: options.user,
+        workdir: options.workdir,
+        env: options.env,
+      });
+      process.exit(exitCode);
+    } catch (error) {
+      showStatus(`Shell error: ${error.message}`, 'error');
+      process.exit(1);
+    }
+  });
+
+program
+  .command('exec [containers] [command...]')
+  .description('Run a command in one or more containers (comma-separated, or --filter) and show its output')
+  .option('--filter <key=value>', 'Select containers like docker ps (label=app=api, name=test-, status=running)', collect, [])
+  .option('-u, --user <user>', 'Run as user (name, uid or uid:gid)')
+  .option('-w, --workdir <dir>', 'Working directory')
+  .option('-e, --env <var>', 'Set an environment variable KEY=VALUE (repeatable)', collect, [])
+  .option('-p, --parallel <n>', 'Containers handled at once (default: bulkConcurrency setting)')
+  .action(async (containers, command, options) => {
+    // With --filter every positional argument belongs to the command
+    const names = options.filter.length > 0 ? [] : (containers || '').split(',').filter(Boolean);
+    const args = options.filter.length > 0 && containers ? [containers, ...command] : command;
+
+    if (args.length === 0 || (names.length === 0 && options.filter.length === 0)) {
+      showStatus('Usage: dd exec <container[,container...]> -- <command>', 'error');
+      process.exit(1);
+    }
+
+    // A single argument is a shell command line (pipes, globs); several are quoted like argv
+    const line = args.length === 1 ? args[0] : args.map(quoteArg).join(' ');
+
+    const concurrency = parseParallel(options.parallel);
+
+    await checkDocker({ modifies: true });
+
+    let targets;
+    try {
+      targets = await resolveContainers({ names, filters: options.filter });
+    } catch (error) {
+      showStatus(error.message, 'error');
+      process.exit(1);
+    }
+
+    if (targets.length === 0) {
+      showStatus('No matching containers found', 'warning');
+      process.exit(1);
+    }
+
+    const results = await runCommand(targets, line, {
+      concurrency,
+      user: options.user,
+      workdir: options.workdir,
+      env: options.env,
+    });
+
+    // A single container behaves like docker exec: raw streams and its exit code
+    if (results.length === 1 && !results[0].error) {
+      const [result] = results;
+      process.stdout.write(result.stdout);
+      process.stderr.write(result.stderr);
+      // No exit code means the daemon never saw the command finish
+      process.exit(result.exitCode ?? 1);
+    }
+
+    for (const result of results) {
+      console.log(formatCommandResult(result));
+      console.log('');
+    }
+
+    const failed = results.filter((result) => !result.ok).length;
+    if (results.length > 1) {
+      showStatus(`${results.length - failed} succeeded, ${failed} failed`, failed > 0 ? 'warning' : 'success');
+    }
+    process.exit(failed > 0 ? 1 : 0);
+  });
+
+program
+  .command('files <container> [path]')
+  .description('Browse files in a container (works without a shell in the container)')
+  .action(async (container, path = '/') => {
+    // Browsing only reads; copying in goes through dd cp
     await checkDocker();
-    const spinner = ora(`Stopping ${container}...`).start();
+    const result = await showFileBrowser(container, { path });
+    if (result) {
+      console.log(chalk.gray(`Use dd cp ${container}:${result.path} <dest> to copy files out`));
+    }
+  });
+
+program
+  .command('cp <source> <destination>')
+  .description('Copy files between a container and the host (container:path on one side)')
+  .action(async (source, destination) => {
+    // Same syntax as docker cp; a single-letter prefix is a Windows drive, not a container
+    const parse = (value) => {
+      const match = /^([^:/\\]{2,}):(.*)$/.exec(value);
+      return match ? { container: match[1], path: match[2] || '/' } : null;
+    };
+    const from = parse(source);
+    const to = parse(destination);
+
+    if (Boolean(from) === Boolean(to)) {
+      showStatus('Exactly one side must be container:path, e.g. dd cp api:/app/config.yml .', 'error');
+      process.exit(1);
+    }
+
+    // Copying out only reads the container
+    await checkDocker({ modifies: Boolean(to) });
+    const spinner = ora(`Copying ${source} to ${destination}...`).start();
     try {
-      await stopContainer(container);
-      spinner.succeed(`Container ${container} stopped`);
+      if (from) {
+        const copied = await copyFromContainer(from.container, from.path, destination);
+        spinner.succeed(`Copied to ${copied.path}`);
+        for (const link of copied.skippedLinks) {
+          console.log(chalk.yellow(`  Skipped link pointing outside the destination: ${link}`));
+        }
+      } else {
+        const written = await copyToContainer(to.container, source, to.path);
+        spinner.succeed(`Copied to ${to.container}:${written}`);
+      }
     } catch (error) {
-      spinner.fail(`Failed to stop: ${error.message}`);
+      spinner.fail(`Copy failed: ${error.message}`);
       process.exit(1);
     }
   });
 
 program
-  .command('restart <container>')
-  .description('Restart a container')
+  .command('attach <container>')
+  .description("Attach to a container's main process (Ctrl+P Ctrl+Q to detach)")
   .action(async (container) => {
-    await checkDocker();
-    const spinner = ora(`Restarting ${container}...`).start();
+    await checkDocker({ modifies: true });
     try {
-      await restartContainer(container);
-      spinner.succeed(`Container ${container} restarted`);
+      const result = await attachContainer(container);
+      process.exit(result.running ? 0 : result.exitCode);
     } catch (error) {
-      spinner.fail(`Failed to restart: ${error.message}`);
+      showStatus(`Attach error: ${error.message}`, 'error');
       process.exit(1);
     }
   });
 
 program
-  .command('rebuild <container>')
-  .description('Rebuild container (stop, rebuild image, recreate)')
+  .command('rebuild [containers...]')
+  .description('Rebuild containers (rebuild or pull the image, recreate)')
   .option('--no-cache', 'Build without cache')
-  .action(async (container, options) => {
-    await checkDocker();
+  .option('--no-safe', 'Remove the old container before creating the new one instead of keeping it until the new one is up')
+  .option('--build-dir <dir>', 'Build context to use instead of the one recorded for the image (one container)')
+  .option('-f, --file <dockerfile>', 'Dockerfile for --build-dir (default: Dockerfile in it)')
+  .option('--filter <key=value>', 'Select containers like docker ps (label=app=api, name=test-, status=exited)', collect, [])
+  .option('-p, --parallel <n>', 'Containers handled at once (default: bulkConcurrency setting)')
+  .action(async (containers, options) => {
+    if (containers.length !== 1 || options.filter.length > 0) {
+      // One build context can't be right for several containers
+      if (options.buildDir || options.file) {
+        showStatus('--build-dir and -f work with a single container only (no --filter)', 'error');
+        process.exit(1);
+      }
+      await runContainerCommand('rebuild', containers, options, { noCache: options.cache === false, safe: options.safe });
+      return;
+    }
+
+    const [container] = containers;
+    await checkDocker({ modifies: true });
     const spinner = ora(`Rebuilding ${container}...`).start();
 
     try {
       const result = await quickRebuild(container, {
         noCache: options.cache === false,
+        safe: options.safe,
+        buildContext: options.buildDir ? { context: options.buildDir, dockerfile: options.file || 'Dockerfile' } : null,
         onOutput: (msg) => {
           spinner.text = msg.trim().substring(0, 60);
         },
+        onBuildProgress: (tracker) => {
+          const step = tracker.totalSteps > 0 ? `Step ${tracker.currentStep}/${tracker.totalSteps}` : 'Building';
+          spinner.text = `${step} ${tracker.currentInstruction}`.substring(0, 60);
+        },
       });
 
       if (result.success) {
         spinner.succeed(`Container ${container} rebuilt successfully`);
         if (result.method === 'compose') {
           console.log(chalk.gray(`  Used Docker Compose (${result.project}/${result.service})`));
+        } else if (result.method === 'build') {
+          console.log(chalk.gray(`  Built ${result.imageName} from ${result.buildContext}`));
+        }
+        if (result.steps) {
+          console.log(formatReplaceSteps(result.steps));
+        }
+        if (result.diff) {
+          console.log(chalk.bold('\n  Old → new container config:'));
+          console.log(formatConfigDiff(result.diff));
         }
       } else {
         spinner.fail(`Rebuild failed: ${result.error}`);
+        if (result.steps) {
+          console.log(formatReplaceSteps(result.steps));
+        } else if (result.tracker) {
+          console.log(renderBuildResult(result.tracker, false));
+        } else if (result.needsContext) {
+          console.log(chalk.gray('  Pass --build-dir <dir> (and -f <dockerfile>) to build it'));
+        }
         process.exit(1);
       }
     } catch (error) {
@@ -178,22 +629,297 @@ program
     }
   });
 
+program
+  .command('run [image] [command...]')
+  .description('Create and start a container from an image')
+  .option('-n, --name <name>', 'Container name')
+  .option('-p, --publish <port>', 'Publish a port, e.g. 8080:80 (repeatable)', collect, [])
+  .option('-e, --env <var>', 'Set an environment variable KEY=VALUE (repeatable)', collect, [])
+  .option('--env-file <path>', 'Read environment variables from a file (repeatable)', collect, [])
+  .option('--volume <mount>', 'Mount a volume or bind mount, e.g. data:/data or ./src:/app:ro (repeatable)', collect, [])
+  .option('--network <name>', 'Network to connect to')
+  .option('--restart <policy>', 'Restart policy (no, always, unless-stopped, on-failure[:retries])')
+  .option('-m, --memory <size>', 'Memory limit, e.g. 512m')
+  .option('--cpus <n>', 'CPU limit, e.g. 1.5')
+  .option('-d, --detach', 'Run in the background instead of following output')
+  .option('--template <name>', 'Start from a saved run template')
+  .option('--save-template <name>', 'Save the resulting settings as a template')
+  .action(async (image, command, options) => {
+    let base = {};
+    if (options.template) {
+      base = loadTemplates()[options.template];
+      if (!base) {
+        showStatus(`Template not found: ${options.template}`, 'error');
+        process.exit(1);
+      }
+    }
+
+    // Command-line values override the template; repeatable options replace rather than append
+    const pick = (values, fallback) => (values.length > 0 ? values : fallback || []);
+    const spec = {
+      image: image || base.image,
+      name: options.name ?? base.name,
+      ports: pick(options.publish, base.ports),
+      env: pick(options.env, base.env),
+      envFiles: pick(options.envFile, base.envFiles),
+      mounts: pick(options.volume, base.mounts),
+      network: options.network ?? base.network,
+      restart: options.restart ?? base.restart,
+      memory: options.memory ?? base.memory,
+      cpus: options.cpus ?? base.cpus,
+      command: command.length > 0 ? command.map(quoteArg).join(' ') : base.command,
+      detach: options.detach ?? base.detach ?? false,
+    };
+
+    if (spec.name && !isValidContainerName(spec.name)) {
+      showStatus(`Invalid container name: ${spec.name}`, 'error');
+      process.exit(1);
+    }
+
+    try {
+      buildCreateOptions(spec);
+    } catch (error) {
+      showStatus(error.message, 'error');
+      process.exit(1);
+    }
+
+    if (options.saveTemplate) {
+      saveTemplate(options.saveTemplate, spec);
+      showStatus(`Template "${options.saveTemplate}" saved`, 'success');
+    }
+
+    await checkDocker({ modifies: true });
+    const spinner = ora(`Preparing ${spec.image}...`).start();
+    let waitForExit = null;
+
+    try {
+      const result = await runContainer(spec, {
+        onStatus: (message) => {
+          spinner.text = message;
+        },
+        onPullProgress: (event) => {
+          spinner.text = `${event.status}${event.progress ? ` ${event.progress}` : ''}`.substring(0, 70);
+        },
+        beforeStart: spec.detach
+          ? null
+          : async (container) => {
+              spinner.succeed(`Container created ${chalk.gray(`(${container.id.substring(0, 12)})`)}`);
+              waitForExit = await attachOutput(container.id);
+            },
+      });
+
+      if (spec.detach) {
+        spinner.succeed(`Container ${result.name} started ${chalk.gray(`(${result.id})`)}`);
+        return;
+      }
+    } catch (error) {
+      spinner.fail(`Failed to run container: ${error.message}`);
+      process.exit(1);
+    }
+
+    const exitCode = await waitForExit();
+    process.exit(exitCode);
+  });
+
+/**
+ * Quote a command-line argument so sh and splitCommand() read it back unchanged
+ * @param {string} arg - Argument
+ * @returns {string}
+ */
+function quoteArg(arg) {
+  return /^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Handle `logs --output`
+ * @param {string[]} targets - Resolved container names
+ * @param {Object} options - Command options
+ */
+async function exportLogsCommand(targets, options) {
+  if (targets.length > 1) {
+    showStatus('--output exports a single container; pass exactly one', 'error');
+    process.exit(1);
+  }
+
+  if (options.stream && !['stdout', 'stderr'].includes(options.stream)) {
+    showStatus('--stream must be stdout or stderr', 'error');
+    process.exit(1);
+  }
+
+  const bounds = {};
+  for (const key of ['since', 'until']) {
+    if (!options[key]) continue;
+    bounds[key] = parseTimeBound(options[key]);
+    if (!bounds[key]) {
+      showStatus(`Invalid --${key} value: ${options[key]}`, 'error');
+      process.exit(1);
+    }
+  }
+
+  const [container] = targets;
+  const spinner = ora(`Exporting logs of ${container}...`).start();
+
+  try {
+    const result = await exportLogs(container, options.output, {
+      format: options.format,
+      ...bounds,
+      stdout: options.stream !== 'stderr',
+      stderr: options.stream !== 'stdout',
+      tail: options.tail ? parseInt(options.tail, 10) : 'all',
+    });
+    spinner.succeed(`Exported ${result.lines} lines to ${result.path}`);
+  } catch (error) {
+    spinner.fail(`Export failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Collect a repeatable option into an array
+ * @param {string} value - Option value
+ * @param {string[]} previous - Values so far
+ * @returns {string[]}
+ */
+function collect(value, previous) {
+  return [...previous, value];
+}
+
+/**
+ * Run a container action on the containers named or matched by --filter
+ * A single container keeps the plain spinner output; several get a per-container summary
+ * @param {string} action - Key of BULK_ACTIONS
+ * @param {string[]} containers - Container names from the command line
+ * @param {Object} options - Command options (filter, parallel)
+ * @param {Object} actionOptions - Options passed to runBulkAction()
+ */
+async function runContainerCommand(action, containers, options, actionOptions = {}) {
+  if (containers.length === 0 && options.filter.length === 0) {
+    showStatus('Name at least one container or pass --filter', 'error');
+    process.exit(1);
+  }
+
+  const concurrency = parseParallel(options.parallel);
+
+  await checkDocker({ modifies: true });
+
+  let targets;
+  try {
+    targets = await resolveContainers({ names: containers, filters: options.filter });
+  } catch (error) {
+    showStatus(error.message, 'error');
+    process.exit(1);
+  }
+
+  if (targets.length === 0) {
+    showStatus('No matching containers found', 'warning');
+    process.exit(1);
+  }
+
+  const { progress, done } = BULK_ACTIONS[action];
+  const spinner = ora(`${progress} ${targets.length === 1 ? targets[0] : `${targets.length} containers`}...`).start();
+
+  const results = await runBulkAction(targets, action, {
+    ...actionOptions,
+    concurrency,
+    onProgress: (result, completed, total) => {
+      if (total > 1) {
+        spinner.text = `${progress} containers... ${completed}/${total} (${result.name} ${result.ok ? done : 'failed'})`;
+      }
+    },
+  });
+
+  if (results.length === 1) {
+    const [result] = results;
+    if (result.ok) {
+      spinner.succeed(`Container ${result.name} ${done}`);
+      return;
+    }
+    spinner.fail(`Failed to ${action}: ${result.error}`);
+    process.exit(1);
+  }
+
+  const failed = results.filter((result) => !result.ok).length;
+  if (failed > 0) {
+    spinner.warn(`${results.length - failed} ${done}, ${failed} failed`);
+  } else {
+    spinner.succeed(`${results.length} containers ${done}`);
+  }
+  console.log(renderBulkResults(results));
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+/**
+ * Parse a --parallel option
+ * @param {string|undefined} value - Option value
+ * @returns {number|undefined} - Concurrency, or undefined to use the bulkConcurrency setting
+ */
+function parseParallel(value) {
+  if (value === undefined) return undefined;
+
+  const concurrency = Number(value);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    showStatus(`Invalid --parallel value: ${value}`, 'error');
+    process.exit(1);
+  }
+  return concurrency;
+}
+
+/**
+ * Parse a --time option for stop/restart
+ * @param {string|undefined} value - Option value
+ * @returns {number|null|undefined} - Seconds, or undefined to use the stopTimeout setting
+ */
+function parseStopTimeout(value) {
+  if (value === undefined) return undefined;
+
+  const seconds = Number(value);
+  if (!Number.isInteger(seconds) || seconds < 0) {
+    showStatus(`Invalid --time value: ${value}`, 'error');
+    process.exit(1);
+  }
+  return seconds;
+}
+
 /**
  * Check if Docker is running
+ * @param {Object} options - Check options
+ * @param {boolean} options.modifies - The command changes containers, so a fallback host is refused
  */
-async function checkDocker() {
+async function checkDocker(options = {}) {
+  const { modifies = false } = options;
   const spinner = ora('Connecting to Docker...').start();
 
   const dockerRunning = await isDockerRunning();
 
+  const activeHost = getActiveHost();
+  const hostError = getHostError();
+
+  // The client fell back to the default context; changing anything there would hit the wrong daemon
+  if (hostError && modifies) {
+    spinner.fail(`Configured Docker host is unusable: ${hostError}`);
+    console.log(chalk.red(`\nRefusing to change containers on the fallback host ${activeHost.host}.`));
+    console.log(chalk.gray('Fix DOCKER_HOST / DOCKER_CONTEXT, or pick a host with --context / --host'));
+    process.exit(1);
+  }
+
   if (!dockerRunning) {
     spinner.fail('Docker is not running');
-    console.log(chalk.red('\nPlease make sure Docker daemon is running.'));
-    console.log(chalk.gray('Try: sudo systemctl start docker'));
+    console.log(chalk.red(`\nCould not reach the Docker daemon at ${activeHost.host}.`));
+    if (hostError) {
+      console.log(chalk.yellow(`That is the fallback host; the configured one is unusable: ${hostError}`));
+    }
+    console.log(chalk.gray('Try: sudo systemctl start docker, or pick another host with --context / --host'));
     process.exit(1);
   }
 
-  spinner.succeed('Connected to Docker');
+  spinner.succeed(`Connected to Docker (${activeHost.name})`);
+
+  if (hostError) {
+    showStatus(`Configured Docker host is unusable (${hostError}); using ${activeHost.name} instead`, 'warning');
+  }
 }
 
 // Parse arguments
@@ -0,0 +1,123 @@
+import { listContainers } from './docker.js';
+import { startContainer, stopContainer, restartContainer, removeContainer } from './containers.js';
+import { quickRebuild } from './images.js';
+import { loadConfig } from './utils/config.js';
+import { mapLimit } from './utils/concurrency.js';
+
+export const BULK_ACTIONS = {
+  start: { label: 'Start', progress: 'Starting', done: 'started' },
+  stop: { label: 'Stop', progress: 'Stopping', done: 'stopped' },
+  restart: { label: 'Restart', progress: 'Restarting', done: 'restarted' },
+  remove: { label: 'Remove', progress: 'Removing', done: 'removed' },
+  rebuild: { label: 'Rebuild', progress: 'Rebuilding', done: 'rebuilt' },
+};
+
+/**
+ * Parse `--filter` values into Docker list filters
+ * Accepts the same keys as `docker ps --filter`, e.g. label=app=api, name=test-, status=exited
+ * @param {string[]} values - key=value filter strings
+ * @returns {Object} - Docker filters object
+ */
+export function parseContainerFilters(values = []) {
+  const filters = {};
+
+  for (const value of values) {
+    const index = value.indexOf('=');
+    if (index <= 0 || index === value.length - 1) {
+      throw new Error(`Invalid filter "${value}" (expected key=value, e.g. label=app=api)`);
+    }
+    const key = value.substring(0, index);
+    (filters[key] ||= []).push(value.substring(index + 1));
+  }
+
+  return filters;
+}
+
+/**
+ * Resolve explicit names and filters into a list of container names
+ * @param {Object} selector - Containers to act on
+ * @param {string[]} selector.names - Container names or IDs
+ * @param {string[]} selector.filters - key=value filter strings
+ * @returns {Promise<string[]>}
+ */
+export async function resolveContainers(selector = {}) {
+  const { names = [], filters = [] } = selector;
+  const targets = [...names];
+
+  if (filters.length > 0) {
+    const containers = await listContainers(true, parseContainerFilters(filters));
+    for (const container of containers) {
+      targets.push(container.Names[0].replace(/^\//, ''));
+    }
+  }
+
+  return [...new Set(targets)];
+}
+
+/**
+ * Run one action on a single container
+ * @param {string} name - Container name
+ * @param {string} action - Key of BULK_ACTIONS
+ * @param {Object} options - See runBulkAction()
+ * @returns {Promise<void>}
+ */
+async function runAction(name, action, options) {
+  switch (action) {
+    case 'start':
+      return startContainer(name);
+    case 'stop':
+      return stopContainer(name, options.timeout);
+    case 'restart':
+      return restartContainer(name, options.timeout);
+    case 'remove':
+      return removeContainer(name, options.force);
+    case 'rebuild': {
+      const result = await quickRebuild(name, { noCache: options.noCache, safe: options.safe });
+      if (!result.success) {
+        throw new Error(result.error || 'Rebuild failed');
+      }
+      return;
+    }
+    default:
+      throw new Error(`Unknown action: ${action}`);
+  }
+}
+
+/**
+ * Run an action on many containers with limited parallelism
+ * @param {string[]} names - Container names
+ * @param {string} action - Key of BULK_ACTIONS
+ * @param {Object} options - Bulk options
+ * @param {number} options.concurrency - Maximum containers handled at once
+ * @param {number} options.timeout - Stop/restart grace period in seconds
+ * @param {boolean} options.force - Force remove running containers
+ * @param {boolean} options.noCache - Rebuild without cache
+ * @param {Function} options.onProgress - Called with (result, completed, total) as each container finishes
+ * @returns {Promise<Array<{name: string, ok: boolean, error: string|null, duration: number}>>}
+ */
+export async function runBulkAction(names, action, options = {}) {
+  const { concurrency = loadConfig().bulkConcurrency, onProgress = () => {} } = options;
+  let completed = 0;
+
+  const settled = await mapLimit(names, concurrency, async (name) => {
+    const startedAt = Date.now();
+    let result;
+    try {
+      await runAction(name, action, options);
+      result = { name, ok: true, error: null, duration: Date.now() - startedAt };
+    } catch (error) {
+      result = { name, ok: false, error: error.message, duration: Date.now() - startedAt };
+    }
+    onProgress(result, ++completed, names.length);
+    return result;
+  });
+
+  return settled.map((entry) => entry.value);
+}
+
+export default {
+  BULK_ACTIONS,
+  parseContainerFilters,
+  resolveContainers,
+  runBulkAction,
+};
@@ -2,6 +2,7 @@ import { existsSync, readdirSync, readFileSync } from 'fs';
 import { join, dirname, basename } from 'path';
 import { spawn } from 'child_process';
 import chalk from 'chalk';
+import { getDockerEnv } from './docker.js';
 
 const COMPOSE_FILES = [
   'docker-compose.yml',
@@ -81,20 +82,42 @@ export function groupByComposeProject(containers) {
   return projects;
 }
 
+/**
+ * Turn a compose project into execCompose options
+ * A project started with -p or -f only resolves to the same project when both are passed again
+ * @param {string|Object} project - Project directory, or { workingDir, name, configFiles } from the container labels
+ * @returns {Object} - { cwd, projectName, configFiles }
+ */
+function projectOptions(project) {
+  if (typeof project === 'string') {
+    return { cwd: project };
+  }
+  return { cwd: project.workingDir, projectName: project.name, configFiles: project.configFiles };
+}
+
 /**
  * Execute docker compose command
  * @param {string[]} args - Command arguments
  * @param {Object} options - Execution options
+ * @param {string} options.projectName - Passed as -p
+ * @param {string[]} options.configFiles - Passed as one -f each
  * @returns {Promise<{code: number, stdout: string, stderr: string}>}
  */
 export function execCompose(args, options = {}) {
-  const { cwd = process.cwd(), onOutput = null } = options;
+  const { cwd = process.cwd(), projectName = null, configFiles = [], onOutput = null } = options;
+
+  const projectArgs = [];
+  if (projectName) projectArgs.push('-p', projectName);
+  for (const file of configFiles || []) {
+    projectArgs.push('-f', file);
+  }
+  args = [...projectArgs, ...args];
 
   return new Promise((resolve, reject) => {
     // Try docker compose (v2) first, fallback to docker-compose
     const proc = spawn('docker', ['compose', ...args], {
       cwd,
-      shell: true,
+      env: getDockerEnv(),
     });
 
     let stdout = '';
@@ -120,7 +143,7 @@ export function execCompose(args, options = {}) {
       // Try legacy docker-compose
       const legacyProc = spawn('docker-compose', args, {
         cwd,
-        shell: true,
+        env: getDockerEnv(),
       });
 
       stdout = '';
@@ -151,11 +174,11 @@ export function execCompose(args, options = {}) {
 
 /**
  * Get compose project status
- * @param {string} projectDir - Project directory
+ * @param {string|Object} project - Project directory or { workingDir, name, configFiles }
  * @returns {Promise<Object>}
  */
-export async function getComposeStatus(projectDir) {
-  const result = await execCompose(['ps', '--format', 'json'], { cwd: projectDir });
+export async function getComposeStatus(project) {
+  const result = await execCompose(['ps', '--format', 'json'], projectOptions(project));
 
   if (result.code !== 0) {
     return { services: [], error: result.stderr };
@@ -177,55 +200,75 @@ export async function getComposeStatus(projectDir) {
 
 /**
  * Start compose project
- * @param {string} projectDir - Project directory
+ * @param {string|Object} project - Project directory or { workingDir, name, configFiles }
  * @param {Object} options - Start options
  * @returns {Promise<Object>}
  */
-export async function composeUp(projectDir, options = {}) {
-  const { detach = true, build = false, onOutput = null } = options;
+export async function composeUp(project, options = {}) {
+  const { detach = true, build = false, service = null, onOutput = null } = options;
 
   const args = ['up'];
   if (detach) args.push('-d');
   if (build) args.push('--build');
+  if (service) args.push(service);
 
-  return execCompose(args, { cwd: projectDir, onOutput });
+  return execCompose(args, { ...projectOptions(project), onOutput });
 }
 
 /**
  * Stop compose project
- * @param {string} projectDir - Project directory
+ * @param {string|Object} project - Project directory or { workingDir, name, configFiles }
  * @returns {Promise<Object>}
  */
-export async function composeDown(projectDir, options = {}) {
+export async function composeDown(project, options = {}) {
   const { removeVolumes = false, onOutput = null } = options;
 
   const args = ['down'];
   if (removeVolumes) args.push('-v');
 
-  return execCompose(args, { cwd: projectDir, onOutput });
+  return execCompose(args, { ...projectOptions(project), onOutput });
+}
+
+/**
+ * Stop compose service without removing its containers
+ * @param {string|Object} project - Project directory or { workingDir, name, configFiles }
+ * @param {string} service - Service name
+ * @param {Object} options - Stop options
+ * @returns {Promise<Object>}
+ */
+export async function composeStop(project, service = null, options = {}) {
+  const { onOutput = null } = options;
+
+  const args = ['stop'];
+  if (service) args.push(service);
+
+  return execCompose(args, { ...projectOptions(project), onOutput });
 }
 
 /**
  * Restart compose service
- * @param {string} projectDir - Project directory
+ * @param {string|Object} project - Project directory or { workingDir, name, configFiles }
  * @param {string} service - Service name
+ * @param {Object} options - Restart options
  * @returns {Promise<Object>}
  */
-export async function composeRestart(projectDir, service = null) {
+export async function composeRestart(project, service = null, options = {}) {
+  const { onOutput = null } = options;
+
   const args = ['restart'];
   if (service) args.push(service);
 
-  return execCompose(args, { cwd: projectDir });
+  return execCompose(args, { ...projectOptions(project), onOutput });
 }
 
 /**
  * Rebuild compose service
- * @param {string} projectDir - Project directory
+ * @param {string|Object} project - Project directory or { workingDir, name, configFiles }
  * @param {string} service - Service name
  * @param {Object} options - Build options
  * @returns {Promise<Object>}
  */
-export async function composeRebuild(projectDir, service = null, options = {}) {
+export async function composeRebuild(project, service = null, options = {}) {
   const { noCache = false, onOutput = null } = options;
 
   // Build
@@ -233,7 +276,7 @@ export async function composeRebuild(projectDir, service = null, options = {}) {
   if (noCache) buildArgs.push('--no-cache');
   if (service) buildArgs.push(service);
 
-  const buildResult = await execCompose(buildArgs, { cwd: projectDir, onOutput });
+  const buildResult = await execCompose(buildArgs, { ...projectOptions(project), onOutput });
 
   if (buildResult.code !== 0) {
     return buildResult;
@@ -243,24 +286,24 @@ export async function composeRebuild(projectDir, service = null, options = {}) {
   const upArgs = ['up', '-d', '--force-recreate'];
   if (service) upArgs.push(service);
 
-  return execCompose(upArgs, { cwd: projectDir, onOutput });
+  return execCompose(upArgs, { ...projectOptions(project), onOutput });
 }
 
 /**
  * Get compose logs
- * @param {string} projectDir - Project directory
+ * @param {string|Object} project - Project directory or { workingDir, name, configFiles }
  * @param {string} service - Service name
  * @param {Object} options - Log options
  * @returns {Promise<Object>}
  */
-export async function composeLogs(projectDir, service = null, options = {}) {
+export async function composeLogs(project, service = null, options = {}) {
   const { tail = 100, follow = false } = options;
 
   const args = ['logs', `--tail=${tail}`];
   if (follow) args.push('-f');
   if (service) args.push(service);
 
-  return execCompose(args, { cwd: projectDir });
+  return execCompose(args, projectOptions(project));
 }
 
 export default {
@@ -271,6 +314,7 @@ export default {
   getComposeStatus,
   composeUp,
   composeDown,
+  composeStop,
   composeRestart,
   composeRebuild,
   composeLogs,
@@ -1,6 +1,17 @@
-import { spawn } from 'child_process';
-import { getContainer, listContainers } from './docker.js';
+import { Writable } from 'stream';
+import { finished } from 'stream/promises';
+import { StringDecoder } from 'string_decoder';
+import docker, { getContainer, listContainers } from './docker.js';
 import { formatBytes, formatUptime, formatPorts } from './utils/format.js';
+import { loadConfig } from './utils/config.js';
+
+// Signals offered for kill; SIGHUP is commonly used to reload configuration
+export const KILL_SIGNALS = ['SIGTERM', 'SIGKILL', 'SIGHUP', 'SIGINT', 'SIGQUIT', 'SIGUSR1', 'SIGUSR2'];
+
+// Same default as `docker attach`
+const DETACH_KEYS = 'ctrl-p,ctrl-q';
+const EXEC_EXIT_TIMEOUT = 5000;
+const EXEC_EXIT_POLL = 100;
 
 /**
  * Get all containers with formatted info
@@ -16,23 +27,38 @@ export async function getContainers(all = true) {
     image: container.Image,
     status: container.Status,
     state: container.State,
+    health: parseHealthStatus(container.Status),
     ports: formatPorts(container.Ports),
     created: container.Created,
   }));
 }
 
+/**
+ * Extract the healthcheck status from a container list Status string
+ * The list endpoint only reports health inside Status, e.g. "Up 5 minutes (unhealthy)"
+ * @param {string} status - Container Status string
+ * @returns {'healthy'|'unhealthy'|'starting'|null} - null when the container has no healthcheck
+ */
+export function parseHealthStatus(status) {
+  const match = /\((healthy|unhealthy|health: starting)\)/.exec(status || '');
+  if (!match) return null;
+  return match[1] === 'health: starting' ? 'starting' : match[1];
+}
+
 /**
  * Get container count by state
- * @returns {Promise<{running: number, stopped: number, total: number}>}
+ * @returns {Promise<{running: number, stopped: number, unhealthy: number, total: number}>}
  */
 export async function getContainerCounts() {
   const containers = await listContainers(true);
   const running = containers.filter((c) => c.State === 'running').length;
   const stopped = containers.filter((c) => c.State !== 'running').length;
+  const unhealthy = containers.filter((c) => parseHealthStatus(c.Status) === 'unhealthy').length;
 
   return {
     running,
     stopped,
+    unhealthy,
     total: containers.length,
   };
 }
@@ -47,24 +73,86 @@ export async function startContainer(idOrName) {
   await container.start();
 }
 
+/**
+ * Build stop/restart options for a grace period
+ * @param {number|null} timeout - Seconds to wait before killing (null = container's own StopTimeout)
+ * @returns {Object}
+ */
+function stopOptions(timeout) {
+  return timeout === null || timeout === undefined ? {} : { t: timeout };
+}
+
 /**
  * Stop a container
  * @param {string} idOrName - Container ID or name
+ * @param {number|null} timeout - Seconds to wait before killing
  * @returns {Promise<void>}
  */
-export async function stopContainer(idOrName) {
+export async function stopContainer(idOrName, timeout = loadConfig().stopTimeout) {
   const container = getContainer(idOrName);
-  await container.stop();
+  await container.stop(stopOptions(timeout));
 }
 
 /**
  * Restart a container
  * @param {string} idOrName - Container ID or name
+ * @param {number|null} timeout - Seconds to wait before killing
+ * @returns {Promise<void>}
+ */
+export async function restartContainer(idOrName, timeout = loadConfig().stopTimeout) {
+  const container = getContainer(idOrName);
+  await container.restart(stopOptions(timeout));
+}
+
+/**
+ * Pause all processes in a container
+ * @param {string} idOrName - Container ID or name
  * @returns {Promise<void>}
  */
-export async function restartContainer(idOrName) {
+export async function pauseContainer(idOrName) {
   const container = getContainer(idOrName);
-  await container.restart();
+  await container.pause();
+}
+
+/**
+ * Resume a paused container
+ * @param {string} idOrName - Container ID or name
+ * @returns {Promise<void>}
+ */
+export async function unpauseContainer(idOrName) {
+  const container = getContainer(idOrName);
+  await container.unpause();
+}
+
+/**
+ * Send a signal to a container's main process
+ * @param {string} idOrName - Container ID or name
+ * @param {string} signal - Signal name or number
+ * @returns {Promise<void>}
+ */
+export async function killContainer(idOrName, signal = 'SIGKILL') {
+  const container = getContainer(idOrName);
+  await container.kill({ signal });
+}
+
+/**
+ * Rename a container
+ * @param {string} idOrName - Container ID or name
+ * @param {string} newName - New container name
+ * @returns {Promise<void>}
+ */
+export async function renameContainer(idOrName, newName) {
+  const container = getContainer(idOrName);
+  await container.rename({ name: newName });
+}
+
+/**
+ * Check a container name against Docker's naming rules
+ * @param {string} name - Proposed name
+ * @returns {boolean}
+ */
+export function isValidContainerName(name) {
+  return /^[a-zA-Z0-9][a-zA-Z0-9_.-]*$/.test(name);
 }
 
 /**
@@ -89,19 +177,29 @@ export async function inspectContainer(idOrName) {
 }
 
 /**
- * Execute a command in a container
+ * Create an exec instance in a container
  * @param {string} idOrName - Container ID or name
  * @param {string[]} cmd - Command to execute
+ * @param {Object} options - Exec options
+ * @param {boolean} options.tty - Allocate a TTY
+ * @param {boolean} options.stdin - Attach stdin
+ * @param {string} options.user - User (name, uid or uid:gid)
+ * @param {string} options.workdir - Working directory
+ * @param {string[]} options.env - Extra KEY=VALUE variables
  * @returns {Promise<Object>}
  */
-export async function execInContainer(idOrName, cmd = ['/bin/sh']) {
+export async function execInContainer(idOrName, cmd = ['/bin/sh'], options = {}) {
+  const { tty = true, stdin = true, user = null, workdir = null, env = [] } = options;
   const container = getContainer(idOrName);
   const exec = await container.exec({
     Cmd: cmd,
-    AttachStdin: true,
+    AttachStdin: stdin,
     AttachStdout: true,
     AttachStderr: true,
-    Tty: true,
+    Tty: tty,
+    ...(user && { User: user }),
+    ...(workdir && { WorkingDir: workdir }),
+    ...(env.length > 0 && { Env: env }),
   });
 
   return exec;
@@ -146,71 +244,177 @@ export async function detectShell(idOrName) {
 }
 
 /**
- * Open interactive shell in container
- * @param {string} idOrName - Container ID or name
- * @param {Object} options - Shell options
- * @returns {Promise<number>} - Exit code
+ * Connect the local terminal to a hijacked Docker stream until it closes
+ * Puts stdin in raw mode so keys like Ctrl+C reach the container, and keeps the remote TTY sized to ours
+ * @param {Object} stream - Hijacked duplex stream
+ * @param {Object} options - Session options
+ * @param {boolean} options.tty - Whether the remote side has a TTY (otherwise output is multiplexed)
+ * @param {boolean} options.stdin - Forward local input
+ * @param {Function} options.resize - Called with { h, w } when the terminal size changes
+ * @returns {Promise<void>} - Resolves when the stream ends
  */
-export function openInteractiveShell(idOrName, options = {}) {
-  const { shell = '/bin/sh', workdir = null, user = null } = options;
-
-  return new Promise((resolve, reject) => {
-    const args = ['exec', '-it'];
+function runTerminalSession(stream, { tty, stdin, resize }) {
+  return new Promise((resolve) => {
+    const isTTY = process.stdin.isTTY && process.stdout.isTTY;
+
+    const onResize = () => {
+      resize({ h: process.stdout.rows, w: process.stdout.columns }).catch(() => {});
+    };
+
+    if (tty) {
+      stream.pipe(process.stdout);
+    } else {
+      docker.modem.demuxStream(stream, process.stdout, process.stderr);
+    }
 
-    if (workdir) {
-      args.push('-w', workdir);
+    if (stdin) {
+      if (isTTY) process.stdin.setRawMode(true);
+      process.stdin.pipe(stream);
+      process.stdin.resume();
     }
 
-    if (user) {
-      args.push('-u', user);
+    if (tty && isTTY) {
+      onResize();
+      process.stdout.on('resize', onResize);
     }
 
-    args.push(idOrName, shell);
+    let finished = false;
+    const finish = () => {
+      if (finished) return;
+      finished = true;
 
-    const proc = spawn('docker', args, {
-      stdio: 'inherit',
-      shell: false,
-    });
+      process.stdout.removeListener('resize', onResize);
+      if (stdin) {
+        process.stdin.unpipe(stream);
+        if (isTTY) process.stdin.setRawMode(false);
+        process.stdin.pause();
+      }
+      stream.unpipe?.(process.stdout);
+      resolve();
+    };
 
-    proc.on('close', (code) => {
-      resolve(code);
-    });
+    stream.on('end', finish);
+    stream.on('close', finish);
+    stream.on('error', finish);
+  });
+}
 
-    proc.on('error', (err) => {
-      reject(err);
-    });
+/**
+ * Wait for an exec to be marked as finished and get its exit code
+ * The output stream can end before the daemon records the exit code, so inspect is polled until Running is false
+ * @param {Object} exec - Dockerode exec
+ * @returns {Promise<number|null>} - Exit code, null if the daemon never reported one
+ */
+async function waitForExitCode(exec) {
+  const deadline = Date.now() + EXEC_EXIT_TIMEOUT;
+  let info = await exec.inspect();
+
+  while (info.Running && Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, EXEC_EXIT_POLL));
+    info = await exec.inspect();
+  }
+
+  return info.Running ? null : info.ExitCode ?? null;
+}
+
+/**
+ * Open interactive shell in container
+ * Talks to the Docker API directly, so no docker CLI is needed
+ * @param {string} idOrName - Container ID or name
+ * @param {Object} options - Shell options
+ * @param {string|string[]} options.shell - Shell or command to run
+ * @param {string} options.workdir - Working directory
+ * @param {string} options.user - User (name, uid or uid:gid)
+ * @param {string[]} options.env - Extra KEY=VALUE variables
+ * @returns {Promise<number>} - Exit code
+ */
+export async function openInteractiveShell(idOrName, options = {}) {
+  const { shell = '/bin/sh', workdir = null, user = null, env = [] } = options;
+  const tty = Boolean(process.stdin.isTTY);
+
+  const exec = await execInContainer(idOrName, Array.isArray(shell) ? shell : [shell], { tty, workdir, user, env });
+  const stream = await exec.start({ hijack: true, stdin: true, Tty: tty });
+
+  await runTerminalSession(stream, {
+    tty,
+    stdin: true,
+    resize: (size) => exec.resize(size),
   });
+
+  // An unknown exit code counts as a failure
+  return (await waitForExitCode(exec)) ?? 1;
 }
 
 /**
- * Execute a single command in container and return output
+ * Attach the terminal to a container's main process
+ * Ctrl+P Ctrl+Q detaches without stopping the container
  * @param {string} idOrName - Container ID or name
- * @param {string} command - Command to run
- * @returns {Promise<{stdout: string, stderr: string, exitCode: number}>}
+ * @returns {Promise<{running: boolean, exitCode: number}>} - Container state after the session ends
  */
-export function execCommand(idOrName, command) {
-  return new Promise((resolve, reject) => {
-    const args = ['exec', idOrName, 'sh', '-c', command];
+export async function attachContainer(idOrName) {
+  const container = getContainer(idOrName);
+  const info = await container.inspect();
 
-    const proc = spawn('docker', args, { shell: false });
+  if (!info.State.Running) {
+    throw new Error(`Container ${idOrName} is not running`);
+  }
 
-    let stdout = '';
-    let stderr = '';
+  const stream = await container.attach({
+    stream: true,
+    stdin: info.Config.OpenStdin,
+    stdout: true,
+    stderr: true,
+    hijack: true,
+    detachKeys: DETACH_KEYS,
+  });
 
-    proc.stdout.on('data', (data) => {
-      stdout += data.toString();
-    });
+  await runTerminalSession(stream, {
+    tty: info.Config.Tty,
+    stdin: info.Config.OpenStdin,
+    resize: (size) => container.resize(size),
+  });
 
-    proc.stderr.on('data', (data) => {
-      stderr += data.toString();
-    });
+  const after = await container.inspect();
+  return { running: after.State.Running, exitCode: after.State.ExitCode };
+}
 
-    proc.on('close', (code) => {
-      resolve({ stdout, stderr, exitCode: code });
+/**
+ * Execute a single command in container and return output
+ * @param {string} idOrName - Container ID or name
+ * @param {string} command - Command to run (through sh -c)
+ * @param {Object} options - Exec options (user, workdir, env)
+ * @returns {Promise<{stdout: string, stderr: string, exitCode: number|null}>} - exitCode is null when it couldn't be read
+ */
+export async function execCommand(idOrName, command, options = {}) {
+  const exec = await execInContainer(idOrName, ['sh', '-c', command], { ...options, tty: false, stdin: false });
+  const stream = await exec.start({ hijack: true, stdin: false });
+
+  let stdout = '';
+  let stderr = '';
+  // A decoder per stream keeps multibyte characters that are split across chunks intact
+  const collect = (append) => {
+    const decoder = new StringDecoder('utf8');
+    return new Writable({
+      write(chunk, encoding, callback) {
+        append(decoder.write(chunk));
+        callback();
+      },
+      final(callback) {
+        append(decoder.end());
+        callback();
+      },
     });
+  };
+  const outputs = [collect((text) => (stdout += text)), collect((text) => (stderr += text))];
 
-    proc.on('error', (err) => {
-      reject(err);
-    });
+  docker.modem.demuxStream(stream, ...outputs);
+
+  await new Promise((resolve, reject) => {
+    stream.on('end', resolve);
+    stream.on('close', resolve);
+    stream.on('error', reject);
   });
+  await Promise.all(outputs.map((output) => finished(output.end())));
+
+  return { stdout, stderr, exitCode: await waitForExitCode(exec) };
 }
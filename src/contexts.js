@@ -0,0 +1,130 @@
+import { existsSync, readFileSync, readdirSync } from 'fs';
+import { createHash } from 'crypto';
+import { homedir } from 'os';
+import { join } from 'path';
+
+const DOCKER_CONFIG_DIR = process.env.DOCKER_CONFIG || join(homedir(), '.docker');
+const CONTEXTS_META_DIR = join(DOCKER_CONFIG_DIR, 'contexts', 'meta');
+const CONTEXTS_TLS_DIR = join(DOCKER_CONFIG_DIR, 'contexts', 'tls');
+
+export const DEFAULT_CONTEXT = 'default';
+
+/**
+ * Get the context store directory name for a context
+ * The Docker CLI keys contexts by the SHA-256 digest of their name
+ * @param {string} name - Context name
+ * @returns {string}
+ */
+export function getContextId(name) {
+  return createHash('sha256').update(name).digest('hex');
+}
+
+/**
+ * Load TLS material (ca.pem, cert.pem, key.pem) from a directory
+ * @param {string} dir - Directory holding the PEM files
+ * @returns {{ca?: Buffer, cert?: Buffer, key?: Buffer}}
+ */
+export function loadTlsMaterial(dir) {
+  const tls = {};
+
+  for (const [key, file] of [['ca', 'ca.pem'], ['cert', 'cert.pem'], ['key', 'key.pem']]) {
+    const path = join(dir, file);
+    if (existsSync(path)) {
+      tls[key] = readFileSync(path);
+    }
+  }
+
+  return tls;
+}
+
+/**
+ * Read a context from the Docker CLI context store
+ * @param {string} id - Context store ID
+ * @returns {Object|null}
+ */
+function readContext(id) {
+  try {
+    const meta = JSON.parse(readFileSync(join(CONTEXTS_META_DIR, id, 'meta.json'), 'utf8'));
+    const endpoint = meta.Endpoints?.docker || {};
+
+    return {
+      name: meta.Name,
+      description: meta.Metadata?.Description || '',
+      host: endpoint.Host || null,
+      skipTLSVerify: Boolean(endpoint.SkipTLSVerify),
+      tls: loadTlsMaterial(join(CONTEXTS_TLS_DIR, id, 'docker')),
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get the name of the context selected by DOCKER_CONTEXT or `docker context use`
+ * @returns {string}
+ */
+export function getCurrentContextName() {
+  if (process.env.DOCKER_CONTEXT) {
+    return process.env.DOCKER_CONTEXT;
+  }
+
+  try {
+    const config = JSON.parse(readFileSync(join(DOCKER_CONFIG_DIR, 'config.json'), 'utf8'));
+    return config.currentContext || DEFAULT_CONTEXT;
+  } catch {
+    return DEFAULT_CONTEXT;
+  }
+}
+
+/**
+ * Get a context by name
+ * @param {string} name - Context name
+ * @returns {Object|null}
+ */
+export function getContext(name) {
+  if (name === DEFAULT_CONTEXT) {
+    return {
+      name: DEFAULT_CONTEXT,
+      description: 'Local Docker daemon',
+      host: null,
+      skipTLSVerify: false,
+      tls: {},
+    };
+  }
+
+  return readContext(getContextId(name));
+}
+
+/**
+ * List the default context plus every context in the Docker CLI store
+ * @returns {Array}
+ */
+export function listContexts() {
+  const contexts = [getContext(DEFAULT_CONTEXT)];
+
+  if (!existsSync(CONTEXTS_META_DIR)) {
+    return contexts;
+  }
+
+  for (const id of readdirSync(CONTEXTS_META_DIR)) {
+    const context = readContext(id);
+    if (context?.name && context.name !== DEFAULT_CONTEXT) {
+      contexts.push(context);
+    }
+  }
+
+  return contexts.sort((a, b) => {
+    if (a.name === DEFAULT_CONTEXT) return -1;
+    if (b.name === DEFAULT_CONTEXT) return 1;
+    return a.name.localeCompare(b.name);
+  });
+}
+
+export default {
+  DEFAULT_CONTEXT,
+  getContextId,
+  loadTlsMaterial,
+  getCurrentContextName,
+  getContext,
+  listContexts,
+};
@@ -2,7 +2,10 @@ import chalk from 'chalk';
 import readline from 'readline';
 import { listContainers } from './docker.js';
 import { getContainer } from './docker.js';
-import { formatBytes } from './utils/format.js';
+import { showContainerStats } from './stats.js';
+import { subscribeEvents, getEventName } from './events.js';
+import { formatBytes, formatRate } from './utils/format.js';
+import { readIoCounters, sumIo, calculateIoRates, getSampleTime } from './utils/io-stats.js';
 import { loadConfig } from './utils/config.js';
 import { progressBar, sparkline, box } from './ui/charts.js';
 import renderer, { hideCursor, showCursor, getTerminalSize } from './ui/renderer.js';
@@ -13,6 +16,33 @@ import renderer, { hideCursor, showCursor, getTerminalSize } from './ui/renderer
 const statsHistory = new Map();
 const HISTORY_SIZE = 20;
 
+const SORT_FIELDS = ['cpu', 'mem', 'net', 'name'];
+
+const HELP_KEYS = [
+  ['↑↓', 'Move'],
+  ['Enter', 'Stats'],
+  ['O', 'Sort'],
+  ['/', 'Filter'],
+  ['V', 'Table/Boxes'],
+  ['R', 'Refresh'],
+  ['Q', 'Exit'],
+];
+
+// Title lines printed above the rendered frame, and the frame's own header/footer lines
+// (including the renderer's trailing newline)
+const TITLE_LINES = 3;
+const CHROME_LINES = 7;
+const BOX_HEIGHT = 8; // 7 box lines plus a blank separator
+
+// Containers that just started, stopped or were renamed stay marked for a few seconds
+const MARKER_TTL = 5000; // ms
+const MARKERS = {
+  added: chalk.green('+'),
+  removed: chalk.red('✕'),
+  renamed: chalk.yellow('↻'),
+};
+const RECONNECT_DELAY = 2000; // ms before re-subscribing to a dropped event stream
+
 /**
  * Add stats to history
  * @param {string} containerId - Container ID
@@ -20,16 +50,19 @@ const HISTORY_SIZE = 20;
  */
 function addToHistory(containerId, stats) {
   if (!statsHistory.has(containerId)) {
-    statsHistory.set(containerId, { cpu: [], mem: [] });
+    statsHistory.set(containerId, { cpu: [], mem: [], net: [], disk: [] });
   }
 
   const history = statsHistory.get(containerId);
   history.cpu.push(stats.cpuPercent);
   history.mem.push(stats.memPercent);
+  if (stats.netRxRate !== null) history.net.push(stats.netRxRate + stats.netTxRate);
+  if (stats.blockReadRate !== null) history.disk.push(stats.blockReadRate + stats.blockWriteRate);
 
   // Keep only last N entries
-  if (history.cpu.length > HISTORY_SIZE) history.cpu.shift();
-  if (history.mem.length > HISTORY_SIZE) history.mem.shift();
+  for (const series of Object.values(history)) {
+    if (series.length > HISTORY_SIZE) series.shift();
+  }
 }
 
 /**
@@ -50,61 +83,205 @@ function calculateStats(stats, prev = {}) {
   const memLimit = stats.memory_stats.limit || 1;
   const memPercent = (memUsage / memLimit) * 100;
 
-  // Network
-  let netRx = 0;
-  let netTx = 0;
-  if (stats.networks) {
-    for (const iface of Object.values(stats.networks)) {
-      netRx += iface.rx_bytes || 0;
-      netTx += iface.tx_bytes || 0;
-    }
-  }
-
-  // Block I/O
-  let blockRead = 0;
-  let blockWrite = 0;
-  if (stats.blkio_stats?.io_service_bytes_recursive) {
-    for (const entry of stats.blkio_stats.io_service_bytes_recursive) {
-      if (entry.op === 'read' || entry.op === 'Read') blockRead += entry.value || 0;
-      if (entry.op === 'write' || entry.op === 'Write') blockWrite += entry.value || 0;
-    }
-  }
+  // Network and block I/O totals, plus per-second rates once there is a previous sample
+  const time = getSampleTime(stats);
+  const io = readIoCounters(stats);
+  const totals = sumIo(io);
+  const rates = prev.io ? sumIo(calculateIoRates(io, prev.io, (time - prev.time) / 1000)) : null;
 
   return {
     cpuPercent: Math.min(100, cpuPercent),
     memUsage,
     memLimit,
     memPercent,
-    netRx,
-    netTx,
-    blockRead,
-    blockWrite,
+    netRx: totals.rx,
+    netTx: totals.tx,
+    blockRead: totals.read,
+    blockWrite: totals.write,
+    netRxRate: rates ? rates.rx : null,
+    netTxRate: rates ? rates.tx : null,
+    blockReadRate: rates ? rates.read : null,
+    blockWriteRate: rates ? rates.write : null,
     pids: stats.pids_stats?.current || 0,
     cpuTotal: stats.cpu_stats.cpu_usage.total_usage,
     systemCpu: stats.cpu_stats.system_cpu_usage,
+    io,
+    time,
   };
 }
 
 /**
  * Render a single container stats box
- * @param {string} name - Container name
+ * @param {string} name - Box title
  * @param {Object} stats - Calculated stats
  * @param {number} width - Box width
+ * @param {string} historyKey - Container name the sparkline history is stored under
  * @returns {string}
  */
-function renderContainerBox(name, stats, width = 50) {
-  const history = statsHistory.get(name) || { cpu: [], mem: [] };
+function renderContainerBox(name, stats, width = 50, historyKey = name) {
+  const history = statsHistory.get(historyKey) || { cpu: [], mem: [], net: [], disk: [] };
 
   const lines = [
     `${chalk.cyan('CPU')}  ${progressBar(stats.cpuPercent, 20)} ${sparkline(history.cpu, { width: 10 })}`,
     `${chalk.cyan('MEM')}  ${progressBar(stats.memPercent, 20)} ${formatBytes(stats.memUsage).padStart(10)}`,
-    `${chalk.gray('NET')}  ↓ ${formatBytes(stats.netRx).padEnd(10)} ↑ ${formatBytes(stats.netTx).padEnd(10)}`,
-    `${chalk.gray('I/O')}  R ${formatBytes(stats.blockRead).padEnd(10)} W ${formatBytes(stats.blockWrite).padEnd(10)}`,
+    `${chalk.cyan('NET')}  ↓ ${formatRate(stats.netRxRate).padEnd(11)} ↑ ${formatRate(stats.netTxRate).padEnd(11)} ${sparkline(history.net, { width: 10, min: 0 })}`,
+    `${chalk.cyan('I/O')}  R ${formatRate(stats.blockReadRate).padEnd(11)} W ${formatRate(stats.blockWriteRate).padEnd(11)} ${sparkline(history.disk, { width: 10, min: 0 })}`,
+    chalk.gray(`  Σ  ↓ ${formatBytes(stats.netRx, 1)} ↑ ${formatBytes(stats.netTx, 1)}  R ${formatBytes(stats.blockRead, 1)} W ${formatBytes(stats.blockWrite, 1)}`),
   ];
 
   return box(name.substring(0, 20), lines, width);
 }
 
+/**
+ * Fit a string into a fixed-width column
+ * @param {string} str - Cell text
+ * @param {number} width - Column width
+ * @param {boolean} alignRight - Right-align the text
+ * @returns {string}
+ */
+function fit(str, width, alignRight = false) {
+  const text = String(str ?? '');
+  if (text.length > width) return text.substring(0, width - 1) + '…';
+  return alignRight ? text.padStart(width) : text.padEnd(width);
+}
+
+/**
+ * Wrap help segments into lines no wider than the terminal
+ * @param {number} width - Available width
+ * @returns {string[]}
+ */
+function renderHelp(width) {
+  const lines = [];
+  let current = '';
+  let currentLength = 0;
+
+  for (const [key, label] of HELP_KEYS) {
+    const plain = `[${key}] ${label}  `;
+    if (currentLength + plain.length > width && current) {
+      lines.push(current);
+      current = '';
+      currentLength = 0;
+    }
+    current += chalk.gray(`[${chalk.cyan(key)}] ${label}  `);
+    currentLength += plain.length;
+  }
+
+  if (current) lines.push(current);
+  return lines;
+}
+
+/**
+ * Compare two dashboard rows by a sort field
+ * @param {Object} a - Row ({ name, stats })
+ * @param {Object} b - Row ({ name, stats })
+ * @param {string} field - Sort field
+ * @returns {number} - Ascending order
+ */
+function compareRows(a, b, field) {
+  const value = (row) => {
+    if (!row.stats) return -1;
+    if (field === 'cpu') return row.stats.cpuPercent;
+    if (field === 'mem') return row.stats.memUsage;
+    return (row.stats.netRxRate ?? 0) + (row.stats.netTxRate ?? 0);
+  };
+
+  if (field === 'name') return a.name.localeCompare(b.name);
+  return value(a) - value(b) || a.name.localeCompare(b.name);
+}
+
+/**
+ * Check whether a container matches the dashboard filter
+ * Matches a substring of the name or of any label written as key=value
+ * @param {Object} container - Tracked container ({ name, labels })
+ * @param {string} filter - Filter text
+ * @returns {boolean}
+ */
+function matchesFilter(container, filter) {
+  if (!filter) return true;
+  const needle = filter.toLowerCase();
+  if (container.name.toLowerCase().includes(needle)) return true;
+  return Object.entries(container.labels || {}).some(([key, value]) =>
+    `${key}=${value}`.toLowerCase().includes(needle)
+  );
+}
+
+/**
+ * Render the top-like table of containers
+ * @param {Array} rows - Visible rows ({ name, stats, change })
+ * @param {number} cursor - Index of the highlighted row within rows
+ * @param {number} cols - Terminal width
+ * @returns {string[]}
+ */
+function renderTable(rows, cursor, cols) {
+  // The CPU sparkline column is dropped first on narrow terminals
+  const showSpark = cols >= 100;
+  const nameWidth = Math.max(8, cols - (showSpark ? 84 : 72));
+  const header =
+    `${fit('NAME', nameWidth)} ${fit('CPU%', 6, true)} ${fit('MEM', 10, true)} ${fit('MEM%', 6, true)} ` +
+    `${fit('NET ↓/s', 11, true)} ${fit('NET ↑/s', 11, true)} ${fit('DISK/s', 11, true)} ${fit('PIDS', 5, true)}` +
+    (showSpark ? '  CPU' : '');
+
+  const lines = [chalk.cyan(`   ${header}`)];
+
+  rows.forEach((row, i) => {
+    const stats = row.stats;
+    const history = statsHistory.get(row.name);
+    const marker = `${i === cursor ? chalk.cyan('❯') : ' '}${row.change ? MARKERS[row.change.kind] : ' '} `;
+
+    if (row.change?.kind === 'removed') {
+      const cells = `${fit(row.name, nameWidth)} ${row.change.text}`;
+      lines.push(`${marker}${i === cursor ? chalk.inverse(cells) : chalk.gray(cells)}`);
+      return;
+    }
+
+    const cells = stats
+      ? `${fit(row.name, nameWidth)} ${fit(stats.cpuPercent.toFixed(1), 6, true)} ` +
+        `${fit(formatBytes(stats.memUsage, 1), 10, true)} ${fit(stats.memPercent.toFixed(1), 6, true)} ` +
+        `${fit(formatRate(stats.netRxRate), 11, true)} ${fit(formatRate(stats.netTxRate), 11, true)} ` +
+        `${fit(formatRate(stats.blockReadRate === null ? null : stats.blockReadRate + stats.blockWriteRate), 11, true)} ` +
+        `${fit(stats.pids, 5, true)}`
+      : `${fit(row.name, nameWidth)} ${chalk.gray('loading...')}`;
+    const spark = showSpark && history ? `  ${sparkline(history.cpu, { width: 10, min: 0, max: 100 })}` : '';
+
+    lines.push(i === cursor ? `${marker}${chalk.inverse(cells)}${spark}` : `${marker}${cells}${spark}`);
+  });
+
+  return lines;
+}
+
+/**
+ * Render containers as a grid of stat boxes
+ * @param {Array} rows - Visible rows ({ name, stats, change })
+ * @param {number} cursor - Index of the highlighted row within rows
+ * @param {number} cols - Terminal width
+ * @returns {string[]}
+ */
+function renderBoxes(rows, cursor, cols) {
+  const boxWidth = Math.min(55, Math.floor(cols / 2) - 2);
+  const boxes = rows.map((row, i) => {
+    const title = `${i === cursor ? '❯ ' : ''}${row.change ? `${row.change.kind === 'removed' ? '✕' : row.change.kind === 'added' ? '+' : '↻'} ` : ''}${row.name}`;
+    if (row.change?.kind === 'removed') {
+      return box(title.substring(0, 20), [chalk.gray(row.change.text)], boxWidth);
+    }
+    return row.stats
+      ? renderContainerBox(title, row.stats, boxWidth, row.name)
+      : box(title.substring(0, 20), [chalk.gray('Loading...')], boxWidth);
+  });
+
+  const lines = [];
+  const perRow = cols >= 110 ? 2 : 1;
+  for (let i = 0; i < boxes.length; i += perRow) {
+    const left = boxes[i].split('\n');
+    const right = perRow > 1 ? boxes[i + 1]?.split('\n') || [] : [];
+    for (let j = 0; j < left.length; j++) {
+      lines.push(`  ${left[j]}${right[j] ? `  ${right[j]}` : ''}`);
+    }
+    lines.push('');
+  }
+
+  return lines;
+}
+
 /**
  * Show multi-container dashboard
  */
@@ -112,149 +289,457 @@ export async function showDashboard() {
   const config = loadConfig();
   const refreshInterval = config.refreshInterval;
 
-  console.clear();
-  console.log(chalk.cyan.bold('\n  DockerDash - Live Dashboard'));
-  console.log(chalk.gray('  Press Q to exit | R to refresh now\n'));
+  const drawTitle = () => {
+    console.clear();
+    console.log(chalk.cyan.bold('\n  DockerDash - Live Dashboard'));
+    console.log();
+    renderer.reset();
+  };
 
+  drawTitle();
   hideCursor();
 
-  const containers = await listContainers(false); // Only running containers
-
-  if (containers.length === 0) {
-    showCursor();
-    console.log(chalk.yellow('  No running containers found.\n'));
-    return;
-  }
-
-  // Store streams and previous stats
+  // Tracked containers, their stats streams, latest stats and recent changes, all keyed by name
+  const containers = new Map();
   const streams = new Map();
-  const prevStats = new Map();
   const currentStats = new Map();
-  let isRunning = true;
+  const changes = new Map();
+
+  const state = {
+    view: 'table',
+    sortIndex: 0,
+    sortDesc: true,
+    filter: '',
+    filterMode: false,
+    selected: null,
+    cursor: 0,
+    offset: 0,
+    message: '',
+    notice: null,
+    paused: false,
+    closed: false,
+  };
 
-  // Setup keyboard input
-  readline.emitKeypressEvents(process.stdin);
-  if (process.stdin.isTTY) {
-    process.stdin.setRawMode(true);
-  }
+  let unsubscribe = null;
+  let reconnectTimer = null;
+
+  /**
+   * Mark a container as just changed
+   * @param {string} name - Container name
+   * @param {string} kind - added, removed or renamed
+   * @param {string} text - What happened
+   */
+  const markChange = (name, kind, text) => {
+    const expires = Date.now() + MARKER_TTL;
+    changes.set(name, { kind, text, expires });
+    state.notice = { text: `${MARKERS[kind]} ${name} ${text}`, expires };
+  };
 
-  const cleanup = () => {
-    isRunning = false;
-    showCursor();
-    renderer.reset();
+  /**
+   * Open a stats stream for a container
+   * @param {Object} containerInfo - Container from listContainers()
+   */
+  const startStream = (containerInfo) => {
+    const name = containerInfo.Names[0].replace(/^\//, '');
+    // The entry is looked up by identity so a rename while streaming keeps feeding the right row
+    const entry = { id: containerInfo.Id, name, labels: containerInfo.Labels || {}, gone: false };
+
+    streams.get(name)?.destroy?.();
+    streams.delete(name);
+    currentStats.delete(name);
+    containers.set(name, entry);
+
+    getContainer(containerInfo.Id)
+      .stats({ stream: true })
+      .then((stream) => {
+        if (state.closed || containers.get(entry.name) !== entry || entry.gone) {
+          stream.destroy?.();
+          return;
+        }
+        streams.set(entry.name, stream);
+
+        stream.on('data', (chunk) => {
+          if (containers.get(entry.name) !== entry || entry.gone) return;
+          try {
+            const rawStats = JSON.parse(chunk.toString());
+            const stats = calculateStats(rawStats, currentStats.get(entry.name) || {});
+            currentStats.set(entry.name, stats);
+            addToHistory(entry.name, stats);
+          } catch {
+            // Ignore parse errors
+          }
+        });
+
+        stream.on('error', () => {
+          if (streams.get(entry.name) === stream) streams.delete(entry.name);
+        });
+      })
+      .catch(() => {
+        if (containers.get(entry.name) === entry) containers.delete(entry.name);
+      });
+  };
 
-    for (const stream of streams.values()) {
-      stream.destroy?.();
-    }
-    streams.clear();
+  /**
+   * Stop streaming a container that is no longer running
+   * The row stays visible, marked, until its marker expires
+   * @param {string} name - Container name
+   * @param {string} text - What happened
+   */
+  const retire = (name, text) => {
+    const entry = containers.get(name);
+    if (!entry || entry.gone) return;
+
+    entry.gone = true;
+    streams.get(name)?.destroy?.();
+    streams.delete(name);
+    markChange(name, 'removed', text);
+  };
 
-    if (process.stdin.isTTY) {
-      process.stdin.setRawMode(false);
+  /**
+   * Move a tracked container to its new name
+   * @param {string} oldName - Previous name
+   * @param {string} newName - New name
+   */
+  const renameTracked = (oldName, newName) => {
+    const entry = containers.get(oldName);
+    if (!entry) return;
+
+    entry.name = newName;
+    for (const map of [containers, streams, currentStats, statsHistory]) {
+      if (map.has(oldName)) {
+        map.set(newName, map.get(oldName));
+        map.delete(oldName);
+      }
     }
-    process.stdin.removeListener('keypress', onKeypress);
+    changes.delete(oldName);
+    if (state.selected === oldName) state.selected = newName;
+    markChange(newName, 'renamed', `renamed from ${oldName}`);
   };
 
-  const onKeypress = (str, key) => {
-    if (key && (key.name === 'q' || (key.ctrl && key.name === 'c'))) {
-      cleanup();
+  /**
+   * Forget containers whose removal marker has expired
+   */
+  const expireChanges = () => {
+    const now = Date.now();
+    for (const [name, change] of changes) {
+      if (change.expires > now) continue;
+      changes.delete(name);
+      if (containers.get(name)?.gone) {
+        containers.delete(name);
+        currentStats.delete(name);
+        statsHistory.delete(name);
+      }
     }
+    if (state.notice && state.notice.expires <= now) state.notice = null;
   };
 
-  process.stdin.on('keypress', onKeypress);
-  process.stdin.resume();
-
-  // Start stats streams for each container
-  for (const containerInfo of containers) {
-    const container = getContainer(containerInfo.Id);
-    const name = containerInfo.Names[0].replace(/^\//, '');
+  /**
+   * Re-read the running containers, opening and closing stats streams to match
+   * @param {boolean} mark - Mark containers that appeared or disappeared since the last sync
+   */
+  const syncContainers = async (mark = true) => {
+    let running;
+    try {
+      running = await listContainers(false); // Only running containers
+    } catch (error) {
+      state.message = chalk.red(`✕ ${error.message}`);
+      return;
+    }
 
-    container.stats({ stream: true }).then((stream) => {
-      streams.set(name, stream);
+    const names = new Set(running.map((c) => c.Names[0].replace(/^\//, '')));
+    for (const name of [...containers.keys()]) {
+      if (!names.has(name)) retire(name, 'stopped');
+    }
+    for (const containerInfo of running) {
+      const name = containerInfo.Names[0].replace(/^\//, '');
+      const entry = containers.get(name);
+      if (!entry || entry.gone || entry.id !== containerInfo.Id) {
+        startStream(containerInfo);
+        if (mark) markChange(name, 'added', 'started');
+      }
+    }
+  };
 
-      stream.on('data', (chunk) => {
-        try {
-          const rawStats = JSON.parse(chunk.toString());
-          const prev = prevStats.get(name) || {};
-          const stats = calculateStats(rawStats, prev);
+  /**
+   * Apply a container event to the tracked set
+   * @param {Object} event - Docker event
+   */
+  const onEvent = (event) => {
+    const name = getEventName(event);
+    const attributes = event.Actor?.Attributes || {};
+
+    switch (event.Action) {
+      case 'start':
+        syncContainers().then(() => {
+          markChange(name, 'added', 'started');
+          render();
+        });
+        return;
+      case 'die':
+        retire(name, `exited (${attributes.exitCode ?? '?'})`);
+        break;
+      case 'destroy':
+        retire(name, 'removed');
+        break;
+      case 'rename':
+        renameTracked((attributes.oldName || '').replace(/^\//, ''), name);
+        break;
+      default:
+        return;
+    }
+    render();
+  };
 
-          prevStats.set(name, stats);
-          currentStats.set(name, stats);
-          addToHistory(name, stats);
-        } catch {
-          // Ignore parse errors
-        }
+  /**
+   * Subscribe to container lifecycle events, re-subscribing if the stream drops
+   */
+  const subscribe = async () => {
+    const reconnect = () => {
+      if (state.closed) return;
+      state.message = chalk.yellow('Event stream lost, reconnecting...');
+      reconnectTimer = setTimeout(async () => {
+        state.message = '';
+        await syncContainers();
+        subscribe();
+      }, RECONNECT_DELAY);
+    };
+
+    try {
+      unsubscribe = await subscribeEvents({
+        filters: { type: ['container'], event: ['start', 'die', 'destroy', 'rename'] },
+        onEvent,
+        onEnd: reconnect,
       });
+      if (state.closed) unsubscribe();
+    } catch {
+      reconnect();
+    }
+  };
 
-      stream.on('error', () => {
-        streams.delete(name);
-      });
-    });
-  }
+  const visibleRows = () => {
+    const field = SORT_FIELDS[state.sortIndex];
+    return [...containers.values()]
+      .filter((container) => matchesFilter(container, state.filter))
+      .map((container) => ({
+        name: container.name,
+        stats: currentStats.get(container.name),
+        change: changes.get(container.name),
+      }))
+      .sort((a, b) => compareRows(a, b, field) * (state.sortDesc ? -1 : 1));
+  };
+
+  const getPageSize = () => {
+    const { rows, cols } = getTerminalSize();
+    const available = Math.max(3, rows - TITLE_LINES - CHROME_LINES - (renderHelp(cols - 4).length - 1));
+    if (state.view === 'table') return available;
+    return Math.max(1, Math.floor(available / BOX_HEIGHT)) * (cols >= 110 ? 2 : 1);
+  };
 
   // Render loop
   const render = () => {
-    if (!isRunning) return;
+    if (state.closed || state.paused) return;
 
-    const { cols } = getTerminalSize();
-    const boxWidth = Math.min(55, Math.floor(cols / 2) - 2);
-    const boxes = [];
+    expireChanges();
 
-    for (const containerInfo of containers) {
-      const name = containerInfo.Names[0].replace(/^\//, '');
-      const stats = currentStats.get(name);
-
-      if (stats) {
-        boxes.push(renderContainerBox(name, stats, boxWidth));
-      } else {
-        boxes.push(box(name.substring(0, 20), [chalk.gray('Loading...')], boxWidth));
-      }
+    const { cols } = getTerminalSize();
+    const list = visibleRows();
+    const running = [...containers.values()].filter((container) => !container.gone).length;
+    const pageSize = getPageSize();
+
+    // Keep the highlighted container under the cursor as the order changes
+    if (state.selected) {
+      const index = list.findIndex((row) => row.name === state.selected);
+      if (index !== -1) state.cursor = index;
     }
-
-    // Arrange boxes in grid (2 columns if space allows)
-    let output = '';
-    if (cols >= 110 && boxes.length > 1) {
-      // Two column layout
-      for (let i = 0; i < boxes.length; i += 2) {
-        const left = boxes[i].split('\n');
-        const right = boxes[i + 1]?.split('\n') || [];
-
-        const maxLines = Math.max(left.length, right.length);
-        for (let j = 0; j < maxLines; j++) {
-          const leftLine = left[j] || ' '.repeat(boxWidth);
-          const rightLine = right[j] || '';
-          output += `  ${leftLine}  ${rightLine}\n`;
-        }
-        output += '\n';
-      }
+    state.cursor = Math.max(0, Math.min(state.cursor, list.length - 1));
+    state.selected = list[state.cursor]?.name || null;
+
+    if (state.cursor < state.offset) state.offset = state.cursor;
+    if (state.cursor >= state.offset + pageSize) state.offset = state.cursor - pageSize + 1;
+    state.offset = Math.max(0, Math.min(state.offset, Math.max(0, list.length - pageSize)));
+
+    const page = list.slice(state.offset, state.offset + pageSize);
+    const sortLabel = `${SORT_FIELDS[state.sortIndex]} ${state.sortDesc ? '↓' : '↑'}`;
+    const filterLabel = state.filterMode
+      ? chalk.yellow(`/${state.filter}▌`)
+      : state.filter ? chalk.yellow(state.filter) : chalk.gray('none');
+    const pages = Math.max(1, Math.ceil(list.length / pageSize));
+    const pageNumber = Math.floor(state.offset / pageSize) + 1;
+
+    const lines = [
+      `  ${chalk.bold(`${running} running`)}` +
+        `  ${chalk.gray('sort:')} ${chalk.cyan(sortLabel)}` +
+        `  ${chalk.gray('filter:')} ${filterLabel}` +
+        `  ${chalk.gray('page:')} ${chalk.cyan(`${Math.min(pageNumber, pages)}/${pages}`)}`,
+      '',
+    ];
+
+    if (list.length === 0) {
+      lines.push(chalk.yellow(state.filter ? '  No containers match the filter' : '  No running containers found.'));
+    } else if (state.view === 'table') {
+      lines.push(...renderTable(page, state.cursor - state.offset, cols));
     } else {
-      // Single column layout
-      output = boxes.map((b) => b.split('\n').map((l) => `  ${l}`).join('\n')).join('\n\n');
+      lines.push(...renderBoxes(page, state.cursor - state.offset, cols));
     }
 
     const timestamp = new Date().toLocaleTimeString();
-    output += `\n  ${chalk.gray(`Last update: ${timestamp} | Refresh: ${refreshInterval / 1000}s`)}`;
+    lines.push('');
+    if (state.message) {
+      lines.push(`  ${state.message}`);
+    } else if (state.notice) {
+      lines.push(`  ${state.notice.text}`);
+    } else {
+      lines.push(`  ${chalk.gray(`Last update: ${timestamp} | Refresh: ${refreshInterval / 1000}s`)}`);
+    }
 
-    renderer.render(output);
-  };
+    for (const helpLine of renderHelp(cols - 4)) {
+      lines.push(`  ${helpLine}`);
+    }
 
-  // Initial render after short delay to collect first stats
-  setTimeout(render, 500);
+    renderer.render(lines.join('\n'));
+  };
 
-  // Continuous render
-  const renderLoop = setInterval(() => {
-    if (isRunning) render();
-  }, refreshInterval);
+  await syncContainers(false);
+  subscribe();
 
-  // Wait for exit
   return new Promise((resolve) => {
-    const checkExit = setInterval(() => {
-      if (!isRunning) {
-        clearInterval(renderLoop);
-        clearInterval(checkExit);
-        console.log('\n');
-        resolve();
+    // Initial render after short delay to collect first stats
+    const firstRender = setTimeout(render, 500);
+
+    // Continuous render
+    const renderLoop = setInterval(render, refreshInterval);
+
+    const onResize = () => {
+      drawTitle();
+      render();
+    };
+
+    const listen = () => {
+      readline.emitKeypressEvents(process.stdin);
+      if (process.stdin.isTTY) {
+        process.stdin.setRawMode(true);
+      }
+      process.stdin.resume();
+      process.stdin.on('keypress', onKeypress);
+    };
+
+    const cleanup = () => {
+      state.closed = true;
+      clearTimeout(reconnectTimer);
+      unsubscribe?.();
+      clearTimeout(firstRender);
+      clearInterval(renderLoop);
+      process.stdout.removeListener('resize', onResize);
+      showCursor();
+      renderer.reset();
+
+      for (const stream of streams.values()) {
+        stream.destroy?.();
+      }
+      streams.clear();
+
+      if (process.stdin.isTTY) {
+        process.stdin.setRawMode(false);
       }
-    }, 100);
+      process.stdin.removeListener('keypress', onKeypress);
+      console.log('\n');
+      resolve();
+    };
+
+    const openStats = async (name) => {
+      state.paused = true;
+      process.stdin.removeListener('keypress', onKeypress);
+
+      await showContainerStats(name);
+
+      state.paused = false;
+      hideCursor();
+      drawTitle();
+      listen();
+      render();
+    };
+
+    const onKeypress = (str, key = {}) => {
+      if (key.ctrl && key.name === 'c') return cleanup();
+
+      if (state.filterMode) {
+        if (key.name === 'return' || key.name === 'enter') {
+          state.filterMode = false;
+        } else if (key.name === 'escape') {
+          state.filterMode = false;
+          state.filter = '';
+        } else if (key.name === 'backspace') {
+          state.filter = state.filter.slice(0, -1);
+        } else if (str && str.length === 1 && !key.ctrl && !key.meta && str >= ' ') {
+          state.filter += str;
+        }
+        state.cursor = 0;
+        state.selected = null;
+        return render();
+      }
+
+      const list = visibleRows();
+      const pageSize = getPageSize();
+      state.message = '';
+
+      const move = (delta) => {
+        state.cursor = Math.max(0, Math.min(list.length - 1, state.cursor + delta));
+        state.selected = list[state.cursor]?.name || null;
+        render();
+      };
+
+      if (str === '/') {
+        state.filterMode = true;
+        return render();
+      }
+
+      switch (key.name) {
+        case 'q':
+        case 'escape':
+          return cleanup();
+        case 'up':
+        case 'k':
+          return move(-1);
+        case 'down':
+        case 'j':
+          return move(1);
+        case 'pageup':
+          return move(-pageSize);
+        case 'pagedown':
+          return move(pageSize);
+        case 'home':
+          return move(-list.length);
+        case 'end':
+          return move(list.length);
+        case 'o':
+          if (key.shift) {
+            state.sortDesc = !state.sortDesc;
+          } else {
+            state.sortIndex = (state.sortIndex + 1) % SORT_FIELDS.length;
+            state.sortDesc = SORT_FIELDS[state.sortIndex] !== 'name';
+          }
+          return render();
+        case 'v':
+          state.view = state.view === 'table' ? 'boxes' : 'table';
+          drawTitle();
+          return render();
+        case 'r':
+          state.message = chalk.cyan('Refreshing...');
+          render();
+          syncContainers().then(() => {
+            state.message = '';
+            render();
+          });
+          return;
+        case 'return':
+        case 'enter':
+          if (state.selected) openStats(state.selected);
+          return;
+      }
+    };
+
+    listen();
+    process.stdout.on('resize', onResize);
   });
 }
 
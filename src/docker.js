@@ -1,6 +1,14 @@
 import Docker from 'dockerode';
+import { Agent } from 'https';
 import { existsSync } from 'fs';
 import { homedir } from 'os';
+import { join } from 'path';
+import {
+  DEFAULT_CONTEXT,
+  getContext,
+  getCurrentContextName,
+  loadTlsMaterial,
+} from './contexts.js';
 
 /**
  * Get the Docker socket path
@@ -8,11 +16,10 @@ import { homedir } from 'os';
  */
 function getDockerSocketPath() {
   const possiblePaths = [
-    process.env.DOCKER_HOST?.replace('unix://', ''),
     `${homedir()}/.docker/desktop/docker.sock`, // Docker Desktop (Linux)
     '/var/run/docker.sock', // Standard Docker
     `${homedir()}/.docker/run/docker.sock`, // Docker Desktop alternative
-  ].filter(Boolean);
+  ];
 
   for (const socketPath of possiblePaths) {
     if (existsSync(socketPath)) {
@@ -23,7 +30,193 @@ function getDockerSocketPath() {
   return '/var/run/docker.sock'; // Fallback
 }
 
-const docker = new Docker({ socketPath: getDockerSocketPath() });
+/**
+ * Read TLS settings from DOCKER_TLS_VERIFY / DOCKER_CERT_PATH
+ * @returns {Object}
+ */
+function getEnvTls() {
+  const verify = process.env.DOCKER_TLS_VERIFY === '1';
+  const certPath = process.env.DOCKER_CERT_PATH || (verify ? join(homedir(), '.docker') : null);
+
+  return {
+    verify,
+    ...(certPath ? loadTlsMaterial(certPath) : {}),
+  };
+}
+
+/**
+ * Parse a Docker host URL into dockerode connection options
+ * Supports unix://, npipe://, tcp:// (plain or TLS) and ssh:// endpoints
+ * @param {string} host - Host URL (e.g. tcp://10.0.0.5:2376, ssh://deploy@ci-box)
+ * @param {Object} tls - TLS material { ca, cert, key, verify, skipVerify }
+ * @returns {Object}
+ */
+export function parseDockerHost(host, tls = {}) {
+  if (host.startsWith('unix://')) {
+    return { socketPath: host.substring(7) || getDockerSocketPath() };
+  }
+
+  if (host.startsWith('npipe://')) {
+    return { socketPath: host.substring(8) || '//./pipe/docker_engine' };
+  }
+
+  let url;
+  try {
+    url = new URL(host.includes('://') ? host : `tcp://${host}`);
+  } catch {
+    throw new Error(`Invalid Docker host: ${host}`);
+  }
+
+  if (url.protocol === 'ssh:') {
+    return {
+      protocol: 'ssh',
+      host: url.hostname,
+      port: url.port || 22,
+      username: decodeURIComponent(url.username) || undefined,
+      sshOptions: { agent: process.env.SSH_AUTH_SOCK },
+    };
+  }
+
+  if (!['tcp:', 'http:', 'https:'].includes(url.protocol)) {
+    throw new Error(`Unsupported Docker host protocol: ${url.protocol}`);
+  }
+
+  const useTls = url.protocol === 'https:' || tls.verify || Boolean(tls.cert) || url.port === '2376';
+  const options = {
+    protocol: useTls ? 'https' : 'http',
+    host: url.hostname,
+    port: url.port || (useTls ? 2376 : 2375),
+  };
+
+  if (useTls) {
+    options.ca = tls.ca;
+    options.cert = tls.cert;
+    options.key = tls.key;
+    if (tls.skipVerify) {
+      options.agent = new Agent({ rejectUnauthorized: false });
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Resolve which daemon to talk to, following the Docker CLI precedence:
+ * --host, --context, DOCKER_HOST, DOCKER_CONTEXT, then `docker context use`
+ * @param {Object} target - { context, host } overrides
+ * @returns {{name: string, host: string, context: string|null, options: Object}}
+ */
+export function resolveDockerHost(target = {}) {
+  const { context = null, host = null } = target;
+
+  if (host || (!context && process.env.DOCKER_HOST)) {
+    const url = host || process.env.DOCKER_HOST;
+    return { name: url, host: url, context: null, options: parseDockerHost(url, getEnvTls()) };
+  }
+
+  const name = context || getCurrentContextName();
+
+  if (name === DEFAULT_CONTEXT) {
+    const socketPath = getDockerSocketPath();
+    return { name, host: `unix://${socketPath}`, context: name, options: { socketPath } };
+  }
+
+  const found = getContext(name);
+  if (!found || !found.host) {
+    throw new Error(`Docker context "${name}" not found`);
+  }
+
+  return {
+    name,
+    host: found.host,
+    context: name,
+    options: parseDockerHost(found.host, { ...found.tls, skipVerify: found.skipTLSVerify }),
+  };
+}
+
+/**
+ * Create a dockerode client for resolved connection options
+ * @param {Object} options - dockerode connection options
+ * @returns {Docker}
+ */
+function createClient(options) {
+  // docker-modem fills unset keys from DOCKER_HOST, so pin them to the resolved target
+  return new Docker({
+    socketPath: undefined,
+    host: undefined,
+    port: undefined,
+    protocol: undefined,
+    ca: undefined,
+    cert: undefined,
+    key: undefined,
+    ...options,
+  });
+}
+
+// Why the configured DOCKER_HOST / DOCKER_CONTEXT couldn't be used (null when it could)
+let hostError = null;
+
+let activeHost;
+try {
+  activeHost = resolveDockerHost();
+} catch (error) {
+  hostError = error.message;
+  activeHost = resolveDockerHost({ context: DEFAULT_CONTEXT });
+}
+
+// Exported as a live binding so every importer follows useDockerHost()
+let docker = createClient(activeHost.options);
+
+/**
+ * Switch the shared Docker client to another context or host
+ * @param {Object} target - { context, host }
+ * @param {Object} options - Switch options
+ * @param {string|null} options.hostError - Keep reporting this error (when going back to a fallback host)
+ * @returns {{name: string, host: string, context: string|null}}
+ */
+export function useDockerHost(target, options = {}) {
+  const resolved = resolveDockerHost(target);
+  docker = createClient(resolved.options);
+  activeHost = resolved;
+  hostError = options.hostError || null;
+  return getActiveHost();
+}
+
+/**
+ * Get the daemon the shared client is connected to
+ * @returns {{name: string, host: string, context: string|null}}
+ */
+export function getActiveHost() {
+  const { name, host, context } = activeHost;
+  return { name, host, context };
+}
+
+/**
+ * Get why the configured Docker host couldn't be resolved
+ * The shared client then talks to the default context, which is not the daemon the user asked for
+ * @returns {string|null} - Error message, null when the configured host is in use
+ */
+export function getHostError() {
+  return hostError;
+}
+
+/**
+ * Get environment for spawned docker CLI processes so they hit the active host
+ * @returns {Object}
+ */
+export function getDockerEnv() {
+  const env = { ...process.env };
+
+  if (activeHost.context && activeHost.context !== DEFAULT_CONTEXT) {
+    env.DOCKER_CONTEXT = activeHost.context;
+    delete env.DOCKER_HOST;
+  } else {
+    env.DOCKER_HOST = activeHost.host;
+    delete env.DOCKER_CONTEXT;
+  }
+
+  return env;
+}
 
 /**
  * Check if Docker daemon is running
@@ -64,13 +257,23 @@ export function getImage(name) {
   return docker.getImage(name);
 }
 
+/**
+ * Create a container
+ * @param {Object} options - Container create options (Image, name, Env, HostConfig, ...)
+ * @returns {Promise<Docker.Container>}
+ */
+export async function createContainer(options) {
+  return docker.createContainer(options);
+}
+
 /**
  * List all containers
  * @param {boolean} all - Include stopped containers
+ * @param {Object} filters - Docker API filters (e.g. { label: ['app=api'] })
  * @returns {Promise<Array>}
  */
-export async function listContainers(all = true) {
-  return docker.listContainers({ all });
+export async function listContainers(all = true, filters = null) {
+  return docker.listContainers(filters ? { all, filters } : { all });
 }
 
 /**
@@ -170,4 +373,13 @@ export async function getSystemInfo() {
   return docker.info();
 }
 
-export default docker;
+/**
+ * Open the daemon's event stream
+ * @param {Object} options - { since, until, filters } as accepted by the /events endpoint
+ * @returns {Promise<Stream>} - Newline-delimited JSON events
+ */
+export async function getEvents(options = {}) {
+  return docker.getEvents(options);
+}
+
+export { docker as default };
@@ -0,0 +1,300 @@
+import chalk from 'chalk';
+import { StringDecoder } from 'string_decoder';
+import { getEvents } from './docker.js';
+import { loadConfig } from './utils/config.js';
+import { LogViewer } from './ui/log-viewer.js';
+
+export const EVENT_TYPES = ['container', 'image', 'volume', 'network'];
+
+// A container that dies this many times within the window is flagged as crash looping
+const CRASH_LOOP_DEATHS = 3;
+const CRASH_LOOP_WINDOW = 5 * 60 * 1000; // ms
+
+const TYPE_COLORS = {
+  container: chalk.cyan,
+  image: chalk.magenta,
+  volume: chalk.yellow,
+  network: chalk.blue,
+};
+
+// Attributes worth showing inline; everything else (mostly labels) stays available to field filters
+const DETAIL_ATTRIBUTES = ['image', 'exitCode', 'signal', 'container', 'driver', 'type', 'execID'];
+
+/**
+ * Subscribe to Docker events
+ * @param {Object} options - Subscription options
+ * @param {Object} options.filters - Docker event filters (e.g. { type: ['container'], event: ['start', 'die'] })
+ * @param {string|number} options.since - Replay events since this time (Unix seconds or duration like 10m)
+ * @param {string|number} options.until - Stop at this time (the stream ends once it is reached)
+ * @param {Function} options.onEvent - Called with each parsed event
+ * @param {Function} options.onEnd - Called once when the stream closes, with the error if it failed
+ * @returns {Promise<Function>} - Unsubscribe
+ */
+export async function subscribeEvents(options = {}) {
+  const { filters = null, since = null, until = null, onEvent = () => {}, onEnd = () => {} } = options;
+
+  const query = {};
+  if (filters) query.filters = filters;
+  if (since !== null) query.since = since;
+  if (until !== null) query.until = until;
+
+  const stream = await getEvents(query);
+  const decoder = new StringDecoder('utf8');
+  let pending = '';
+  let closed = false;
+
+  const finish = (error = null) => {
+    if (closed) return;
+    closed = true;
+    onEnd(error);
+  };
+
+  stream.on('data', (chunk) => {
+    pending += decoder.write(chunk);
+    const lines = pending.split('\n');
+    pending = lines.pop();
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        onEvent(JSON.parse(line));
+      } catch {
+        // Ignore malformed events
+      }
+    }
+  });
+  stream.on('end', () => finish());
+  stream.on('error', (error) => finish(error));
+
+  return () => {
+    closed = true;
+    stream.removeAllListeners('data');
+    stream.destroy?.();
+  };
+}
+
+/**
+ * Get the name of the object an event is about
+ * @param {Object} event - Docker event
+ * @returns {string}
+ */
+export function getEventName(event) {
+  const attributes = event.Actor?.Attributes || {};
+  // Volumes are identified by name; other objects by a long ID
+  if (event.Type === 'volume') return event.Actor?.ID || '';
+  return attributes.name || event.Actor?.ID?.substring(0, 12) || '';
+}
+
+/**
+ * Get the time an event happened
+ * @param {Object} event - Docker event
+ * @returns {Date}
+ */
+export function getEventTime(event) {
+  return event.timeNano ? new Date(Math.floor(event.timeNano / 1e6)) : new Date(event.time * 1000);
+}
+
+/**
+ * Build Docker event filters
+ * @param {Object} options - Filter options
+ * @param {string[]} options.types - Object types (container, image, volume, network)
+ * @param {string[]} options.actions - Actions (start, die, pull, create, ...)
+ * @param {string[]} options.labels - Label selectors (key or key=value)
+ * @returns {Object|null}
+ */
+export function buildEventFilters(options = {}) {
+  const { types = [], actions = [], labels = [] } = options;
+  const filters = {};
+
+  if (types.length > 0) filters.type = types;
+  if (actions.length > 0) filters.event = actions;
+  if (labels.length > 0) filters.label = labels;
+
+  return Object.keys(filters).length > 0 ? filters : null;
+}
+
+/**
+ * Flags crash loops and OOM kills in a sequence of events
+ */
+export class EventAnalyzer {
+  constructor() {
+    this.deaths = new Map();
+    this.oomKilled = new Set();
+  }
+
+  /**
+   * Inspect the next event
+   * @param {Object} event - Docker event
+   * @returns {{crashLoop: number, oom: boolean}} - Recent death count when crash looping (0 otherwise), OOM flag
+   */
+  analyze(event) {
+    const result = { crashLoop: 0, oom: false };
+    if (event.Type !== 'container') return result;
+
+    const name = getEventName(event);
+    const time = getEventTime(event).getTime();
+
+    if (event.Action === 'oom') {
+      this.oomKilled.add(name);
+      result.oom = true;
+      return result;
+    }
+
+    const deaths = (this.deaths.get(name) || []).filter((t) => time - t < CRASH_LOOP_WINDOW);
+
+    if (event.Action === 'die') {
+      deaths.push(time);
+      // The die that follows an oom event is the kill itself
+      if (this.oomKilled.delete(name)) result.oom = true;
+    }
+    this.deaths.set(name, deaths);
+
+    if ((event.Action === 'die' || event.Action === 'start') && deaths.length >= CRASH_LOOP_DEATHS) {
+      result.crashLoop = deaths.length;
+    }
+
+    return result;
+  }
+}
+
+/**
+ * Turn an event into a log viewer entry
+ * @param {Object} event - Docker event
+ * @param {{crashLoop: number, oom: boolean}} analysis - Result of EventAnalyzer.analyze()
+ * @returns {Object} - { timestamp, message, level, stream, details, fields }
+ */
+export function toEventEntry(event, analysis = { crashLoop: 0, oom: false }) {
+  const attributes = event.Actor?.Attributes || {};
+  const name = getEventName(event);
+  const action = event.Action || event.status || '';
+
+  const flags = [];
+  if (analysis.oom) flags.push('OOM KILLED');
+  if (analysis.crashLoop) flags.push(`CRASH LOOP (${analysis.crashLoop} exits in ${CRASH_LOOP_WINDOW / 60000}m)`);
+
+  let level = 'info';
+  if (flags.length > 0) {
+    level = 'error';
+  } else if (
+    (action === 'die' && attributes.exitCode !== '0') ||
+    action === 'kill' ||
+    action === 'destroy' ||
+    action.startsWith('health_status: unhealthy')
+  ) {
+    level = 'warn';
+  }
+
+  const details = DETAIL_ATTRIBUTES
+    .filter((key) => attributes[key] !== undefined && attributes[key] !== name)
+    .map((key) => `${key}=${attributes[key]}`)
+    .join(' ');
+
+  return {
+    timestamp: getEventTime(event),
+    message: `${(event.Type || '').padEnd(9)} ${action.padEnd(14)} ${name}${flags.length > 0 ? `  ${flags.join('  ')}` : ''}`,
+    level,
+    stream: 'stdout',
+    details,
+    fields: { type: event.Type, action, name, ...attributes },
+  };
+}
+
+const EVENT_LEVEL_COLORS = {
+  error: chalk.red.bold,
+  warn: chalk.yellow,
+};
+
+/**
+ * Colorize an event line by level
+ * @param {string} message - Event line
+ * @param {string} level - Entry level
+ * @returns {string}
+ */
+function colorizeEvent(message, level) {
+  const color = EVENT_LEVEL_COLORS[level];
+  return color ? color(message) : message;
+}
+
+/**
+ * Format an event entry as a plain output line
+ * @param {Object} entry - Entry from toEventEntry()
+ * @returns {string}
+ */
+function formatEventEntry(entry) {
+  const type = entry.fields.type;
+  const typeColor = TYPE_COLORS[type] || chalk.white;
+  const rest = entry.message.substring(10);
+
+  return [
+    chalk.gray(entry.timestamp.toLocaleTimeString()),
+    typeColor((type || '').padEnd(9)),
+    colorizeEvent(rest, entry.level),
+    entry.details ? chalk.gray(entry.details) : '',
+  ].filter(Boolean).join(' ');
+}
+
+/**
+ * Stream Docker events into the interactive viewer
+ * Falls back to plain output when not attached to a terminal
+ * @param {Object} options - Feed options
+ * @param {string[]} options.types - Object types to show
+ * @param {string[]} options.actions - Actions to show
+ * @param {string[]} options.labels - Label selectors
+ * @param {string} options.name - Only show objects whose name contains this text
+ * @param {number} options.since - Replay events since this Unix time (seconds)
+ * @param {number} options.until - Stop at this Unix time (seconds)
+ * @returns {Promise<void>}
+ */
+export async function streamEvents(options = {}) {
+  const config = loadConfig();
+  const { types = [], actions = [], labels = [], name = null, since = null, until = null } = options;
+
+  const analyzer = new EventAnalyzer();
+  const interactive = process.stdout.isTTY && process.stdin.isTTY;
+  const viewer = interactive
+    ? new LogViewer({ title: 'Docker Events', maxLines: config.logBuffer, colorize: colorizeEvent })
+    : null;
+  const needle = name?.toLowerCase();
+
+  let resolveDone;
+  const done = new Promise((resolve) => {
+    resolveDone = resolve;
+  });
+
+  // Without a since/until window the daemon only sends new events
+  const unsubscribe = await subscribeEvents({
+    filters: buildEventFilters({ types, actions, labels }),
+    since,
+    until,
+    onEvent: (event) => {
+      // Crash loops are tracked across every event, even ones hidden by the name filter
+      const analysis = analyzer.analyze(event);
+      if (needle && !getEventName(event).toLowerCase().includes(needle)) return;
+
+      const entry = toEventEntry(event, analysis);
+      if (viewer) {
+        viewer.push(entry);
+      } else {
+        console.log(formatEventEntry(entry));
+      }
+    },
+    onEnd: (error) => {
+      viewer?.end(error ? chalk.red(`Event stream failed: ${error.message}`) : 'Event stream ended');
+      resolveDone();
+    },
+  });
+
+  await (viewer ? viewer.run() : done);
+  unsubscribe();
+}
+
+export default {
+  EVENT_TYPES,
+  subscribeEvents,
+  getEventName,
+  getEventTime,
+  buildEventFilters,
+  EventAnalyzer,
+  toEventEntry,
+  streamEvents,
+};
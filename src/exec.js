@@ -0,0 +1,136 @@
+import chalk from 'chalk';
+import { existsSync, readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { homedir } from 'os';
+import { join } from 'path';
+import { execCommand } from './containers.js';
+import { loadConfig } from './utils/config.js';
+import { mapLimit } from './utils/concurrency.js';
+
+const HISTORY_DIR = join(homedir(), '.config', 'dockerdash');
+const HISTORY_FILE = join(HISTORY_DIR, 'exec-history.json');
+const MAX_HISTORY = 20;
+
+/**
+ * Load the command history of every container
+ * @returns {Object<string, string[]>} - Commands by container name, most recent first
+ */
+function loadHistory() {
+  try {
+    if (existsSync(HISTORY_FILE)) {
+      return JSON.parse(readFileSync(HISTORY_FILE, 'utf8'));
+    }
+  } catch {
+    // Ignore unreadable history files
+  }
+  return {};
+}
+
+/**
+ * Get recently run commands for one or more containers
+ * @param {string|string[]} names - Container name(s)
+ * @returns {string[]} - Commands, most recent first, without duplicates
+ */
+export function getCommandHistory(names) {
+  const history = loadHistory();
+  const commands = [].concat(names).flatMap((name) => history[name] || []);
+  return [...new Set(commands)];
+}
+
+/**
+ * Remember a command for a set of containers
+ * History is a convenience, so a file that can't be written is ignored
+ * @param {string[]} names - Container names
+ * @param {string} command - Command that was run
+ */
+export function recordCommand(names, command) {
+  const history = loadHistory();
+
+  for (const name of names) {
+    history[name] = [command, ...(history[name] || []).filter((entry) => entry !== command)].slice(0, MAX_HISTORY);
+  }
+
+  try {
+    if (!existsSync(HISTORY_DIR)) {
+      mkdirSync(HISTORY_DIR, { recursive: true });
+    }
+    writeFileSync(HISTORY_FILE, JSON.stringify(history, null, 2));
+  } catch {
+    // Ignore unwritable history files
+  }
+}
+
+/**
+ * Run a shell command in one or more containers
+ * @param {string[]} names - Container names
+ * @param {string} command - Command line, run through sh -c
+ * @param {Object} options - Run options
+ * @param {number} options.concurrency - Containers handled at once
+ * @param {string} options.user - User to run as
+ * @param {string} options.workdir - Working directory
+ * @param {string[]} options.env - Extra KEY=VALUE variables
+ * @param {Function} options.onProgress - Called with (result, completed, total) as containers finish
+ * @returns {Promise<Array<{name: string, ok: boolean, exitCode: number|null, stdout: string, stderr: string, error: string|null, duration: number}>>}
+ */
+export async function runCommand(names, command, options = {}) {
+  const { concurrency = loadConfig().bulkConcurrency, user, workdir, env, onProgress = () => {} } = options;
+  let completed = 0;
+
+  const settled = await mapLimit(names, concurrency, async (name) => {
+    const started = Date.now();
+    let result;
+    try {
+      const output = await execCommand(name, command, { user, workdir, env });
+      result = { name, ok: output.exitCode === 0, ...output, error: null };
+    } catch (error) {
+      result = { name, ok: false, exitCode: null, stdout: '', stderr: '', error: error.message };
+    }
+    result.duration = Date.now() - started;
+    onProgress(result, ++completed, names.length);
+    return result;
+  });
+
+  recordCommand(names, command);
+
+  return settled.map((entry) => entry.value);
+}
+
+/**
+ * Format one container's command result for the terminal
+ * stdout and stderr are shown as separate blocks under a header with the exit code
+ * @param {Object} result - Result from runCommand()
+ * @returns {string}
+ */
+export function formatCommandResult(result) {
+  const status = result.error
+    ? chalk.red(`failed: ${result.error}`)
+    : result.exitCode === 0
+      ? chalk.green('exit 0')
+      : chalk.red(result.exitCode === null ? 'exit code unknown' : `exit ${result.exitCode}`);
+
+  const lines = [`${chalk.cyan.bold(`── ${result.name}`)}  ${status}  ${chalk.gray(`(${(result.duration / 1000).toFixed(1)}s)`)}`];
+
+  const block = (label, text, color) => {
+    const body = text.replace(/\n$/, '');
+    if (!body) return;
+    lines.push(chalk.gray(`  ${label}`));
+    for (const line of body.split('\n')) {
+      lines.push(`    ${color(line)}`);
+    }
+  };
+
+  block('stdout', result.stdout, (line) => line);
+  block('stderr', result.stderr, chalk.yellow);
+
+  if (!result.error && !result.stdout && !result.stderr) {
+    lines.push(chalk.gray('  (no output)'));
+  }
+
+  return lines.join('\n');
+}
+
+export default {
+  getCommandHistory,
+  recordCommand,
+  runCommand,
+  formatCommandResult,
+};
@@ -0,0 +1,279 @@
+import { createReadStream, createWriteStream, existsSync, statSync } from 'fs';
+import { basename, dirname, relative, resolve, sep } from 'path';
+import { pipeline } from 'stream/promises';
+import tar from 'tar-stream';
+import tarFs from 'tar-fs';
+import { getContainer } from './docker.js';
+
+// Listing a directory downloads everything below it; stop reading big trees after this much
+const LIST_SCAN_LIMIT = 64 * 1024 * 1024;
+
+// Files larger than this are only shown partially in the viewer
+export const VIEW_LIMIT = 1024 * 1024;
+
+export const CHANGE_KINDS = ['changed', 'added', 'deleted'];
+
+/**
+ * Join container paths
+ * @param {string} dir - Directory
+ * @param {string} name - Entry name
+ * @returns {string}
+ */
+export function joinContainerPath(dir, name) {
+  return `${dir.replace(/\/+$/, '')}/${name}`;
+}
+
+/**
+ * Get the parent of a container path
+ * @param {string} path - Path
+ * @returns {string}
+ */
+export function parentPath(path) {
+  const parent = path.replace(/\/+$/, '').replace(/\/[^/]*$/, '');
+  return parent || '/';
+}
+
+/**
+ * Map a tar header type to an entry type
+ * @param {string} type - tar-stream header type
+ * @returns {'directory'|'file'|'symlink'|'other'}
+ */
+function entryType(type) {
+  if (type === 'directory') return 'directory';
+  if (type === 'file' || type === 'contiguous-file') return 'file';
+  if (type === 'symlink' || type === 'link') return 'symlink';
+  return 'other';
+}
+
+/**
+ * Read the tar stream of a container path, calling onEntry for each entry
+ * Works without a shell in the container, since it only uses the archive API
+ * @param {string} idOrName - Container ID or name
+ * @param {string} path - Path in the container
+ * @param {Function} onEntry - (header, stream) => Promise<boolean|void>; return false to stop reading
+ * @returns {Promise<{stopped: boolean}>}
+ */
+async function readArchive(idOrName, path, onEntry) {
+  const source = await getContainer(idOrName).getArchive({ path });
+  const extract = tar.extract();
+  let stopped = false;
+
+  return new Promise((resolvePromise, reject) => {
+    const done = () => resolvePromise({ stopped });
+
+    extract.on('entry', async (header, stream, next) => {
+      try {
+        const keepGoing = await onEntry(header, stream);
+        if (keepGoing === false) {
+          stopped = true;
+          source.destroy();
+          return done();
+        }
+        stream.on('end', next);
+        stream.resume();
+      } catch (error) {
+        source.destroy();
+        reject(error);
+      }
+    });
+
+    extract.on('finish', done);
+    extract.on('error', reject);
+    source.on('error', (error) => (stopped ? done() : reject(error)));
+    source.pipe(extract);
+  });
+}
+
+/**
+ * Get the stat of a path in a container (follows the path but not a trailing symlink)
+ * @param {string} idOrName - Container ID or name
+ * @param {string} path - Path in the container
+ * @returns {Promise<{name: string, size: number, mode: number, mtime: string, linkTarget: string, isDirectory: boolean}>}
+ */
+export async function statPath(idOrName, path) {
+  const response = await getContainer(idOrName).infoArchive({ path });
+  const header = response.headers?.['x-docker-container-path-stat'];
+  response.resume?.();
+  if (!header) {
+    throw new Error(`Could not stat ${path}`);
+  }
+
+  const stat = JSON.parse(Buffer.from(header, 'base64').toString('utf8'));
+  // The mode uses Go's FileMode bits; ModeDir is the top bit
+  return { ...stat, isDirectory: (stat.mode & 0x80000000) !== 0 };
+}
+
+/**
+ * List a directory in a container
+ * Subdirectory sizes are totals of everything below them
+ * @param {string} idOrName - Container ID or name
+ * @param {string} path - Directory path
+ * @returns {Promise<{entries: Object[], truncated: boolean}>} - Entries (name, type, size, mode, mtime, linkname), directories first
+ */
+export async function listDirectory(idOrName, path) {
+  const children = new Map();
+  let scanned = 0;
+
+  // Entries are named after the directory itself (app/, app/server.js) or, for /, relative to it
+  const root = path.replace(/\/+$/, '').split('/').pop();
+
+  const { stopped } = await readArchive(idOrName, path, (header) => {
+    const name = header.name.replace(/\/+$/, '').replace(/^\.(\/|$)/, '');
+    const inside = root && (name === root || name.startsWith(`${root}/`)) ? name.substring(root.length) : name;
+    const parts = inside.split('/').filter(Boolean);
+
+    if (parts.length === 0) return true;
+
+    const size = header.type === 'file' ? header.size : 0;
+    const [child] = parts;
+
+    if (parts.length === 1) {
+      const existing = children.get(child);
+      children.set(child, {
+        name: child,
+        type: entryType(header.type),
+        size: (existing?.size || 0) + size,
+        mode: header.mode,
+        mtime: header.mtime,
+        linkname: header.linkname || null,
+      });
+    } else {
+      // Header for a nested entry; add its size to the top-level directory
+      const parent = children.get(child) || { name: child, type: 'directory', size: 0, mode: 0, mtime: null, linkname: null };
+      parent.size += size;
+      children.set(child, parent);
+    }
+
+    scanned += 512 + size;
+    return scanned < LIST_SCAN_LIMIT;
+  });
+
+  const order = { directory: 0, symlink: 1, file: 2, other: 3 };
+  const entries = [...children.values()].sort((a, b) => order[a.type] - order[b.type] || a.name.localeCompare(b.name));
+
+  return { entries, truncated: stopped };
+}
+
+/**
+ * Read a file from a container
+ * @param {string} idOrName - Container ID or name
+ * @param {string} path - File path
+ * @param {number} limit - Maximum bytes to read
+ * @returns {Promise<{content: Buffer, size: number, truncated: boolean, binary: boolean}>}
+ */
+export async function readFile(idOrName, path, limit = VIEW_LIMIT) {
+  let result = null;
+
+  await readArchive(idOrName, path, async (header, stream) => {
+    if (entryType(header.type) !== 'file') {
+      throw new Error(`${path} is not a regular file`);
+    }
+
+    const chunks = [];
+    let length = 0;
+    for await (const chunk of stream) {
+      if (length < limit) {
+        chunks.push(chunk);
+        length += chunk.length;
+      }
+      if (length >= limit) break;
+    }
+
+    const content = Buffer.concat(chunks).subarray(0, limit);
+    result = {
+      content,
+      size: header.size,
+      truncated: header.size > content.length,
+      binary: content.subarray(0, 8000).includes(0),
+    };
+    return false;
+  });
+
+  if (!result) {
+    throw new Error(`${path} not found`);
+  }
+  return result;
+}
+
+/**
+ * Copy a file or directory out of a container
+ * A destination ending in .tar receives the raw archive; otherwise it is extracted like `docker cp`
+ * Links pointing outside the destination are skipped rather than written to the host
+ * @param {string} idOrName - Container ID or name
+ * @param {string} path - Path in the container
+ * @param {string} destination - Host directory (or .tar file)
+ * @returns {Promise<{path: string, skippedLinks: string[]}>} - Path written on the host and links that were left out
+ */
+export async function copyFromContainer(idOrName, path, destination) {
+  const target = resolve(destination);
+  const source = await getContainer(idOrName).getArchive({ path });
+
+  if (target.endsWith('.tar')) {
+    await pipeline(source, createWriteStream(target));
+    return { path: target, skippedLinks: [] };
+  }
+
+  if (existsSync(target) && !statSync(target).isDirectory()) {
+    throw new Error(`${target} is not a directory`);
+  }
+
+  const skippedLinks = [];
+  const ignore = (name, header) => {
+    if (header?.type !== 'symlink' && header?.type !== 'link') return false;
+    // Symlinks are relative to their own directory, hard links to the root of the archive
+    const linked = header.type === 'symlink' ? resolve(dirname(name), header.linkname) : resolve(target, header.linkname);
+    if (linked === target || linked.startsWith(target + sep)) return false;
+    skippedLinks.push(`${relative(target, name)} → ${header.linkname}`);
+    return true;
+  };
+
+  await pipeline(source, tarFs.extract(target, { ignore }));
+  return { path: resolve(target, basename(path.replace(/\/+$/, '')) || '.'), skippedLinks };
+}
+
+/**
+ * Copy a host file or directory into a container directory
+ * A source ending in .tar is uploaded as is and unpacked by Docker
+ * @param {string} idOrName - Container ID or name
+ * @param {string} source - Host path
+ * @param {string} directory - Existing directory in the container
+ * @returns {Promise<string>} - Path written in the container
+ */
+export async function copyToContainer(idOrName, source, directory) {
+  const path = resolve(source);
+  if (!existsSync(path)) {
+    throw new Error(`${source} does not exist`);
+  }
+
+  const archive = path.endsWith('.tar') && statSync(path).isFile()
+    ? createReadStream(path)
+    : tarFs.pack(dirname(path), { entries: [basename(path)] });
+
+  await getContainer(idOrName).putArchive(archive, { path: directory });
+  return path.endsWith('.tar') ? directory : joinContainerPath(directory, basename(path));
+}
+
+/**
+ * Get filesystem changes of a container compared to its image
+ * @param {string} idOrName - Container ID or name
+ * @returns {Promise<Array<{path: string, kind: 'changed'|'added'|'deleted'}>>} - Sorted by path
+ */
+export async function getChanges(idOrName) {
+  const changes = (await getContainer(idOrName).changes()) || [];
+  return changes
+    .map((change) => ({ path: change.Path, kind: CHANGE_KINDS[change.Kind] }))
+    .sort((a, b) => a.path.localeCompare(b.path));
+}
+
+export default {
+  VIEW_LIMIT,
+  CHANGE_KINDS,
+  joinContainerPath,
+  parentPath,
+  statPath,
+  listDirectory,
+  readFile,
+  copyFromContainer,
+  copyToContainer,
+  getChanges,
+};
@@ -0,0 +1,272 @@
+import { existsSync, mkdirSync, readFileSync, readdirSync, appendFileSync, writeFileSync, unlinkSync } from 'fs';
+import { homedir } from 'os';
+import { join } from 'path';
+import { getContainer, listContainers, getActiveHost } from './docker.js';
+import { loadConfig } from './utils/config.js';
+import { readIoCounters, sumIo, getSampleTime } from './utils/io-stats.js';
+
+const HISTORY_DIR = join(homedir(), '.config', 'dockerdash', 'history');
+const PRUNE_INTERVAL = 60 * 60 * 1000; // ms
+
+export const HISTORY_WINDOWS = [
+  { label: '5m', ms: 5 * 60 * 1000 },
+  { label: '1h', ms: 60 * 60 * 1000 },
+  { label: '24h', ms: 24 * 60 * 60 * 1000 },
+];
+
+/**
+ * Get the history directory for the active Docker host
+ * Samples are kept per host so containers with the same name on different daemons don't mix
+ * @returns {string}
+ */
+function getHostDir() {
+  return join(HISTORY_DIR, getActiveHost().name.replace(/[^\w.-]/g, '_'));
+}
+
+/**
+ * Get the history file for a container
+ * @param {string} containerName - Container name
+ * @returns {string}
+ */
+function getHistoryFile(containerName) {
+  return join(getHostDir(), `${containerName.replace(/[^\w.-]/g, '_')}.jsonl`);
+}
+
+/**
+ * Convert a raw Docker stats object into a compact history sample
+ * CPU is calculated against precpu_stats, which Docker fills in for both streamed and one-shot stats
+ * @param {Object} stats - Raw Docker stats
+ * @returns {Object} - { t, cpu, mem, memLimit, rx, tx, read, write, pids }
+ */
+export function toSample(stats) {
+  const cpuDelta = stats.cpu_stats.cpu_usage.total_usage - (stats.precpu_stats?.cpu_usage?.total_usage || 0);
+  const systemDelta = stats.cpu_stats.system_cpu_usage - (stats.precpu_stats?.system_cpu_usage || 0);
+  const cpuCount = stats.cpu_stats.online_cpus || 1;
+  const cpu = systemDelta > 0 ? Math.min(100, (cpuDelta / systemDelta) * cpuCount * 100) : 0;
+
+  const { rx, tx, read, write } = sumIo(readIoCounters(stats));
+
+  return {
+    t: getSampleTime(stats),
+    cpu: Math.round(cpu * 100) / 100,
+    mem: stats.memory_stats.usage || 0,
+    memLimit: stats.memory_stats.limit || 0,
+    rx,
+    tx,
+    read,
+    write,
+    pids: stats.pids_stats?.current || 0,
+  };
+}
+
+/**
+ * Append a sample to a container's history
+ * @param {string} containerName - Container name
+ * @param {Object} sample - Sample from toSample()
+ */
+export function recordSample(containerName, sample) {
+  const dir = getHostDir();
+  if (!existsSync(dir)) {
+    mkdirSync(dir, { recursive: true });
+  }
+  appendFileSync(getHistoryFile(containerName), JSON.stringify(sample) + '\n');
+}
+
+/**
+ * Read a container's samples within a time range
+ * @param {string} containerName - Container name
+ * @param {number} since - Start time (ms since epoch)
+ * @param {number} until - End time (ms since epoch)
+ * @returns {Object[]} - Samples sorted by time
+ */
+export function readHistory(containerName, since = 0, until = Infinity) {
+  const file = getHistoryFile(containerName);
+  if (!existsSync(file)) return [];
+
+  const samples = [];
+  for (const line of readFileSync(file, 'utf8').split('\n')) {
+    if (!line) continue;
+    try {
+      const sample = JSON.parse(line);
+      if (sample.t >= since && sample.t <= until) samples.push(sample);
+    } catch {
+      // Skip partially written lines
+    }
+  }
+
+  return samples.sort((a, b) => a.t - b.t);
+}
+
+/**
+ * Drop samples older than the retention period, removing files that end up empty
+ * @param {number} retention - Retention period in ms
+ * @returns {number} - Number of samples removed
+ */
+export function pruneHistory(retention = loadConfig().historyRetention) {
+  const dir = getHostDir();
+  if (!existsSync(dir)) return 0;
+
+  const cutoff = Date.now() - retention;
+  let removed = 0;
+
+  for (const file of readdirSync(dir).filter((name) => name.endsWith('.jsonl'))) {
+    const path = join(dir, file);
+    const lines = readFileSync(path, 'utf8').split('\n').filter(Boolean);
+    const kept = lines.filter((line) => {
+      try {
+        return JSON.parse(line).t >= cutoff;
+      } catch {
+        return false;
+      }
+    });
+
+    removed += lines.length - kept.length;
+    if (kept.length === 0) {
+      unlinkSync(path);
+    } else if (kept.length < lines.length) {
+      writeFileSync(path, kept.join('\n') + '\n');
+    }
+  }
+
+  return removed;
+}
+
+/**
+ * Record one sample for every running container
+ * @returns {Promise<number>} - Number of containers sampled
+ */
+export async function sampleOnce() {
+  const containers = await listContainers(false);
+
+  const results = await Promise.allSettled(
+    containers.map(async (info) => {
+      const stats = await getContainer(info.Id).stats({ stream: false });
+      recordSample(info.Names[0].replace(/^\//, ''), toSample(stats));
+    })
+  );
+
+  return results.filter((result) => result.status === 'fulfilled').length;
+}
+
+let samplerTimer = null;
+
+/**
+ * Start sampling running containers into the history store
+ * @param {Object} options - Sampler options
+ * @param {number} options.interval - Sampling interval in ms
+ * @param {boolean} options.background - Don't keep the process alive just for the sampler
+ * @param {Function} options.onError - Called with sampling errors
+ * @returns {Function} - Stops the sampler
+ */
+export function startSampler(options = {}) {
+  const config = loadConfig();
+  const { interval = config.historyInterval, background = true, onError = () => {} } = options;
+
+  stopSampler();
+
+  let busy = false;
+  let lastPrune = 0;
+
+  const tick = async () => {
+    // One-shot stats take about a second per container; skip a tick rather than pile up requests
+    if (busy) return;
+    busy = true;
+    try {
+      if (Date.now() - lastPrune > PRUNE_INTERVAL) {
+        pruneHistory(config.historyRetention);
+        lastPrune = Date.now();
+      }
+      await sampleOnce();
+    } catch (error) {
+      onError(error);
+    }
+    busy = false;
+  };
+
+  samplerTimer = setInterval(tick, interval);
+  if (background) {
+    samplerTimer.unref();
+  }
+
+  return stopSampler;
+}
+
+/**
+ * Stop the background sampler
+ */
+export function stopSampler() {
+  if (samplerTimer) {
+    clearInterval(samplerTimer);
+    samplerTimer = null;
+  }
+}
+
+/**
+ * Check whether the background sampler is running
+ * @returns {boolean}
+ */
+export function isSamplerRunning() {
+  return samplerTimer !== null;
+}
+
+/**
+ * Aggregate samples into fixed-width time buckets for charting
+ * Rates come from consecutive counter deltas; counter resets (container restarts) are skipped
+ * @param {Object[]} samples - Samples sorted by time
+ * @param {number} start - Window start (ms since epoch)
+ * @param {number} end - Window end (ms since epoch)
+ * @param {number} count - Number of buckets
+ * @returns {Array<Object|null>} - { cpu, mem, memMax, rx, tx, read, write } per bucket, null where nothing was sampled
+ */
+export function bucketSamples(samples, start, end, count) {
+  const size = (end - start) / count;
+  const sums = Array.from({ length: count }, () => null);
+
+  for (let i = 0; i < samples.length; i++) {
+    const sample = samples[i];
+    if (sample.t < start || sample.t > end) continue;
+
+    const index = Math.min(count - 1, Math.floor((sample.t - start) / size));
+    const bucket = sums[index] || (sums[index] = { n: 0, cpu: 0, mem: 0, memMax: 0, rates: 0, rx: 0, tx: 0, read: 0, write: 0 });
+    bucket.n++;
+    bucket.cpu += sample.cpu;
+    bucket.mem += sample.mem;
+    bucket.memMax = Math.max(bucket.memMax, sample.mem);
+
+    const previous = samples[i - 1];
+    const elapsed = previous ? (sample.t - previous.t) / 1000 : 0;
+    if (elapsed > 0 && ['rx', 'tx', 'read', 'write'].every((key) => sample[key] >= previous[key])) {
+      bucket.rates++;
+      for (const key of ['rx', 'tx', 'read', 'write']) {
+        bucket[key] += (sample[key] - previous[key]) / elapsed;
+      }
+    }
+  }
+
+  return sums.map((bucket) => {
+    if (!bucket) return null;
+    const rate = (key) => (bucket.rates > 0 ? bucket[key] / bucket.rates : null);
+    return {
+      cpu: bucket.cpu / bucket.n,
+      mem: bucket.mem / bucket.n,
+      memMax: bucket.memMax,
+      rx: rate('rx'),
+      tx: rate('tx'),
+      read: rate('read'),
+      write: rate('write'),
+    };
+  });
+}
+
+export default {
+  HISTORY_WINDOWS,
+  toSample,
+  recordSample,
+  readHistory,
+  pruneHistory,
+  sampleOnce,
+  startSampler,
+  stopSampler,
+  isSamplerRunning,
+  bucketSamples,
+};
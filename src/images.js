@@ -1,7 +1,18 @@
 import { spawn } from 'child_process';
-import docker, { listImages, getImage, getContainer } from './docker.js';
+import { existsSync, readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { homedir } from 'os';
+import { join, resolve as resolvePath } from 'path';
+import docker, { listImages, getImage, getContainer, getDockerEnv } from './docker.js';
 import { formatBytes } from './utils/format.js';
 import { BuildProgressTracker } from './ui/build-progress.js';
+import { cloneConfig, createFromClone, safeReplace, safeReplaceBlocker, diffConfig } from './recreate.js';
+
+const BUILDS_DIR = join(homedir(), '.config', 'dockerdash');
+const BUILDS_FILE = join(BUILDS_DIR, 'builds.json');
+
+// Image labels a rebuild also accepts as the build context; buildImage doesn't add them (they would leak host paths)
+export const BUILD_CONTEXT_LABEL = 'dockerdash.build.context';
+export const BUILD_DOCKERFILE_LABEL = 'dockerdash.build.dockerfile';
 
 /**
  * Get all images with formatted info
@@ -52,8 +63,76 @@ export async function getContainerImage(containerId) {
   };
 }
 
+/**
+ * Add the default tag to an image reference (app -> app:latest)
+ * @param {string} imageName - Image reference
+ * @returns {string}
+ */
+function normalizeImageTag(imageName) {
+  const lastPart = imageName.split('/').pop();
+  return lastPart.includes(':') || lastPart.includes('@') ? imageName : `${imageName}:latest`;
+}
+
+/**
+ * Load the build contexts recorded by buildImage
+ * @returns {Object<string, {context: string, dockerfile: string}>} - By image tag
+ */
+function loadBuildMappings() {
+  try {
+    if (existsSync(BUILDS_FILE)) {
+      return JSON.parse(readFileSync(BUILDS_FILE, 'utf8'));
+    }
+  } catch {
+    // Ignore unreadable mapping files
+  }
+  return {};
+}
+
+/**
+ * Remember where an image was built from
+ * @param {string} tag - Image tag
+ * @param {Object} build - { context, dockerfile }
+ */
+function saveBuildMapping(tag, build) {
+  const mappings = loadBuildMappings();
+  mappings[normalizeImageTag(tag)] = build;
+
+  if (!existsSync(BUILDS_DIR)) {
+    mkdirSync(BUILDS_DIR, { recursive: true });
+  }
+  writeFileSync(BUILDS_FILE, JSON.stringify(mappings, null, 2));
+}
+
+/**
+ * Find the build context of a locally built image
+ * Looks at the contexts recorded by earlier builds first, then at the image's labels
+ * @param {string} imageName - Image reference
+ * @returns {Promise<{context: string, dockerfile: string}|null>}
+ */
+export async function findBuildContext(imageName) {
+  const saved = loadBuildMappings()[normalizeImageTag(imageName)];
+  if (saved && existsSync(saved.context)) {
+    return saved;
+  }
+
+  let labels = {};
+  try {
+    labels = (await inspectImage(imageName)).Config?.Labels || {};
+  } catch {
+    // Image is gone; nothing else to go on
+  }
+
+  const labelled = labels[BUILD_CONTEXT_LABEL];
+  if (labelled && existsSync(labelled)) {
+    return { context: labelled, dockerfile: labels[BUILD_DOCKERFILE_LABEL] || 'Dockerfile' };
+  }
+
+  return null;
+}
+
 /**
  * Build image from Dockerfile
+ * The context is recorded in ~/.config/dockerdash/builds.json (not on the image, which may be pushed) so rebuilds can find it
  * @param {string} context - Build context path
  * @param {Object} options - Build options
  * @returns {Promise<Object>}
@@ -80,7 +159,14 @@ export function buildImage(context, options = {}) {
       args.push('--no-cache');
     }
 
-    const proc = spawn('docker', args, { shell: true });
+    // docker build reads -f relative to the working directory, so record it absolute
+    const build = {
+      context: resolvePath(context),
+      dockerfile: dockerfile === 'Dockerfile' ? dockerfile : resolvePath(dockerfile),
+    };
+
+    // No shell: paths are passed to docker exactly as given
+    const proc = spawn('docker', args, { env: getDockerEnv() });
     const tracker = new BuildProgressTracker();
 
     let stdout = '';
@@ -108,6 +194,14 @@ export function buildImage(context, options = {}) {
     proc.stderr.on('data', (data) => processOutput(data, 'stderr'));
 
     proc.on('close', (code) => {
+      if (code === 0 && tag) {
+        try {
+          saveBuildMapping(tag, build);
+        } catch {
+          // The image is built; a missing mapping only means the next rebuild asks for the context
+        }
+      }
+
       resolve({
         code,
         stdout,
@@ -138,6 +232,45 @@ export async function tagImage(sourceImage, targetImage) {
   });
 }
 
+/**
+ * Pull an image from its registry
+ * @param {string} imageName - Image reference (tag defaults to latest)
+ * @param {Object} options - Pull options
+ * @param {Function} options.onProgress - Called with each progress event ({ status, progress, id })
+ * @returns {Promise<Array>} - All progress events
+ */
+export async function pullImage(imageName, options = {}) {
+  const { onProgress = null } = options;
+
+  return new Promise((resolve, reject) => {
+    docker.pull(imageName, (err, stream) => {
+      if (err) return reject(err);
+
+      docker.modem.followProgress(stream, (err, output) => {
+        if (err) return reject(err);
+        resolve(output);
+      }, (event) => {
+        if (onProgress) onProgress(event);
+      });
+    });
+  });
+}
+
+/**
+ * Check whether an image exists locally
+ * @param {string} imageName - Image reference or ID
+ * @returns {Promise<boolean>}
+ */
+export async function imageExists(imageName) {
+  try {
+    await getImage(imageName).inspect();
+    return true;
+  } catch (error) {
+    if (error.statusCode === 404) return false;
+    throw error;
+  }
+}
+
 /**
  * Get image history (layers)
  * @param {string} imageId - Image ID or name
@@ -180,13 +313,27 @@ export async function getImageTags(imageId) {
 }
 
 /**
- * Quick rebuild: stop container, rebuild image, recreate container
+ * Quick rebuild: rebuild (or pull) the image, then stop and recreate the container on it
+ * Locally built images are rebuilt from their build context (see findBuildContext); pulled images are pulled again
  * @param {string} containerId - Container ID or name
  * @param {Object} options - Rebuild options
+ * @param {boolean} options.noCache - Build without cache
+ * @param {Function} options.onOutput - Called with status messages
+ * @param {Function} options.onBuildProgress - Called with the BuildProgressTracker while building
+ * @param {Object} options.buildContext - { context, dockerfile } to build from, overriding the known context
+ * @param {Function} options.resolveBuildContext - Called with the image name when no context is known; resolves { context, dockerfile } or null
+ * @param {boolean} options.safe - Keep the old container until the new one runs, and restore it on failure (see safeReplace; default true)
  * @returns {Promise<Object>}
  */
 export async function quickRebuild(containerId, options = {}) {
-  const { noCache = false, onOutput = null } = options;
+  const {
+    noCache = false,
+    onOutput = null,
+    onBuildProgress = null,
+    buildContext = null,
+    resolveBuildContext = null,
+    safe = true,
+  } = options;
 
   const log = (msg) => {
     if (onOutput) onOutput(msg + '\n', 'info');
@@ -202,17 +349,18 @@ export async function quickRebuild(containerId, options = {}) {
     const wasRunning = info.State.Running;
 
     // Check if this is a compose container
-    const composeProject = info.Config.Labels?.['com.docker.compose.project'];
-    const composeService = info.Config.Labels?.['com.docker.compose.service'];
-    const composeWorkingDir = info.Config.Labels?.['com.docker.compose.project.working_dir'];
+    const { getComposeInfo, composeRebuild } = await import('./compose.js');
+    const compose = getComposeInfo({ Labels: info.Config.Labels });
+    const composeProject = compose?.projectName;
+    const composeService = compose?.serviceName;
 
-    if (composeProject && composeWorkingDir) {
+    if (compose?.workingDir) {
       // Use docker compose for rebuild
       log(`Detected Compose project: ${composeProject}`);
       log(`Rebuilding service: ${composeService}`);
 
-      const { composeRebuild } = await import('./compose.js');
-      const result = await composeRebuild(composeWorkingDir, composeService, {
+      const project = { name: composeProject, workingDir: compose.workingDir, configFiles: compose.configFiles };
+      const result = await composeRebuild(project, composeService, {
         noCache,
         onOutput,
       });
@@ -226,56 +374,106 @@ export async function quickRebuild(containerId, options = {}) {
       };
     }
 
-    // 2. Stop container if running
-    if (wasRunning) {
-      log('Stopping container...');
-      await container.stop();
+    // Refuse before spending time on a build that safe mode couldn't use
+    const blocker = safe ? safeReplaceBlocker(info) : null;
+    if (blocker) {
+      return { success: false, error: blocker };
     }
 
-    // 3. Get container config for recreation
-    const containerConfig = {
-      Image: imageName,
-      name: info.Name.replace(/^\//, ''),
-      Hostname: info.Config.Hostname,
-      Env: info.Config.Env,
-      Cmd: info.Config.Cmd,
-      ExposedPorts: info.Config.ExposedPorts,
-      HostConfig: info.HostConfig,
-      NetworkingConfig: {
-        EndpointsConfig: info.NetworkSettings.Networks,
-      },
-    };
+    // 2. Rebuild or pull the image while the old container keeps running
+    const image = await inspectImage(info.Image).catch(() => null);
+    const isPulled = (image?.RepoDigests || []).length > 0;
+    let newImage = imageName;
+    let build = buildContext || (await findBuildContext(imageName));
 
-    // 4. Check if we can build (need build context)
-    // For now, just pull if it's a remote image or skip build for local
-    const isLocalBuild = !imageName.includes('/') || imageName.startsWith('localhost');
+    if (!build && !isPulled && resolveBuildContext) {
+      build = await resolveBuildContext(imageName);
+    }
 
-    if (!isLocalBuild) {
-      // Pull latest image
+    if (build) {
+      log(`Building ${imageName} from ${build.context}...`);
+      // A container started from an image ID gets the new ID; otherwise the name is re-tagged
+      const tag = imageName.startsWith('sha256:') ? null : imageName;
+      const result = await buildImage(build.context, {
+        dockerfile: build.dockerfile,
+        tag,
+        noCache,
+        onProgress: onBuildProgress,
+      });
+
+      if (result.code !== 0) {
+        return {
+          success: false,
+          method: 'build',
+          error: result.tracker.errors.at(-1) || `docker build exited with code ${result.code}`,
+          tracker: result.tracker,
+        };
+      }
+      if (!tag) {
+        newImage = (await getImage(result.imageId || imageName).inspect()).Id;
+      }
+    } else if (isPulled) {
       log(`Pulling latest image: ${imageName}`);
-      await new Promise((resolve, reject) => {
-        docker.pull(imageName, (err, stream) => {
-          if (err) return reject(err);
-
-          docker.modem.followProgress(stream, (err, output) => {
-            if (err) return reject(err);
-            resolve(output);
-          }, (event) => {
-            if (event.status && onOutput) {
-              onOutput(`${event.status} ${event.progress || ''}\n`, 'stdout');
-            }
-          });
-        });
+      await pullImage(imageName, {
+        onProgress: (event) => {
+          if (event.status && onOutput) {
+            onOutput(`${event.status} ${event.progress || ''}\n`, 'stdout');
+          }
+        },
       });
+    } else {
+      return {
+        success: false,
+        method: 'build',
+        error: `No build context known for ${imageName}; build it once with dockerdash or give its context`,
+        needsContext: true,
+      };
+    }
+
+    // 3. Get container config for recreation; values the old image set come from the new image instead
+    const clone = cloneConfig(info, { image: newImage, imageConfig: image?.Config || null });
+    const method = build ? 'build' : 'pull';
+
+    if (safe) {
+      // Keep the old container (renamed aside) until the new one is up; restore it if anything fails
+      const replaced = await safeReplace(info, clone, { onStep: (label) => log(`${label}...`) });
+
+      if (!replaced.ok) {
+        return {
+          success: false,
+          method,
+          error: replaced.restored
+            ? `${replaced.error}; the original container was restored`
+            : `${replaced.error}; restoring the original container failed, see the steps`,
+          steps: replaced.steps,
+        };
+      }
+
+      log('Rebuild complete!');
+      return {
+        success: true,
+        method,
+        containerId: replaced.container.id,
+        imageName,
+        buildContext: build?.context || null,
+        steps: replaced.steps,
+        diff: diffConfig(info, await replaced.container.inspect()),
+      };
+    }
+
+    // 4. Stop container if running
+    if (wasRunning) {
+      log('Stopping container...');
+      await container.stop();
     }
 
     // 5. Remove old container
     log('Removing old container...');
     await container.remove();
 
-    // 6. Create new container
+    // 6. Create new container and connect its other networks
     log('Creating new container...');
-    const newContainer = await docker.createContainer(containerConfig);
+    const newContainer = await createFromClone(clone);
 
     // 7. Start if was running
     if (wasRunning) {
@@ -287,9 +485,11 @@ export async function quickRebuild(containerId, options = {}) {
 
     return {
       success: true,
-      method: 'docker',
+      method,
       containerId: newContainer.id,
       imageName,
+      buildContext: build?.context || null,
+      diff: diffConfig(info, await newContainer.inspect()),
     };
   } catch (error) {
     return {
@@ -312,9 +512,12 @@ export default {
   removeImage,
   getContainerImage,
   buildImage,
+  findBuildContext,
   quickRebuild,
   pruneImages,
   tagImage,
+  pullImage,
+  imageExists,
   getImageHistory,
   inspectImage,
   getImageTags,
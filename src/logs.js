@@ -1,119 +1,741 @@
 import chalk from 'chalk';
-import readline from 'readline';
-import { getContainer } from './docker.js';
-import { showHeader, clearScreen } from './ui/banner.js';
+import { writeFileSync } from 'fs';
+import { StringDecoder } from 'string_decoder';
+import { getContainer, listContainers } from './docker.js';
+import { loadConfig } from './utils/config.js';
+import { LogViewer, parseTimeTarget } from './ui/log-viewer.js';
 
 /**
- * Stream container logs
+ * Stream container logs into the interactive log viewer
+ * Falls back to plain output when not attached to a terminal
  * @param {string} containerName - Container name or ID
  * @param {Object} options - Log options
  * @param {number} options.tail - Number of lines to tail
  * @param {boolean} options.follow - Follow log output
- * @param {boolean} options.timestamps - Show timestamps
  */
 export async function streamLogs(containerName, options = {}) {
-  const { tail = 100, follow = true, timestamps = true } = options;
-
-  clearScreen();
-  showHeader(`Logs: ${containerName}`);
-  console.log(chalk.gray('Press Ctrl+C to exit\n'));
+  const config = loadConfig();
+  const { tail = config.logTail, follow = true } = options;
 
   const container = getContainer(containerName);
+  const tty = await isTtyContainer(container);
 
   const stream = await container.logs({
     follow,
     stdout: true,
     stderr: true,
     tail,
-    timestamps,
+    timestamps: true,
   });
 
-  return new Promise((resolve) => {
-    const onData = (chunk) => {
-      const lines = chunk.toString('utf8').split('\n');
-      for (const line of lines) {
-        if (line.trim()) {
-          // Remove Docker stream header (first 8 bytes)
-          const cleanLine = line.length > 8 ? line.substring(8) : line;
-          formatLogLine(cleanLine);
-        }
+  if (!process.stdout.isTTY || !process.stdin.isTTY) {
+    return printLogs(containerName, stream, tty, config.jsonLogKeys);
+  }
+
+  const viewer = new LogViewer({
+    title: `Logs: ${containerName}`,
+    maxLines: config.logBuffer,
+    colorize: colorizeLogLevel,
+  });
+
+  const parser = new LogStreamParser({
+    tty,
+    onLine: (line, source) => viewer.push(toLogEntry(line, source, config.jsonLogKeys)),
+  });
+  const onData = (chunk) => parser.write(chunk);
+
+  if (Buffer.isBuffer(stream)) {
+    parser.write(stream);
+    parser.flush();
+    viewer.end('End of logs');
+  } else {
+    stream.on('data', onData);
+    stream.on('end', () => {
+      parser.flush();
+      viewer.end('Log stream ended');
+    });
+    stream.on('error', (err) => viewer.end(chalk.red(`Error streaming logs: ${err.message}`)));
+  }
+
+  await viewer.run();
+
+  if (!Buffer.isBuffer(stream)) {
+    stream.removeListener('data', onData);
+    stream.destroy?.();
+  }
+}
+
+const MERGE_WINDOW = 250; // ms of lines collected before sorting by timestamp
+
+const SOURCE_COLORS = [
+  chalk.cyan,
+  chalk.yellow,
+  chalk.green,
+  chalk.magenta,
+  chalk.blue,
+  chalk.cyanBright,
+  chalk.yellowBright,
+  chalk.greenBright,
+  chalk.magentaBright,
+];
+
+/**
+ * Resolve container names for merged log tailing
+ * @param {Object} selector - Log targets
+ * @param {string[]} selector.names - Explicit container names or IDs
+ * @param {string} selector.label - Label selector (key or key=value)
+ * @param {string} selector.project - Compose project name
+ * @returns {Promise<string[]>}
+ */
+export async function resolveLogTargets(selector = {}) {
+  const { names = [], label = null, project = null } = selector;
+  const targets = [...names];
+
+  const labels = [];
+  if (label) labels.push(label);
+  if (project) labels.push(`com.docker.compose.project=${project}`);
+
+  if (labels.length > 0) {
+    const containers = await listContainers(true, { label: labels });
+    for (const container of containers) {
+      targets.push(container.Names[0].replace(/^\//, ''));
+    }
+  }
+
+  return [...new Set(targets)];
+}
+
+/**
+ * Follow several containers at once, interleaving lines by timestamp
+ * Each line is prefixed with a color-coded container name, like `docker compose logs`
+ * @param {string[]} containerNames - Container names or IDs
+ * @param {Object} options - Log options
+ * @param {number} options.tail - Number of lines to tail per container
+ * @param {boolean} options.follow - Follow log output
+ * @param {string} options.title - Viewer title
+ */
+export async function streamMergedLogs(containerNames, options = {}) {
+  const config = loadConfig();
+  const { tail = config.logTail, follow = true, title = null } = options;
+
+  // One missing or stopped container shouldn't take the others' logs down with it
+  const settled = await Promise.allSettled(
+    containerNames.map(async (name) => {
+      const container = getContainer(name);
+      const tty = await isTtyContainer(container);
+      // Docker's since is in whole seconds; lines repeated from the tail are dropped below
+      const since = Math.floor(Date.now() / 1000);
+      const history = await container.logs({ follow: false, stdout: true, stderr: true, tail, timestamps: true });
+      const stream = follow
+        ? await container.logs({ follow: true, stdout: true, stderr: true, since, timestamps: true })
+        : null;
+      return { name, tty, history, stream };
+    })
+  );
+  const sources = settled.filter((result) => result.status === 'fulfilled').map((result) => result.value);
+
+  const prefixWidth = Math.max(...containerNames.map((name) => name.length)) + 2;
+  const prefixes = new Map(
+    containerNames.map((name, i) => [
+      name,
+      SOURCE_COLORS[i % SOURCE_COLORS.length](`${name.padEnd(prefixWidth - 2)} |`),
+    ])
+  );
+
+  const interactive = process.stdout.isTTY && process.stdin.isTTY;
+  const viewer = interactive
+    ? new LogViewer({
+      title: title || `Logs: ${containerNames.join(', ')}`,
+      maxLines: config.logBuffer,
+      colorize: colorizeLogLevel,
+      prefixWidth,
+    })
+    : null;
+
+  // Live lines from different streams arrive in bursts; sort each window before emitting
+  const pending = [];
+  const flush = () => {
+    pending.sort((a, b) => (a.timestamp?.getTime() ?? 0) - (b.timestamp?.getTime() ?? 0));
+    for (const entry of pending.splice(0)) {
+      if (viewer) {
+        viewer.push(entry);
+      } else {
+        console.log(formatLogEntry(entry));
       }
-    };
+    }
+  };
+
+  settled.forEach((result, i) => {
+    if (result.status === 'rejected') {
+      pending.push({
+        timestamp: new Date(),
+        message: `Could not stream logs: ${result.reason.message}`,
+        level: 'error',
+        stream: 'stderr',
+        prefix: prefixes.get(containerNames[i]),
+      });
+    }
+  });
+
+  // The tails are complete before anything is shown, so the whole history is merged in timestamp order
+  const historyEnd = new Map();
+  for (const { name, tty, history } of sources) {
+    const parser = new LogStreamParser({
+      tty,
+      onLine: (line, source) => {
+        const entry = { ...toLogEntry(line, source, config.jsonLogKeys), prefix: prefixes.get(name) };
+        const end = historyEnd.get(name);
+        if (entry.timestamp && (!end || entry.timestamp > end)) historyEnd.set(name, entry.timestamp);
+        pending.push(entry);
+      },
+    });
+    parser.write(history);
+    parser.flush();
+  }
+  flush();
+
+  const mergeLoop = setInterval(flush, MERGE_WINDOW);
 
-    const cleanup = () => {
-      stream.removeListener('data', onData);
-      stream.destroy?.();
-      process.stdin.setRawMode?.(false);
-      process.stdin.removeListener('keypress', onKeypress);
+  const live = sources.filter((source) => source.stream);
+  let open = live.length;
+  const finished = new Set();
+  const done = new Promise((resolve) => {
+    const onAllEnded = () => {
+      flush();
+      viewer?.end('All log streams ended');
       resolve();
     };
 
-    const onKeypress = (str, key) => {
-      if (key && (key.name === 'q' || (key.ctrl && key.name === 'c'))) {
-        cleanup();
-      }
+    // A failing stream can emit both error and end; count each source once
+    const onSourceEnd = (name) => {
+      if (finished.has(name)) return;
+      finished.add(name);
+      open--;
+      if (open === 0) onAllEnded();
     };
 
-    // Handle stream events
-    stream.on('data', onData);
-    stream.on('end', cleanup);
+    if (open === 0) onAllEnded();
+
+    for (const { name, tty, stream } of live) {
+      const parser = new LogStreamParser({
+        tty,
+        onLine: (line, source) => {
+          const entry = { ...toLogEntry(line, source, config.jsonLogKeys), prefix: prefixes.get(name) };
+          // Already shown as part of the tail
+          if (entry.timestamp && entry.timestamp <= historyEnd.get(name)) return;
+          pending.push(entry);
+        },
+      });
+
+      stream.on('data', (chunk) => parser.write(chunk));
+      stream.on('end', () => {
+        parser.flush();
+        onSourceEnd(name);
+      });
+      stream.on('error', (err) => {
+        pending.push({
+          timestamp: new Date(),
+          message: `Error streaming logs: ${err.message}`,
+          level: 'error',
+          stream: 'stderr',
+          prefix: prefixes.get(name),
+        });
+        onSourceEnd(name);
+      });
+    }
+  });
+
+  await (viewer ? viewer.run() : done);
+
+  clearInterval(mergeLoop);
+  for (const { stream } of live) {
+    stream.removeAllListeners('data');
+    stream.destroy?.();
+  }
+  if (!viewer) flush();
+}
+
+/**
+ * Print logs as plain lines (non-interactive output)
+ * @param {string} containerName - Container name
+ * @param {Buffer|Stream} stream - Logs buffer or stream
+ * @param {boolean} tty - Container uses a TTY (no stream multiplexing)
+ * @param {Object} jsonKeys - Key names for structured (JSON) log lines
+ * @returns {Promise<void>}
+ */
+function printLogs(containerName, stream, tty, jsonKeys) {
+  const parser = new LogStreamParser({
+    tty,
+    onLine: (line, source) => console.log(formatLogEntry(toLogEntry(line, source, jsonKeys))),
+  });
+
+  if (Buffer.isBuffer(stream)) {
+    parser.write(stream);
+    parser.flush();
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve) => {
+    stream.on('data', (chunk) => parser.write(chunk));
+    stream.on('end', () => {
+      parser.flush();
+      resolve();
+    });
     stream.on('error', (err) => {
-      console.error(chalk.red(`Error streaming logs: ${err.message}`));
-      cleanup();
+      console.error(chalk.red(`Error streaming logs for ${containerName}: ${err.message}`));
+      resolve();
     });
+  });
+}
 
-    // Handle user input for exit
-    if (process.stdin.isTTY) {
-      readline.emitKeypressEvents(process.stdin);
-      process.stdin.setRawMode(true);
-      process.stdin.resume();
-      process.stdin.on('keypress', onKeypress);
+/**
+ * Check whether a container was created with a TTY
+ * TTY containers write raw output; all others use multiplexed stdout/stderr frames
+ * @param {Docker.Container} container - Container
+ * @returns {Promise<boolean>}
+ */
+async function isTtyContainer(container) {
+  const info = await container.inspect();
+  return Boolean(info.Config?.Tty);
+}
+
+const STREAM_TYPES = { 0: 'stdin', 1: 'stdout', 2: 'stderr' };
+const FRAME_HEADER_SIZE = 8;
+
+/**
+ * Incremental parser for Docker log output
+ * Demultiplexes stdout/stderr frames (8-byte header: stream type, 3 padding bytes,
+ * uint32 BE payload size) and reassembles lines split across frames or chunks
+ */
+export class LogStreamParser {
+  /**
+   * @param {Object} options - Parser options
+   * @param {boolean} options.tty - Raw TTY output (no frame headers)
+   * @param {Function} options.onLine - Called with (line, stream) for each complete line
+   */
+  constructor(options = {}) {
+    this.tty = Boolean(options.tty);
+    this.onLine = options.onLine || (() => {});
+    this.buffer = Buffer.alloc(0);
+    this.decoders = {};
+    this.pending = {};
+  }
+
+  /**
+   * Feed a chunk of raw log data
+   * @param {Buffer} chunk - Raw data from the Docker API
+   */
+  write(chunk) {
+    if (this.tty) {
+      this.append('stdout', chunk);
+      return;
     }
-  });
+
+    this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+    while (this.buffer.length >= FRAME_HEADER_SIZE) {
+      const size = this.buffer.readUInt32BE(4);
+      if (this.buffer.length < FRAME_HEADER_SIZE + size) break;
+
+      const source = STREAM_TYPES[this.buffer[0]] || 'stdout';
+      this.append(source, this.buffer.subarray(FRAME_HEADER_SIZE, FRAME_HEADER_SIZE + size));
+      this.buffer = this.buffer.subarray(FRAME_HEADER_SIZE + size);
+    }
+  }
+
+  /**
+   * Decode a payload and emit every completed line
+   * @param {string} source - stdout or stderr
+   * @param {Buffer} payload - Frame payload
+   */
+  append(source, payload) {
+    if (!this.decoders[source]) {
+      this.decoders[source] = new StringDecoder('utf8');
+      this.pending[source] = '';
+    }
+
+    const lines = (this.pending[source] + this.decoders[source].write(payload)).split('\n');
+    this.pending[source] = lines.pop();
+
+    for (const line of lines) {
+      this.emit(line, source);
+    }
+  }
+
+  /**
+   * Emit a line, dropping the carriage return TTY output adds
+   * @param {string} line - Line text
+   * @param {string} source - stdout or stderr
+   */
+  emit(line, source) {
+    const clean = line.endsWith('\r') ? line.slice(0, -1) : line;
+    if (clean.trim()) {
+      this.onLine(clean, source);
+    }
+  }
+
+  /**
+   * Emit any trailing partial lines (call when the stream ends)
+   */
+  flush() {
+    for (const source of Object.keys(this.pending)) {
+      const rest = this.pending[source] + this.decoders[source].end();
+      this.pending[source] = '';
+      if (rest) this.emit(rest, source);
+    }
+  }
 }
 
 /**
- * Format and print a log line
+ * Split a log line into its timestamp and message
  * @param {string} line - Log line
+ * @returns {{timestamp: Date|null, rawTimestamp: string|null, message: string}}
  */
-function formatLogLine(line) {
-  // Try to parse timestamp
-  const timestampMatch = line.match(/^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d+Z)\s*(.*)$/);
+export function parseLogLine(line) {
+  const timestampMatch = line.match(/^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d+Z) ?(.*)$/);
 
   if (timestampMatch) {
-    const timestamp = new Date(timestampMatch[1]).toLocaleTimeString();
-    const message = timestampMatch[2];
-    console.log(`${chalk.gray(timestamp)} ${colorizeLogLevel(message)}`);
-  } else {
-    console.log(colorizeLogLevel(line));
+    return {
+      timestamp: new Date(timestampMatch[1]),
+      rawTimestamp: timestampMatch[1],
+      message: timestampMatch[2],
+    };
+  }
+
+  return { timestamp: null, rawTimestamp: null, message: line };
+}
+
+// Numeric levels used by pino and bunyan
+const NUMERIC_LEVELS = {
+  10: 'trace',
+  20: 'debug',
+  30: 'info',
+  40: 'warn',
+  50: 'error',
+  60: 'fatal',
+};
+
+// Level names emitted by structured loggers, mapped onto the levels the UI colors
+const LEVEL_ALIASES = {
+  trace: 'debug',
+  debug: 'debug',
+  info: 'info',
+  notice: 'info',
+  warn: 'warn',
+  warning: 'warn',
+  error: 'error',
+  err: 'error',
+  fatal: 'error',
+  crit: 'error',
+  critical: 'error',
+  alert: 'error',
+  emerg: 'error',
+  panic: 'error',
+  dpanic: 'error',
+};
+
+/**
+ * Find the first candidate key present in a record
+ * @param {Object} record - Parsed JSON log record
+ * @param {string[]} candidates - Key names in order of preference
+ * @returns {string|undefined}
+ */
+function pickKey(record, candidates = []) {
+  return candidates.find((key) => record[key] !== undefined && record[key] !== null);
+}
+
+/**
+ * Normalize a structured log level
+ * @param {string|number} value - Level value (pino/bunyan numbers or names)
+ * @returns {{level: string|null, name: string}}
+ */
+function normalizeLevel(value) {
+  if (typeof value === 'number') {
+    const name = NUMERIC_LEVELS[value] || String(value);
+    if (value <= 20) return { level: 'debug', name };
+    if (value < 40) return { level: 'info', name };
+    if (value < 50) return { level: 'warn', name };
+    return { level: 'error', name };
   }
+
+  const name = String(value).toLowerCase();
+  return { level: LEVEL_ALIASES[name] || null, name };
 }
 
 /**
- * Colorize log line based on log level
+ * Convert a structured log timestamp into a Date
+ * Numbers are epoch milliseconds (pino) or epoch seconds (zap)
+ * @param {string|number} value - Timestamp value
+ * @returns {Date|null}
+ */
+function toTimestamp(value) {
+  let date = null;
+  if (typeof value === 'number') {
+    date = new Date(value > 1e11 ? value : value * 1000);
+  } else if (typeof value === 'string') {
+    date = new Date(value);
+  }
+  return date && !isNaN(date.getTime()) ? date : null;
+}
+
+/**
+ * Flatten nested objects into dot-separated keys
+ * @param {Object} record - Object to flatten
+ * @param {string} prefix - Key prefix
+ * @param {Object} out - Accumulator
+ * @returns {Object}
+ */
+function flattenFields(record, prefix = '', out = {}) {
+  for (const [key, value] of Object.entries(record)) {
+    if (value && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length > 0) {
+      flattenFields(value, `${prefix}${key}.`, out);
+    } else {
+      out[`${prefix}${key}`] = value;
+    }
+  }
+  return out;
+}
+
+/**
+ * Format flattened fields as compact key=value pairs
+ * @param {Object} fields - Flattened fields
+ * @returns {string}
+ */
+function formatFields(fields) {
+  return Object.entries(fields)
+    .map(([key, value]) => {
+      if (typeof value === 'string') {
+        return `${key}=${value === '' || /[\s="]/.test(value) ? JSON.stringify(value) : value}`;
+      }
+      return `${key}=${JSON.stringify(value)}`;
+    })
+    .join(' ');
+}
+
+// Key names for callers that don't pass their own; loaded once instead of reading the config per line
+let defaultJsonKeys = null;
+
+/**
+ * Parse a JSON log line (pino, zap, bunyan style)
  * @param {string} message - Log message
+ * @param {Object} keys - Candidate key names ({level, message, timestamp})
+ * @returns {Object|null} - { level, levelName, message, timestamp, fields, details } or null for non-JSON lines
+ */
+export function parseStructuredLog(message, keys = (defaultJsonKeys ??= loadConfig().jsonLogKeys)) {
+  const text = message.trim();
+  if (!text.startsWith('{') || !text.endsWith('}')) return null;
+
+  let record;
+  try {
+    record = JSON.parse(text);
+  } catch {
+    return null;
+  }
+  if (!record || typeof record !== 'object' || Array.isArray(record)) return null;
+
+  const levelKey = pickKey(record, keys.level);
+  const messageKey = pickKey(record, keys.message);
+  const timestampKey = pickKey(record, keys.timestamp);
+  const { level, name } = levelKey ? normalizeLevel(record[levelKey]) : { level: null, name: null };
+
+  const rawMessage = messageKey ? record[messageKey] : '';
+  const rest = Object.fromEntries(
+    Object.entries(record).filter(([key]) => key !== levelKey && key !== messageKey && key !== timestampKey)
+  );
+
+  return {
+    level,
+    levelName: name,
+    message: typeof rawMessage === 'string' ? rawMessage : JSON.stringify(rawMessage),
+    timestamp: timestampKey ? toTimestamp(record[timestampKey]) : null,
+    fields: flattenFields(record),
+    details: formatFields(flattenFields(rest)),
+  };
+}
+
+/**
+ * Build a log viewer entry from a log line
+ * JSON lines are rendered as "LEVEL message" with the remaining fields in `details`
+ * @param {string} line - Log line
+ * @param {string} stream - stdout or stderr
+ * @param {Object} jsonKeys - Key names for structured log lines
+ * @returns {{timestamp: Date|null, message: string, level: string|null, stream: string, fields?: Object, details?: string}}
+ */
+function toLogEntry(line, stream = 'stdout', jsonKeys = undefined) {
+  const { timestamp, message } = parseLogLine(line);
+  const structured = parseStructuredLog(message, jsonKeys);
+
+  if (!structured) {
+    return { timestamp, message, level: getLogLevel(message, jsonKeys), stream };
+  }
+
+  const label = structured.levelName ? `${structured.levelName.toUpperCase().padEnd(5)} ` : '';
+  return {
+    timestamp: structured.timestamp || timestamp,
+    message: `${label}${structured.message}`,
+    level: structured.level,
+    stream,
+    fields: structured.fields,
+    details: structured.details,
+  };
+}
+
+/**
+ * Format a log entry as a plain output line
+ * @param {Object} entry - Log entry
  * @returns {string}
  */
-function colorizeLogLevel(message) {
+function formatLogEntry(entry) {
+  const timeColor = entry.stream === 'stderr' ? chalk.red : chalk.gray;
+  const parts = [];
+
+  if (entry.prefix) parts.push(entry.prefix);
+  if (entry.timestamp) parts.push(timeColor(entry.timestamp.toLocaleTimeString()));
+  parts.push(colorizeLogLevel(entry.message, entry.level));
+  if (entry.details) parts.push(chalk.gray(entry.details));
+
+  return parts.join(' ');
+}
+
+const LOG_LEVEL_COLORS = {
+  error: chalk.red,
+  warn: chalk.yellow,
+  info: chalk.blue,
+  debug: chalk.gray,
+  success: chalk.green,
+};
+
+/**
+ * Detect the log level of a message
+ * JSON lines use their level field; keywords inside other fields (e.g. "error":null) are ignored
+ * @param {string} message - Log message
+ * @param {Object} jsonKeys - Key names for structured log lines
+ * @returns {string|null} - error, warn, info, debug, success or null
+ */
+export function getLogLevel(message, jsonKeys = undefined) {
+  const structured = parseStructuredLog(message, jsonKeys);
+  if (structured) return structured.level;
+
   const lowerMessage = message.toLowerCase();
 
-  if (lowerMessage.includes('error') || lowerMessage.includes('fatal')) {
-    return chalk.red(message);
-  }
-  if (lowerMessage.includes('warn')) {
-    return chalk.yellow(message);
+  if (lowerMessage.includes('error') || lowerMessage.includes('fatal')) return 'error';
+  if (lowerMessage.includes('warn')) return 'warn';
+  if (lowerMessage.includes('info')) return 'info';
+  if (lowerMessage.includes('debug')) return 'debug';
+  if (lowerMessage.includes('success')) return 'success';
+
+  return null;
+}
+
+/**
+ * Colorize log line based on log level
+ * @param {string} message - Log message
+ * @param {string|null} level - Known level (detected from the message if omitted)
+ * @returns {string}
+ */
+export function colorizeLogLevel(message, level = getLogLevel(message)) {
+  const color = LOG_LEVEL_COLORS[level];
+  return color ? color(message) : message;
+}
+
+export const EXPORT_FORMATS = ['text', 'jsonl', 'ansi'];
+
+/**
+ * Parse a log time bound into a Date
+ * Accepts Unix seconds, Docker-style durations (10m, 2h = that long ago) and anything parseTimeTarget understands
+ * @param {string} value - Time bound
+ * @returns {Date|null}
+ */
+export function parseTimeBound(value) {
+  const text = String(value).trim();
+
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return new Date(parseFloat(text) * 1000);
   }
-  if (lowerMessage.includes('info')) {
-    return chalk.blue(message);
+  if (/^\d+\s*[smhd]$/i.test(text)) {
+    return parseTimeTarget(`-${text}`);
   }
-  if (lowerMessage.includes('debug')) {
-    return chalk.gray(message);
+
+  return parseTimeTarget(text);
+}
+
+/**
+ * Export container logs to a file
+ * @param {string} containerName - Container name or ID
+ * @param {string} filePath - Destination file
+ * @param {Object} options - Export options
+ * @param {'text'|'jsonl'|'ansi'} options.format - text (ANSI stripped), jsonl, or ansi (escapes preserved)
+ * @param {Date} options.since - Only lines at or after this time
+ * @param {Date} options.until - Only lines before this time
+ * @param {boolean} options.stdout - Include stdout
+ * @param {boolean} options.stderr - Include stderr
+ * @param {number|string} options.tail - Number of lines ('all' for everything)
+ * @returns {Promise<{lines: number, path: string}>}
+ */
+export async function exportLogs(containerName, filePath, options = {}) {
+  const {
+    format = 'text',
+    since = null,
+    until = null,
+    stdout = true,
+    stderr = true,
+    tail = 'all',
+  } = options;
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Unknown export format "${format}" (use ${EXPORT_FORMATS.join(', ')})`);
   }
-  if (lowerMessage.includes('success')) {
-    return chalk.green(message);
+  if (!stdout && !stderr) {
+    throw new Error('Nothing to export: both stdout and stderr are excluded');
   }
 
-  return message;
+  const container = getContainer(containerName);
+  const tty = await isTtyContainer(container);
+
+  const logs = await container.logs({
+    follow: false,
+    stdout,
+    stderr,
+    tail,
+    timestamps: true,
+    ...(since ? { since: Math.floor(since.getTime() / 1000) } : {}),
+    ...(until ? { until: Math.ceil(until.getTime() / 1000) } : {}),
+  });
+
+  const records = [];
+  const parser = new LogStreamParser({
+    tty,
+    onLine: (line, stream) => {
+      const { timestamp, rawTimestamp, message } = parseLogLine(line);
+
+      // The API bounds are whole seconds; trim to the exact requested range
+      if (timestamp && since && timestamp < since) return;
+      if (timestamp && until && timestamp >= until) return;
+
+      if (format === 'jsonl') {
+        records.push(JSON.stringify({ timestamp: rawTimestamp, stream, message: stripAnsi(message) }));
+      } else if (format === 'ansi') {
+        records.push(rawTimestamp ? `${rawTimestamp} ${message}` : message);
+      } else {
+        records.push(stripAnsi(rawTimestamp ? `${rawTimestamp} ${message}` : message));
+      }
+    },
+  });
+  parser.write(logs);
+  parser.flush();
+
+  writeFileSync(filePath, records.length > 0 ? records.join('\n') + '\n' : '');
+
+  return { lines: records.length, path: filePath };
+}
+
+/**
+ * Remove ANSI escape sequences
+ * @param {string} text - Text with escape sequences
+ * @returns {string}
+ */
+function stripAnsi(text) {
+  return text.replace(/\x1b\[[0-9;?]*[A-Za-z]/g, '').replace(/\x1b\][^\x07]*\x07/g, '');
 }
 
 /**
@@ -124,6 +746,7 @@ function colorizeLogLevel(message) {
  */
 export async function getLogs(containerName, tail = 100) {
   const container = getContainer(containerName);
+  const tty = await isTtyContainer(container);
 
   const logs = await container.logs({
     follow: false,
@@ -133,7 +756,18 @@ export async function getLogs(containerName, tail = 100) {
     timestamps: true,
   });
 
-  return logs.toString('utf8');
+  const lines = [];
+  const parser = new LogStreamParser({ tty, onLine: (line) => lines.push(line) });
+  parser.write(logs);
+  parser.flush();
+
+  return lines.join('\n');
 }
 
-export default { streamLogs, getLogs };
+export default {
+  streamLogs,
+  streamMergedLogs,
+  resolveLogTargets,
+  exportLogs,
+  getLogs,
+};
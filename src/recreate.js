@@ -0,0 +1,482 @@
+import chalk from 'chalk';
+import { createContainer, getContainer } from './docker.js';
+import { connectContainer } from './networks.js';
+import { stopContainer, renameContainer, startContainer, removeContainer } from './containers.js';
+import { maskEnvValue } from './utils/format.js';
+
+// A container without a healthcheck has to stay up this long to count as started
+const SETTLE_TIME = 5000;
+const READY_POLL_INTERVAL = 1000;
+
+/**
+ * Compare two inspect values (empty strings count as unset)
+ * @param {*} a - Value
+ * @param {*} b - Value
+ * @returns {boolean}
+ */
+function isEqual(a, b) {
+  return JSON.stringify(a === '' ? null : a ?? null) === JSON.stringify(b === '' ? null : b ?? null);
+}
+
+/**
+ * Keep the entries of a KEY=VALUE list that the image doesn't set itself
+ * @param {string[]} list - Container values
+ * @param {string[]} imageList - Image values
+ * @returns {string[]}
+ */
+function withoutImageEntries(list, imageList = []) {
+  const inherited = new Set(imageList || []);
+  return (list || []).filter((entry) => !inherited.has(entry));
+}
+
+/**
+ * Keep the keys of an object that the image doesn't set to the same value
+ * @param {Object} map - Container values (labels, volumes, exposed ports)
+ * @param {Object} imageMap - Image values
+ * @returns {Object}
+ */
+function withoutImageKeys(map, imageMap = {}) {
+  return Object.fromEntries(Object.entries(map || {}).filter(([key, value]) => !isEqual(imageMap?.[key], value)));
+}
+
+/**
+ * Build the Config part of a create payload from inspect data
+ * Values equal to the old image's are left out so the new image's defaults (ENV, CMD, LABEL, ...) apply
+ * @param {Object} info - Container inspect data
+ * @param {Object|null} imageConfig - Config of the image the container was created from (null = copy everything)
+ * @returns {Object}
+ */
+function cloneContainerSettings(info, imageConfig) {
+  const config = info.Config || {};
+  const image = imageConfig || {};
+  const differs = (key) => !imageConfig || !isEqual(config[key], image[key]);
+  const settings = {};
+
+  // Docker sets the hostname to the short ID unless one was given
+  if (config.Hostname && config.Hostname !== info.Id.substring(0, 12)) settings.Hostname = config.Hostname;
+  if (config.Domainname) settings.Domainname = config.Domainname;
+
+  for (const key of ['AttachStdin', 'AttachStdout', 'AttachStderr', 'Tty', 'OpenStdin', 'StdinOnce']) {
+    settings[key] = Boolean(config[key]);
+  }
+
+  const entrypointChanged = differs('Entrypoint');
+  if (entrypointChanged) settings.Entrypoint = config.Entrypoint;
+  // An overridden entrypoint drops the image's CMD, so the container's CMD is always its own then
+  if (entrypointChanged || differs('Cmd')) settings.Cmd = config.Cmd;
+
+  for (const key of ['WorkingDir', 'User', 'StopSignal', 'Healthcheck', 'Shell']) {
+    if (config[key] !== undefined && differs(key)) settings[key] = config[key];
+  }
+  if (config.StopTimeout !== undefined && config.StopTimeout !== null) settings.StopTimeout = config.StopTimeout;
+
+  settings.Env = imageConfig ? withoutImageEntries(config.Env, image.Env) : config.Env || [];
+  settings.Labels = imageConfig ? withoutImageKeys(config.Labels, image.Labels) : config.Labels || {};
+  settings.Volumes = imageConfig ? withoutImageKeys(config.Volumes, image.Volumes) : config.Volumes || {};
+  settings.ExposedPorts = imageConfig ? withoutImageKeys(config.ExposedPorts, image.ExposedPorts) : config.ExposedPorts || {};
+
+  return settings;
+}
+
+/**
+ * Split a bind spec (source:target[:options]) into its parts
+ * Works from the right so Windows drive letters (C:\data:/data) and option lists (src:/dst:ro,z) stay intact
+ * @param {string} bind - Entry of HostConfig.Binds
+ * @returns {{source: string, target: string, options: string}}
+ */
+function parseBind(bind) {
+  const parts = bind.split(':');
+
+  // Options never contain a path separator; a two-part spec has none
+  const options = parts.length > 2 && !/[\\/]/.test(parts[parts.length - 1]) ? parts.pop() : '';
+  let target = parts.pop();
+  // A Windows target (C:\data) was split at its drive letter
+  if (parts.length > 1 && /^[a-zA-Z]$/.test(parts[parts.length - 1])) {
+    target = `${parts.pop()}:${target}`;
+  }
+
+  return { source: parts.join(':'), target, options };
+}
+
+/**
+ * Build the HostConfig part of a create payload from inspect data
+ * Anonymous volumes are bound again by name so their data survives the recreate
+ * @param {Object} info - Container inspect data
+ * @returns {Object}
+ */
+function cloneHostConfig(info) {
+  const hostConfig = { ...info.HostConfig };
+  const binds = [...(hostConfig.Binds || [])];
+
+  const claimed = new Set([
+    ...binds.map((bind) => parseBind(bind).target),
+    ...(hostConfig.Mounts || []).map((mount) => mount.Target),
+  ]);
+  for (const mount of info.Mounts || []) {
+    if (mount.Type === 'volume' && mount.Name && !claimed.has(mount.Destination)) {
+      binds.push(`${mount.Name}:${mount.Destination}${mount.RW === false ? ':ro' : ''}`);
+    }
+  }
+  hostConfig.Binds = binds;
+
+  // Inspect shows legacy links as /db:/web/db; create expects db:db
+  if (hostConfig.Links) {
+    hostConfig.Links = hostConfig.Links.map((link) => {
+      const [source, target] = link.split(':');
+      return `${source.replace(/^\//, '')}:${target.split('/').pop()}`;
+    });
+  }
+
+  return hostConfig;
+}
+
+/**
+ * Build create settings for one network endpoint
+ * Only what can be asked for is kept (static IPs, aliases, links, driver options), not runtime addresses
+ * @param {string} network - Network name
+ * @param {Object} endpoint - Endpoint from NetworkSettings.Networks
+ * @param {string} shortId - Old container's short ID (Docker adds it as an alias itself)
+ * @returns {Object}
+ */
+function cloneEndpoint(network, endpoint, shortId) {
+  const settings = {};
+
+  const ipam = endpoint.IPAMConfig || {};
+  if (ipam.IPv4Address || ipam.IPv6Address || ipam.LinkLocalIPs?.length) {
+    settings.IPAMConfig = ipam;
+  }
+
+  // The default bridge doesn't support aliases
+  const aliases = (endpoint.Aliases || []).filter((alias) => alias !== shortId);
+  if (aliases.length > 0 && network !== 'bridge') settings.Aliases = aliases;
+
+  if (endpoint.Links?.length) settings.Links = endpoint.Links;
+  if (endpoint.DriverOpts) settings.DriverOpts = endpoint.DriverOpts;
+
+  return settings;
+}
+
+/**
+ * Turn inspect data into everything needed to create the same container again
+ * The create call takes one network; the others are connected afterwards (see createFromClone)
+ * @param {Object} info - Container inspect data
+ * @param {Object} options - Clone options
+ * @param {string} options.image - Image for the new container (default: the same image name)
+ * @param {Object} options.imageConfig - Config of the old image, to leave out values inherited from it
+ * @param {string} options.name - Name for the new container (default: the same name)
+ * @returns {{options: Object, networks: Array<{name: string, endpoint: Object}>}}
+ */
+export function cloneConfig(info, options = {}) {
+  const { image = info.Config.Image, imageConfig = null, name = info.Name.replace(/^\//, '') } = options;
+
+  const createOptions = {
+    name,
+    Image: image,
+    ...cloneContainerSettings(info, imageConfig),
+    HostConfig: cloneHostConfig(info),
+  };
+
+  const mode = info.HostConfig?.NetworkMode || 'default';
+  const shortId = info.Id.substring(0, 12);
+  const endpoints = Object.entries(info.NetworkSettings?.Networks || {});
+  const networks = [];
+
+  // host, none and container:<id> networking have no endpoints to recreate
+  if (!['host', 'none'].includes(mode) && !mode.startsWith('container:') && endpoints.length > 0) {
+    const primaryName = mode === 'default' ? 'bridge' : mode;
+    const [primary, ...others] = [
+      ...endpoints.filter(([network]) => network === primaryName),
+      ...endpoints.filter(([network]) => network !== primaryName),
+    ];
+
+    createOptions.NetworkingConfig = {
+      EndpointsConfig: { [primary[0]]: cloneEndpoint(primary[0], primary[1], shortId) },
+    };
+    for (const [network, endpoint] of others) {
+      networks.push({ name: network, endpoint: cloneEndpoint(network, endpoint, shortId) });
+    }
+  }
+
+  return { options: createOptions, networks };
+}
+
+/**
+ * Create a container from cloneConfig() output and connect its additional networks
+ * The container is removed again if a network can't be connected
+ * @param {Object} clone - Result of cloneConfig()
+ * @returns {Promise<Docker.Container>} - Created (not started) container
+ */
+export async function createFromClone(clone) {
+  const container = await createContainer(clone.options);
+
+  try {
+    for (const { name, endpoint } of clone.networks) {
+      await connectContainer(name, container.id, { EndpointConfig: endpoint });
+    }
+  } catch (error) {
+    await container.remove({ force: true }).catch(() => {});
+    throw new Error(`Could not connect network: ${error.message}`);
+  }
+
+  return container;
+}
+
+/**
+ * Work out how long to wait for a new container to become ready
+ * Containers with a healthcheck get its start period plus enough intervals to pass the retries
+ * @param {Object} healthcheck - Config.Healthcheck of the container
+ * @returns {number} - Milliseconds
+ */
+function readyTimeout(healthcheck) {
+  if (!healthcheck?.Test || healthcheck.Test[0] === 'NONE') return SETTLE_TIME * 2;
+  const interval = (healthcheck.Interval || 30e9) / 1e6;
+  return (healthcheck.StartPeriod || 0) / 1e6 + interval * ((healthcheck.Retries || 3) + 1) + 10000;
+}
+
+/**
+ * Wait until a started container is running, and healthy if it has a healthcheck
+ * @param {string} idOrName - Container ID or name
+ * @param {Object} options - Wait options
+ * @param {number} options.timeout - Milliseconds to wait (default: derived from the healthcheck)
+ * @param {Function} options.onStatus - Called with the health status while waiting
+ * @returns {Promise<string>} - 'healthy' or 'running'
+ */
+export async function waitUntilReady(idOrName, options = {}) {
+  const container = getContainer(idOrName);
+  const info = await container.inspect();
+  const { timeout = readyTimeout(info.Config.Healthcheck), onStatus = () => {} } = options;
+  const started = Date.now();
+
+  for (;;) {
+    const { State } = await container.inspect();
+    if (!State.Running) {
+      throw new Error(`Container exited with code ${State.ExitCode}${State.OOMKilled ? ' (OOM killed)' : ''}`);
+    }
+
+    const health = State.Health?.Status;
+    if (health === 'healthy') return health;
+    if (health === 'unhealthy') {
+      const output = State.Health.Log?.at(-1)?.Output?.trim();
+      throw new Error(`Container is unhealthy${output ? `: ${output.split('\n')[0]}` : ''}`);
+    }
+    if (!health && Date.now() - started >= SETTLE_TIME) return 'running';
+
+    if (Date.now() - started > timeout) {
+      throw new Error(`Container not healthy after ${Math.round(timeout / 1000)}s (${health})`);
+    }
+    onStatus(health || 'starting');
+    await new Promise((resolve) => setTimeout(resolve, READY_POLL_INTERVAL));
+  }
+}
+
+/**
+ * Check whether safeReplace() can keep a container around for a rollback
+ * A running container started with --rm is deleted by Docker as soon as it stops
+ * @param {Object} info - Inspect data of the container to replace
+ * @returns {string|null} - Why it can't, null when it can
+ */
+export function safeReplaceBlocker(info) {
+  if (info.HostConfig?.AutoRemove && info.State?.Running) {
+    return 'Safe mode cannot keep a container started with --rm (Docker deletes it when it stops); rebuild it without safe mode';
+  }
+  return null;
+}
+
+/**
+ * Replace a container with a clone without losing it on failure
+ * The old container is renamed aside and stopped, the new one created, started and awaited, and only
+ * then is the old one removed. If a step fails, everything done so far is undone and the original restored.
+ * @param {Object} info - Inspect data of the container to replace
+ * @param {Object} clone - Result of cloneConfig() for the new container
+ * @param {Object} options - Replace options
+ * @param {Function} options.onStep - Called with each step's label as it starts
+ * @param {number} options.timeout - Milliseconds to wait for the new container (see waitUntilReady)
+ * @returns {Promise<{ok: boolean, restored: boolean, steps: Array<{label: string, ok: boolean, detail: string|null, undo: boolean}>, container: Docker.Container|null, error: string|null}>}
+ */
+export async function safeReplace(info, clone, options = {}) {
+  const { onStep = () => {}, timeout } = options;
+  const name = info.Name.replace(/^\//, '');
+  const asideName = `${name}-old-${Date.now().toString(36)}`;
+  const wasRunning = info.State.Running;
+  const steps = [];
+  const done = { renamed: false, stopped: false, created: null };
+
+  // Nothing has been touched yet, so the original counts as restored
+  const blocker = safeReplaceBlocker(info);
+  if (blocker) {
+    return { ok: false, restored: true, steps, container: null, error: blocker };
+  }
+
+  // Undo steps (and the final cleanup) are allowed to fail; they report it and carry on
+  const step = async (label, action, { undo = false, mayFail = undo } = {}) => {
+    onStep(label);
+    try {
+      const detail = await action();
+      steps.push({ label, ok: true, detail: typeof detail === 'string' ? detail : null, undo });
+      return true;
+    } catch (error) {
+      steps.push({ label, ok: false, detail: error.message, undo });
+      if (!mayFail) throw error;
+      return false;
+    }
+  };
+
+  try {
+    await step(`Rename ${name} to ${asideName}`, async () => {
+      await renameContainer(info.Id, asideName);
+      done.renamed = true;
+    });
+
+    // Stopped first so the new container can take over its ports and static IPs
+    if (wasRunning) {
+      await step(`Stop old container`, async () => {
+        await stopContainer(info.Id);
+        done.stopped = true;
+      });
+    }
+
+    await step(`Create new ${name}`, async () => {
+      done.created = await createFromClone(clone);
+      return done.created.id.substring(0, 12);
+    });
+
+    if (wasRunning) {
+      await step('Start new container', () => done.created.start());
+      await step('Wait until running or healthy', () => waitUntilReady(done.created.id, { timeout }));
+    }
+  } catch (error) {
+    let restored = true;
+    const undo = { undo: true };
+    if (done.created) {
+      restored = (await step('Remove new container', () => done.created.remove({ force: true }), undo)) && restored;
+    }
+    if (done.renamed) {
+      restored = (await step(`Rename old container back to ${name}`, () => renameContainer(info.Id, name), undo)) && restored;
+    }
+    if (done.stopped) {
+      restored = (await step('Start old container', () => startContainer(info.Id), undo)) && restored;
+    }
+    return { ok: false, restored, steps, container: null, error: error.message };
+  }
+
+  // The new container works; a leftover old one is reported but doesn't undo the replacement
+  await step(`Remove old container ${asideName}`, () => removeContainer(info.Id), { mayFail: true });
+
+  return { ok: true, restored: false, steps, container: done.created, error: null };
+}
+
+/**
+ * Format the steps of safeReplace() for the terminal
+ * @param {Array} steps - Steps from safeReplace()
+ * @returns {string}
+ */
+export function formatReplaceSteps(steps) {
+  return steps
+    .map(({ label, ok, detail, undo }) => {
+      const icon = ok ? chalk.green('✔') : chalk.red('✖');
+      const prefix = undo ? chalk.yellow('↩ ') : '';
+      const suffix = detail ? (ok ? chalk.gray(` (${detail})`) : chalk.red(`: ${detail}`)) : '';
+      return `  ${icon} ${prefix}${label}${suffix}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Flatten the configuration of a container into comparable entries
+ * Runtime details (IDs, addresses, state) are left out
+ * @param {Object} info - Container inspect data
+ * @returns {Map<string, string>} - Setting -> value
+ */
+export function snapshotConfig(info) {
+  const config = info.Config || {};
+  const host = info.HostConfig || {};
+  const entries = new Map();
+  const set = (key, value) => {
+    if (value !== undefined && value !== null && value !== '') entries.set(key, String(value));
+  };
+  const list = (value) => (Array.isArray(value) ? value.join(' ') : value);
+
+  set('Image', `${config.Image} (${(info.Image || '').replace('sha256:', '').substring(0, 12)})`);
+  set('Entrypoint', list(config.Entrypoint));
+  set('Cmd', list(config.Cmd));
+  set('WorkingDir', config.WorkingDir);
+  set('User', config.User);
+  set('Tty', config.Tty);
+  set('OpenStdin', config.OpenStdin);
+  set('StopSignal', config.StopSignal);
+  set('Healthcheck', config.Healthcheck ? list(config.Healthcheck.Test) : null);
+  set('Restart', host.RestartPolicy?.Name);
+  set('Memory', host.Memory || null);
+  set('NanoCpus', host.NanoCpus || null);
+
+  for (const variable of config.Env || []) {
+    const [name, ...value] = variable.split('=');
+    set(`Env ${name}`, value.join('='));
+  }
+  for (const [key, value] of Object.entries(config.Labels || {})) {
+    set(`Label ${key}`, value);
+  }
+  for (const mount of info.Mounts || []) {
+    set(`Mount ${mount.Destination}`, `${mount.Type} ${mount.Name || mount.Source}${mount.RW === false ? ' (ro)' : ''}`);
+  }
+  for (const [port, bindings] of Object.entries(host.PortBindings || {})) {
+    set(`Port ${port}`, (bindings || []).map((b) => `${b.HostIp || '0.0.0.0'}:${b.HostPort}`).join(', '));
+  }
+  for (const [network, endpoint] of Object.entries(info.NetworkSettings?.Networks || {})) {
+    const shortId = info.Id.substring(0, 12);
+    const aliases = (endpoint.Aliases || []).filter((alias) => alias !== shortId);
+    const ip = endpoint.IPAMConfig?.IPv4Address;
+    set(`Network ${network}`, [ip && `ip ${ip}`, aliases.length > 0 && `aliases ${aliases.join(', ')}`].filter(Boolean).join('; ') || 'connected');
+  }
+
+  return entries;
+}
+
+/**
+ * Compare the configuration of two containers
+ * @param {Object} before - Inspect data of the old container
+ * @param {Object} after - Inspect data of the new container
+ * @returns {Array<{key: string, before: string|null, after: string|null}>} - Changed, added and removed settings
+ */
+export function diffConfig(before, after) {
+  const old = snapshotConfig(before);
+  const next = snapshotConfig(after);
+  const keys = [...new Set([...old.keys(), ...next.keys()])];
+
+  return keys
+    .filter((key) => old.get(key) !== next.get(key))
+    .map((key) => ({ key, before: old.get(key) ?? null, after: next.get(key) ?? null }));
+}
+
+/**
+ * Format a config diff for the terminal, masking secret-looking env values
+ * @param {Array} diff - Result of diffConfig()
+ * @returns {string}
+ */
+export function formatConfigDiff(diff) {
+  if (diff.length === 0) {
+    return chalk.gray('  Configuration unchanged');
+  }
+
+  return diff
+    .map(({ key, before, after }) => {
+      const mask = (value) => (key.startsWith('Env ') ? maskEnvValue(key.substring(4), value) : value);
+      if (before === null) return chalk.green(`  + ${key}: ${mask(after)}`);
+      if (after === null) return chalk.red(`  - ${key}: ${mask(before)}`);
+      const shown = mask(before) === mask(after) ? chalk.gray('(value changed)') : `${mask(before)} → ${mask(after)}`;
+      return chalk.yellow(`  ~ ${key}: `) + shown;
+    })
+    .join('\n');
+}
+
+export default {
+  cloneConfig,
+  createFromClone,
+  waitUntilReady,
+  safeReplaceBlocker,
+  safeReplace,
+  formatReplaceSteps,
+  snapshotConfig,
+  diffConfig,
+  formatConfigDiff,
+};
@@ -0,0 +1,272 @@
+import { getContainer, getSystemInfo } from './docker.js';
+import { parseMemory, parseRestartPolicy } from './run.js';
+import { formatBytes } from './utils/format.js';
+
+// Smallest memory limit the daemon accepts
+const MIN_MEMORY = 6 * 1024 * 1024;
+const CPU_PERIOD = 100000; // µs, the kernel default
+const MAX_CPU_SHARES = 262144;
+
+export const RESOURCE_FIELDS = [
+  { key: 'cpuShares', label: 'CPU shares', hint: 'relative weight, 1024 = default' },
+  { key: 'cpus', label: 'CPU limit', hint: 'number of CPUs, e.g. 1.5' },
+  { key: 'cpusetCpus', label: 'CPU set', hint: 'CPUs allowed, e.g. 0-3 or 0,2; empty = all' },
+  { key: 'memory', label: 'Memory limit', hint: 'e.g. 512m or 2g' },
+  { key: 'memorySwap', label: 'Memory + swap', hint: 'total of memory and swap, e.g. 1g; -1 = unlimited swap' },
+  { key: 'pidsLimit', label: 'PIDs limit', hint: 'maximum processes; -1 = unlimited' },
+  { key: 'restart', label: 'Restart policy', hint: 'no, always, unless-stopped or on-failure[:retries]' },
+];
+
+/**
+ * Read the current resource settings from inspect data
+ * @param {Object} info - Container inspect data
+ * @returns {Object} - { cpuShares, cpus, cpuMode, cpusetCpus, memory, memorySwap, pidsLimit, restart, autoRemove }
+ */
+export function readResources(info) {
+  const host = info.HostConfig || {};
+  const policy = host.RestartPolicy || {};
+  const quotaCpus = host.CpuQuota > 0 ? host.CpuQuota / (host.CpuPeriod || CPU_PERIOD) : 0;
+
+  return {
+    cpuShares: host.CpuShares || 0,
+    cpus: host.NanoCpus ? host.NanoCpus / 1e9 : quotaCpus,
+    // A limit set as a quota (--cpu-quota) has to stay a quota; the daemon rejects mixing it with NanoCpus
+    cpuMode: host.CpuQuota > 0 ? 'quota' : 'nano',
+    cpuPeriod: host.CpuPeriod || CPU_PERIOD,
+    cpusetCpus: host.CpusetCpus || '',
+    memory: host.Memory || 0,
+    memorySwap: host.MemorySwap || 0,
+    pidsLimit: host.PidsLimit > 0 ? host.PidsLimit : -1,
+    restart: `${policy.Name || 'no'}${policy.Name === 'on-failure' && policy.MaximumRetryCount ? `:${policy.MaximumRetryCount}` : ''}`,
+    autoRemove: Boolean(host.AutoRemove),
+  };
+}
+
+/**
+ * Format a resource value for display
+ * @param {string} key - Field key
+ * @param {*} value - Value from readResources() or parseResourceValue()
+ * @returns {string}
+ */
+export function formatResource(key, value) {
+  switch (key) {
+    case 'cpuShares':
+      return value ? String(value) : 'default (1024)';
+    case 'cpus':
+      return value ? `${parseFloat(value.toFixed(2))} CPU${value === 1 ? '' : 's'}` : 'unlimited';
+    case 'cpusetCpus':
+      return value || 'all';
+    case 'memory':
+      return value ? formatBytes(value) : 'unlimited';
+    case 'memorySwap':
+      if (value === -1) return 'unlimited swap';
+      return value ? formatBytes(value) : 'default (2× memory)';
+    case 'pidsLimit':
+      return value > 0 ? String(value) : 'unlimited';
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Parse a CPU set like 0-3,6
+ * @param {string} value - CPU set
+ * @returns {number[]} - CPU indexes
+ */
+function parseCpuset(value) {
+  if (!/^\d+(-\d+)?(,\d+(-\d+)?)*$/.test(value)) {
+    throw new Error(`Invalid CPU set "${value}" (e.g. 0-3 or 0,2)`);
+  }
+
+  const cpus = [];
+  for (const part of value.split(',')) {
+    const [start, end = start] = part.split('-').map(Number);
+    if (end < start) {
+      throw new Error(`Invalid CPU range "${part}"`);
+    }
+    for (let cpu = start; cpu <= end; cpu++) cpus.push(cpu);
+  }
+  return cpus;
+}
+
+/**
+ * Parse a value typed for a resource field
+ * @param {string} key - Field key
+ * @param {string} text - User input
+ * @returns {*} - Parsed value
+ */
+export function parseResourceValue(key, text) {
+  const value = String(text).trim();
+
+  switch (key) {
+    case 'cpuShares': {
+      const shares = Number(value);
+      if (!Number.isInteger(shares) || (shares !== 0 && (shares < 2 || shares > MAX_CPU_SHARES))) {
+        throw new Error(`CPU shares must be between 2 and ${MAX_CPU_SHARES}`);
+      }
+      return shares;
+    }
+    case 'cpus': {
+      const cpus = Number(value);
+      if (!Number.isFinite(cpus) || cpus < 0 || (cpus > 0 && cpus < 0.01)) {
+        throw new Error('CPU limit must be 0 (unlimited) or at least 0.01');
+      }
+      return cpus;
+    }
+    case 'cpusetCpus':
+      if (value) parseCpuset(value);
+      return value;
+    case 'memory': {
+      const bytes = parseMemory(value);
+      if (bytes < MIN_MEMORY) {
+        throw new Error(`Memory limit must be at least ${formatBytes(MIN_MEMORY)}`);
+      }
+      return bytes;
+    }
+    case 'memorySwap':
+      return value === '-1' ? -1 : parseMemory(value);
+    case 'pidsLimit': {
+      const limit = Number(value);
+      if (!Number.isInteger(limit) || (limit < 1 && limit !== -1 && limit !== 0)) {
+        throw new Error('PIDs limit must be a positive number, or -1 for unlimited');
+      }
+      return limit === 0 ? -1 : limit;
+    }
+    case 'restart':
+      parseRestartPolicy(value);
+      return value;
+    default:
+      throw new Error(`Unknown resource "${key}"`);
+  }
+}
+
+/**
+ * Check a set of changes against the current settings and the host
+ * Catches combinations the daemon would reject (or silently ignore) before anything is sent
+ * @param {Object} current - From readResources()
+ * @param {Object} changes - Parsed values keyed like RESOURCE_FIELDS
+ * @param {Object} host - Host limits
+ * @param {number} host.cpus - Number of host CPUs
+ * @param {number} host.memory - Host memory in bytes
+ * @returns {string[]} - Problems, empty when the update is valid
+ */
+export function validateResourceChanges(current, changes, host = {}) {
+  const errors = [];
+  const next = { ...current, ...changes };
+
+  if (Object.keys(changes).length === 0) {
+    errors.push('Nothing to change');
+  }
+
+  if (changes.cpuShares === 0) {
+    errors.push('CPU shares cannot be unset (the daemon ignores 0); set 1024 for the default weight');
+  }
+
+  if (changes.cpus !== undefined) {
+    if (host.cpus && changes.cpus > host.cpus) {
+      errors.push(`CPU limit can be at most ${host.cpus} (the host's CPUs)`);
+    }
+    if (changes.cpus === 0 && current.cpuMode === 'nano' && current.cpus > 0) {
+      errors.push('A limit set with --cpus cannot be removed; set it to the host CPU count instead');
+    }
+  }
+
+  if (next.cpusetCpus) {
+    const cpuset = parseCpuset(next.cpusetCpus);
+    const missing = host.cpus ? cpuset.filter((cpu) => cpu >= host.cpus) : [];
+    if (missing.length > 0) {
+      errors.push(`CPU set uses CPUs the host doesn't have (${missing.join(', ')}; host has 0-${host.cpus - 1})`);
+    } else if (next.cpus > cpuset.length) {
+      errors.push(`CPU limit (${next.cpus}) is more than the ${cpuset.length} CPUs in the CPU set`);
+    }
+  }
+
+  if (changes.memory !== undefined && host.memory && changes.memory > host.memory) {
+    errors.push(`Memory limit is more than the host's ${formatBytes(host.memory)}`);
+  }
+
+  if (changes.memorySwap !== undefined && changes.memorySwap !== -1 && !next.memory) {
+    errors.push('Set a memory limit before limiting memory + swap');
+  }
+
+  if (next.memorySwap > 0 && next.memory > next.memorySwap) {
+    errors.push(
+      `Memory + swap (${formatBytes(next.memorySwap)}) must be at least the memory limit (${formatBytes(next.memory)})` +
+        (changes.memorySwap === undefined ? '; raise memory + swap too' : '')
+    );
+  }
+
+  if (changes.restart !== undefined && changes.restart !== 'no' && current.autoRemove) {
+    errors.push('This container is removed when it stops (--rm), so its restart policy must stay "no"');
+  }
+
+  return errors;
+}
+
+/**
+ * Turn validated changes into a container update payload
+ * @param {Object} current - From readResources()
+ * @param {Object} changes - Parsed values keyed like RESOURCE_FIELDS
+ * @returns {Object}
+ */
+export function buildResourceUpdate(current, changes) {
+  const payload = {};
+
+  if (changes.cpuShares !== undefined) payload.CpuShares = changes.cpuShares;
+  if (changes.cpus !== undefined) {
+    if (current.cpuMode === 'nano') {
+      payload.NanoCpus = Math.round(changes.cpus * 1e9);
+    } else {
+      payload.CpuPeriod = current.cpuPeriod;
+      payload.CpuQuota = changes.cpus > 0 ? Math.round(changes.cpus * current.cpuPeriod) : -1;
+    }
+  }
+  if (changes.cpusetCpus !== undefined) payload.CpusetCpus = changes.cpusetCpus;
+  if (changes.memory !== undefined) payload.Memory = changes.memory;
+  if (changes.memorySwap !== undefined) payload.MemorySwap = changes.memorySwap;
+  if (changes.pidsLimit !== undefined) payload.PidsLimit = changes.pidsLimit;
+  if (changes.restart !== undefined) payload.RestartPolicy = parseRestartPolicy(changes.restart);
+
+  return payload;
+}
+
+/**
+ * Get the host limits used for validation
+ * @returns {Promise<{cpus: number, memory: number}>}
+ */
+export async function getHostLimits() {
+  const info = await getSystemInfo();
+  return { cpus: info.NCPU || 0, memory: info.MemTotal || 0 };
+}
+
+/**
+ * Validate and apply resource changes to a container without recreating it
+ * @param {string} idOrName - Container ID or name
+ * @param {Object} changes - Parsed values keyed like RESOURCE_FIELDS
+ * @returns {Promise<{payload: Object, warnings: string[]}>} - What was sent and any daemon warnings
+ */
+export async function updateResources(idOrName, changes) {
+  const container = getContainer(idOrName);
+  const [info, host] = await Promise.all([container.inspect(), getHostLimits().catch(() => ({}))]);
+  const current = readResources(info);
+
+  const errors = validateResourceChanges(current, changes, host);
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+
+  const payload = buildResourceUpdate(current, changes);
+  const result = await container.update(payload);
+  return { payload, warnings: result?.Warnings || [] };
+}
+
+export default {
+  RESOURCE_FIELDS,
+  readResources,
+  formatResource,
+  parseResourceValue,
+  validateResourceChanges,
+  buildResourceUpdate,
+  getHostLimits,
+  updateResources,
+};
@@ -0,0 +1,336 @@
+import { existsSync, readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { homedir } from 'os';
+import { join, resolve } from 'path';
+import docker, { createContainer, getContainer } from './docker.js';
+import { imageExists, pullImage } from './images.js';
+
+const TEMPLATES_DIR = join(homedir(), '.config', 'dockerdash');
+const TEMPLATES_FILE = join(TEMPLATES_DIR, 'templates.json');
+
+export const RESTART_POLICIES = ['no', 'always', 'unless-stopped', 'on-failure'];
+
+const MEMORY_UNITS = { b: 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 };
+
+/**
+ * Parse a port mapping like `docker run -p`
+ * Accepts 80, 8080:80, 127.0.0.1:8080:80 and an optional /tcp or /udp suffix
+ * @param {string} spec - Port mapping
+ * @returns {{containerPort: string, hostIp: string, hostPort: string}}
+ */
+export function parsePortMapping(spec) {
+  const match = /^(?:(?:(\[[\da-fA-F:]+\]|[\d.]+):)?(\d*):)?(\d+)(?:\/(tcp|udp|sctp))?$/.exec(spec.trim());
+  if (!match) {
+    throw new Error(`Invalid port mapping "${spec}" (expected [ip:][hostPort:]containerPort[/proto])`);
+  }
+
+  const [, hostIp = '', hostPort = '', containerPort, proto = 'tcp'] = match;
+  for (const port of [hostPort, containerPort]) {
+    if (port && (Number(port) < 1 || Number(port) > 65535)) {
+      throw new Error(`Invalid port ${port} in "${spec}"`);
+    }
+  }
+
+  return { containerPort: `${containerPort}/${proto}`, hostIp: hostIp.replace(/^\[|\]$/g, ''), hostPort };
+}
+
+/**
+ * Parse a mount like `docker run -v`
+ * Sources starting with /, ./, ../ or ~ are bind mounts; anything else names a volume
+ * @param {string} spec - source:target[:ro|rw]
+ * @returns {{type: 'bind'|'volume', source: string, target: string, readOnly: boolean}}
+ */
+export function parseMount(spec) {
+  const parts = spec.trim().split(':');
+  const mode = ['ro', 'rw'].includes(parts[parts.length - 1]) && parts.length > 2 ? parts.pop() : 'rw';
+
+  if (parts.length !== 2 || !parts[0] || !parts[1].startsWith('/')) {
+    throw new Error(`Invalid mount "${spec}" (expected source:/container/path[:ro])`);
+  }
+
+  const [source, target] = parts;
+  const isBind = /^(\/|\.\.?\/|~)/.test(source);
+
+  return {
+    type: isBind ? 'bind' : 'volume',
+    source: isBind ? resolve(source.replace(/^~(?=\/|$)/, homedir())) : source,
+    target,
+    readOnly: mode === 'ro',
+  };
+}
+
+/**
+ * Parse a KEY=VALUE environment variable; a bare KEY takes its value from the current environment
+ * @param {string} spec - Variable
+ * @returns {string|null} - KEY=VALUE, or null when a bare KEY isn't set locally
+ */
+export function parseEnvVar(spec) {
+  const text = spec.trim();
+  if (!/^[A-Za-z_][A-Za-z0-9_.-]*(=|$)/.test(text)) {
+    throw new Error(`Invalid environment variable "${spec}"`);
+  }
+  if (text.includes('=')) return text;
+  return process.env[text] !== undefined ? `${text}=${process.env[text]}` : null;
+}
+
+/**
+ * Read variables from an env file (KEY=VALUE per line, # comments)
+ * @param {string} path - File path
+ * @returns {string[]}
+ */
+export function readEnvFile(path) {
+  const lines = readFileSync(path, 'utf8').split(/\r?\n/);
+  return lines
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#'))
+    .map((line) => parseEnvVar(line))
+    .filter(Boolean);
+}
+
+/**
+ * Parse a memory size like 512m or 2g
+ * @param {string} value - Size with optional b/k/m/g suffix
+ * @returns {number} - Bytes
+ */
+export function parseMemory(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*([bkmg])?b?$/i.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid memory size "${value}" (e.g. 512m, 2g)`);
+  }
+  return Math.round(parseFloat(match[1]) * MEMORY_UNITS[(match[2] || 'b').toLowerCase()]);
+}
+
+/**
+ * Parse a restart policy like `docker run --restart`
+ * @param {string} value - no, always, unless-stopped or on-failure[:max-retries]
+ * @returns {{Name: string, MaximumRetryCount: number}}
+ */
+export function parseRestartPolicy(value) {
+  const [name, retries] = String(value).trim().split(':');
+  if (!RESTART_POLICIES.includes(name) || (retries !== undefined && (name !== 'on-failure' || !/^\d+$/.test(retries)))) {
+    throw new Error(`Invalid restart policy "${value}" (${RESTART_POLICIES.join(', ')}[:retries])`);
+  }
+  return { Name: name === 'no' ? '' : name, MaximumRetryCount: retries ? parseInt(retries, 10) : 0 };
+}
+
+/**
+ * Split a command line into arguments, honoring single and double quotes
+ * @param {string} command - Command line
+ * @returns {string[]}
+ */
+export function splitCommand(command) {
+  const args = [];
+  let current = '';
+  let quote = null;
+  let hasArg = false;
+
+  for (let i = 0; i < command.length; i++) {
+    const char = command[i];
+
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      } else if (char === '\\' && quote === '"' && i + 1 < command.length) {
+        current += command[++i];
+      } else {
+        current += char;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      hasArg = true;
+    } else if (/\s/.test(char)) {
+      if (hasArg) args.push(current);
+      current = '';
+      hasArg = false;
+    } else {
+      current += char === '\\' && i + 1 < command.length ? command[++i] : char;
+      hasArg = true;
+    }
+  }
+
+  if (quote) {
+    throw new Error('Unterminated quote in command');
+  }
+  if (hasArg) args.push(current);
+  return args;
+}
+
+/**
+ * Turn a run spec into dockerode create options
+ * @param {Object} spec - Run spec
+ * @param {string} spec.image - Image reference
+ * @param {string} spec.name - Container name (empty = generated)
+ * @param {string[]} spec.ports - Port mappings
+ * @param {string[]} spec.env - KEY=VALUE variables
+ * @param {string[]} spec.envFiles - Env file paths
+ * @param {string[]} spec.mounts - Volume and bind mounts
+ * @param {string} spec.network - Network to join
+ * @param {string} spec.restart - Restart policy
+ * @param {string} spec.memory - Memory limit (e.g. 512m)
+ * @param {string} spec.cpus - CPU limit (e.g. 1.5)
+ * @param {string} spec.command - Command override
+ * @returns {Object}
+ */
+export function buildCreateOptions(spec) {
+  if (!spec.image) {
+    throw new Error('An image is required');
+  }
+
+  const env = [];
+  for (const file of spec.envFiles || []) {
+    env.push(...readEnvFile(file));
+  }
+  for (const variable of spec.env || []) {
+    const parsed = parseEnvVar(variable);
+    if (parsed) env.push(parsed);
+  }
+
+  const exposedPorts = {};
+  const portBindings = {};
+  for (const mapping of (spec.ports || []).map(parsePortMapping)) {
+    exposedPorts[mapping.containerPort] = {};
+    (portBindings[mapping.containerPort] ||= []).push({ HostIp: mapping.hostIp, HostPort: mapping.hostPort });
+  }
+
+  const mounts = (spec.mounts || []).map(parseMount).map((mount) => ({
+    Type: mount.type,
+    Source: mount.source,
+    Target: mount.target,
+    ReadOnly: mount.readOnly,
+  }));
+
+  const hostConfig = {
+    PortBindings: portBindings,
+    Mounts: mounts,
+  };
+
+  if (spec.network) hostConfig.NetworkMode = spec.network;
+  if (spec.restart) hostConfig.RestartPolicy = parseRestartPolicy(spec.restart);
+  if (spec.memory) hostConfig.Memory = parseMemory(spec.memory);
+  if (spec.cpus) {
+    const cpus = Number(spec.cpus);
+    if (!(cpus > 0)) {
+      throw new Error(`Invalid CPU limit "${spec.cpus}"`);
+    }
+    hostConfig.NanoCpus = Math.round(cpus * 1e9);
+  }
+
+  const options = {
+    Image: spec.image,
+    Env: env,
+    ExposedPorts: exposedPorts,
+    HostConfig: hostConfig,
+  };
+
+  if (spec.name) options.name = spec.name;
+  if (spec.command?.trim()) options.Cmd = splitCommand(spec.command);
+
+  return options;
+}
+
+/**
+ * Create and start a container from a run spec, pulling the image if it isn't present
+ * @param {Object} spec - Run spec (see buildCreateOptions)
+ * @param {Object} options - Run options
+ * @param {Function} options.onStatus - Called with progress messages
+ * @param {Function} options.onPullProgress - Called with image pull progress events
+ * @param {Function} options.beforeStart - Called with the created container before it starts (e.g. to attach)
+ * @returns {Promise<{id: string, name: string}>}
+ */
+export async function runContainer(spec, options = {}) {
+  const { onStatus = () => {}, onPullProgress = null, beforeStart = null } = options;
+  const createOptions = buildCreateOptions(spec);
+
+  if (!(await imageExists(spec.image))) {
+    onStatus(`Pulling ${spec.image}...`);
+    await pullImage(spec.image, { onProgress: onPullProgress });
+  }
+
+  onStatus('Creating container...');
+  const container = await createContainer(createOptions);
+
+  if (beforeStart) {
+    await beforeStart(container);
+  }
+
+  onStatus('Starting container...');
+  try {
+    await container.start();
+  } catch (error) {
+    // Don't leave a created-but-broken container behind (e.g. port already allocated)
+    await container.remove({ force: true }).catch(() => {});
+    throw error;
+  }
+
+  const info = await container.inspect();
+  return { id: info.Id.substring(0, 12), name: info.Name.replace(/^\//, '') };
+}
+
+/**
+ * Stream a container's output to the terminal until it exits
+ * Attach before starting the container so no output is missed
+ * @param {string} idOrName - Container ID or name
+ * @returns {Promise<() => Promise<number>>} - Waits for the container and resolves its exit code
+ */
+export async function attachOutput(idOrName) {
+  const container = getContainer(idOrName);
+  const info = await container.inspect();
+  const stream = await container.attach({ stream: true, stdout: true, stderr: true });
+
+  if (info.Config.Tty) {
+    stream.pipe(process.stdout);
+  } else {
+    docker.modem.demuxStream(stream, process.stdout, process.stderr);
+  }
+
+  return async () => {
+    const result = await container.wait();
+    stream.destroy?.();
+    return result.StatusCode;
+  };
+}
+
+/**
+ * Load saved run templates
+ * @returns {Object<string, Object>} - Run specs by template name
+ */
+export function loadTemplates() {
+  try {
+    if (existsSync(TEMPLATES_FILE)) {
+      return JSON.parse(readFileSync(TEMPLATES_FILE, 'utf8'));
+    }
+  } catch {
+    // Ignore unreadable template files
+  }
+  return {};
+}
+
+/**
+ * Save a run spec as a named template
+ * @param {string} name - Template name
+ * @param {Object} spec - Run spec
+ */
+export function saveTemplate(name, spec) {
+  const templates = loadTemplates();
+  templates[name] = spec;
+
+  if (!existsSync(TEMPLATES_DIR)) {
+    mkdirSync(TEMPLATES_DIR, { recursive: true });
+  }
+  writeFileSync(TEMPLATES_FILE, JSON.stringify(templates, null, 2));
+}
+
+export default {
+  RESTART_POLICIES,
+  parsePortMapping,
+  parseMount,
+  parseEnvVar,
+  readEnvFile,
+  parseMemory,
+  parseRestartPolicy,
+  splitCommand,
+  buildCreateOptions,
+  runContainer,
+  attachOutput,
+  loadTemplates,
+  saveTemplate,
+};
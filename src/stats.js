@@ -2,15 +2,21 @@ import chalk from 'chalk';
 import readline from 'readline';
 import { getContainer } from './docker.js';
 import { showHeader } from './ui/banner.js';
-import { formatBytes } from './utils/format.js';
+import { formatBytes, formatRate } from './utils/format.js';
+import { readIoCounters, calculateIoRates, getSampleTime } from './utils/io-stats.js';
 import { progressBar, sparkline, box } from './ui/charts.js';
-import renderer, { hideCursor, showCursor } from './ui/renderer.js';
+import renderer, { hideCursor, showCursor, getTerminalSize } from './ui/renderer.js';
 import { loadConfig } from './utils/config.js';
+import { HISTORY_WINDOWS, readHistory, bucketSamples } from './history.js';
+import { readResources, formatResource } from './resources.js';
 
 // History for sparklines
 const cpuHistory = [];
 const memHistory = [];
+const rateHistory = new Map(); // 'net:eth0:rx' / 'blk:8:0:read' -> bytes per second
 const HISTORY_SIZE = 30;
+const MAX_IO_ROWS = 4; // interfaces / devices shown before collapsing
+const LIMITS_REFRESH = 5000; // configured limits can change while watching (Edit Resources)
 
 /**
  * Show real-time container stats
@@ -21,25 +27,59 @@ export async function showContainerStats(containerName) {
 
   console.clear();
   showHeader(`Stats: ${containerName}`);
-  console.log(chalk.gray('Press Q to exit\n'));
+  console.log(chalk.gray('Press Q to exit | H for history\n'));
 
   hideCursor();
 
   const container = getContainer(containerName);
 
-  let previousCpu = null;
-  let previousSystem = null;
+  let current = null;
+  let limits = null;
+  // The sampler stores history under the container name, so an ID has to be resolved first
+  let historyName = containerName;
 
   // Clear history
   cpuHistory.length = 0;
   memHistory.length = 0;
+  rateHistory.clear();
+
+  // History view: windowIndex null = live view, offset = ms scrolled back from now
+  const view = { windowIndex: null, offset: 0 };
+
+  const render = () => {
+    if (view.windowIndex !== null) {
+      displayHistory(historyName, view);
+    } else if (current) {
+      displayStats(current, limits);
+    }
+  };
+
+  const loadLimits = () =>
+    container
+      .inspect()
+      .then((info) => {
+        limits = readResources(info);
+        historyName = info.Name.replace(/^\//, '');
+      })
+      .catch(() => {});
+
+  await loadLimits();
 
   return new Promise((resolve) => {
     const statsStream = container.stats({ stream: true });
 
     let streamRef = null;
 
+    // Stored samples keep arriving from the background sampler; refresh while looking at "now"
+    const historyLoop = setInterval(() => {
+      if (view.windowIndex !== null && view.offset === 0) render();
+    }, config.refreshInterval);
+
+    const limitsLoop = setInterval(loadLimits, LIMITS_REFRESH);
+
     const cleanup = () => {
+      clearInterval(historyLoop);
+      clearInterval(limitsLoop);
       if (streamRef) {
         streamRef.destroy?.();
       }
@@ -50,9 +90,46 @@ export async function showContainerStats(containerName) {
       resolve();
     };
 
+    const setWindow = (index) => {
+      view.windowIndex = Math.max(0, Math.min(HISTORY_WINDOWS.length - 1, index));
+      render();
+    };
+
     const onKeypress = (str, key) => {
       if (key && (key.name === 'q' || (key.ctrl && key.name === 'c'))) {
         cleanup();
+        return;
+      }
+
+      if (key?.name === 'h') {
+        view.windowIndex = view.windowIndex === null ? 0 : null;
+        view.offset = 0;
+        render();
+        return;
+      }
+
+      const windowIndex = ['1', '2', '3'].indexOf(str);
+      if (windowIndex !== -1) {
+        setWindow(windowIndex);
+        return;
+      }
+
+      if (view.windowIndex === null) return;
+
+      const step = HISTORY_WINDOWS[view.windowIndex].ms / 2;
+      if (str === '+' || str === '=') {
+        setWindow(view.windowIndex - 1);
+      } else if (str === '-') {
+        setWindow(view.windowIndex + 1);
+      } else if (key?.name === 'left') {
+        view.offset = Math.min(view.offset + step, config.historyRetention);
+        render();
+      } else if (key?.name === 'right') {
+        view.offset = Math.max(0, view.offset - step);
+        render();
+      } else if (key?.name === 'end') {
+        view.offset = 0;
+        render();
       }
     };
 
@@ -62,9 +139,8 @@ export async function showContainerStats(containerName) {
       stream.on('data', (chunk) => {
         try {
           const stats = JSON.parse(chunk.toString());
-          displayStats(containerName, stats, previousCpu, previousSystem);
-          previousCpu = stats.cpu_stats.cpu_usage.total_usage;
-          previousSystem = stats.cpu_stats.system_cpu_usage;
+          current = updateStats(stats, current, limits);
+          if (view.windowIndex === null) render();
         } catch {
           // Ignore parse errors
         }
@@ -72,6 +148,9 @@ export async function showContainerStats(containerName) {
 
       stream.on('end', cleanup);
       stream.on('error', cleanup);
+    }).catch((error) => {
+      console.log(chalk.red(`  Could not read stats: ${error.message}`));
+      cleanup();
     });
 
     // Handle user input for exit
@@ -85,22 +164,36 @@ export async function showContainerStats(containerName) {
 }
 
 /**
- * Display formatted stats using flicker-free renderer
- * @param {string} containerName - Container name
+ * Push a value onto a named sparkline history
+ * @param {string} key - History key
+ * @param {number} value - Value
+ */
+function pushRate(key, value) {
+  if (!rateHistory.has(key)) rateHistory.set(key, []);
+  const history = rateHistory.get(key);
+  history.push(value);
+  if (history.length > HISTORY_SIZE) history.shift();
+}
+
+/**
+ * Calculate stats from a Docker stats object and update the sparkline history
  * @param {Object} stats - Docker stats object
- * @param {number} previousCpu - Previous CPU usage
- * @param {number} previousSystem - Previous system CPU usage
+ * @param {Object|null} previous - Result of the previous call (for CPU and I/O deltas)
+ * @param {Object|null} limits - Configured limits; a memory limit changed with Edit Resources is drawn right away
+ * @returns {Object}
  */
-function displayStats(containerName, stats, previousCpu, previousSystem) {
+function updateStats(stats, previous, limits) {
   // Calculate CPU percentage
-  const cpuDelta = stats.cpu_stats.cpu_usage.total_usage - (previousCpu || 0);
-  const systemDelta = stats.cpu_stats.system_cpu_usage - (previousSystem || 0);
+  const cpuTotal = stats.cpu_stats.cpu_usage.total_usage;
+  const systemCpu = stats.cpu_stats.system_cpu_usage;
+  const cpuDelta = cpuTotal - (previous?.cpuTotal || 0);
+  const systemDelta = systemCpu - (previous?.systemCpu || 0);
   const cpuCount = stats.cpu_stats.online_cpus || 1;
   const cpuPercent = systemDelta > 0 ? Math.min(100, (cpuDelta / systemDelta) * cpuCount * 100) : 0;
 
   // Calculate memory
   const memUsage = stats.memory_stats.usage || 0;
-  const memLimit = stats.memory_stats.limit || 1;
+  const memLimit = limits?.memory || stats.memory_stats.limit || 1;
   const memPercent = (memUsage / memLimit) * 100;
 
   // Update history
@@ -109,50 +202,97 @@ function displayStats(containerName, stats, previousCpu, previousSystem) {
   if (cpuHistory.length > HISTORY_SIZE) cpuHistory.shift();
   if (memHistory.length > HISTORY_SIZE) memHistory.shift();
 
-  // Network I/O
-  let netRx = 0;
-  let netTx = 0;
-  if (stats.networks) {
-    for (const iface of Object.values(stats.networks)) {
-      netRx += iface.rx_bytes || 0;
-      netTx += iface.tx_bytes || 0;
-    }
-  }
+  // Network and block I/O: cumulative counters plus per-second rates since the previous sample
+  const time = getSampleTime(stats);
+  const io = readIoCounters(stats);
+  const rates = calculateIoRates(io, previous?.io, previous ? (time - previous.time) / 1000 : 0);
 
-  // Block I/O
-  let blockRead = 0;
-  let blockWrite = 0;
-  if (stats.blkio_stats?.io_service_bytes_recursive) {
-    for (const entry of stats.blkio_stats.io_service_bytes_recursive) {
-      if (entry.op === 'read' || entry.op === 'Read') {
-        blockRead += entry.value || 0;
-      }
-      if (entry.op === 'write' || entry.op === 'Write') {
-        blockWrite += entry.value || 0;
-      }
-    }
+  for (const [name, rate] of Object.entries(rates.networks)) {
+    pushRate(`net:${name}:rx`, rate.rx);
+    pushRate(`net:${name}:tx`, rate.tx);
+  }
+  for (const [key, rate] of Object.entries(rates.devices)) {
+    pushRate(`blk:${key}:read`, rate.read);
+    pushRate(`blk:${key}:write`, rate.write);
   }
 
   // PIDs
   const pids = stats.pids_stats?.current || 0;
 
+  return { cpuPercent, memUsage, memLimit, memPercent, cpuTotal, systemCpu, time, io, rates, pids };
+}
+
+/**
+ * Render rate lines for a set of interfaces or devices
+ * @param {Object} counters - { name: { a, b } } cumulative counters
+ * @param {Object} rates - { name: { a, b } } per-second rates
+ * @param {Array} fields - [[key, symbol], [key, symbol]] e.g. [['rx', '↓'], ['tx', '↑']]
+ * @param {string} prefix - Sparkline history key prefix
+ * @returns {string[]}
+ */
+function renderRates(counters, rates, fields, prefix) {
+  const names = Object.keys(counters).sort();
+  const lines = [];
+
+  for (const name of names.slice(0, MAX_IO_ROWS)) {
+    const cells = fields.map(([key, symbol]) => {
+      const rate = rates[name]?.[key] ?? null;
+      const history = rateHistory.get(`${prefix}:${name}:${key}`) || [];
+      return `${symbol} ${chalk.cyan(formatRate(rate).padEnd(12))} ${sparkline(history, { width: 16, min: 0 })}`;
+    });
+    const totals = fields.map(([key, symbol]) => `${symbol} ${formatBytes(counters[name][key])}`).join('  ');
+
+    lines.push(`  ${chalk.white(name.substring(0, 10).padEnd(10))} ${cells.join('   ')}`);
+    lines.push(chalk.gray(`  ${''.padEnd(10)} total ${totals}`));
+  }
+
+  if (names.length > MAX_IO_ROWS) {
+    lines.push(chalk.gray(`  … ${names.length - MAX_IO_ROWS} more`));
+  }
+
+  return lines;
+}
+
+/**
+ * Display formatted stats using flicker-free renderer
+ * @param {Object} current - Stats from updateStats()
+ * @param {Object|null} limits - Configured limits from readResources(), once loaded
+ */
+function displayStats(current, limits) {
+  const { cpuPercent, memUsage, memLimit, memPercent, io, rates, pids } = current;
+
+  // Configured limits go next to the section titles so the layout keeps its height
+  const cpuLimit = limits
+    ? [
+        `limit ${formatResource('cpus', limits.cpus)}`,
+        ...(limits.cpusetCpus ? [`CPUs ${limits.cpusetCpus}`] : []),
+      ].join(', ')
+    : '';
+  const memoryLimit = limits ? (limits.memory ? `limit ${formatResource('memory', limits.memory)}` : 'no limit, host memory') : '';
+  const pidsLimit = limits?.pidsLimit > 0 ? ` / ${limits.pidsLimit}` : '';
+
+  const networkLines = renderRates(io.networks, rates.networks, [['rx', '↓'], ['tx', '↑']], 'net');
+  const blockLines = renderRates(io.devices, rates.devices, [['read', 'R'], ['write', 'W']], 'blk');
+
   // Build output
   const lines = [
     '',
-    chalk.bold('  CPU Usage'),
+    `${chalk.bold('  CPU Usage')}  ${chalk.gray(cpuLimit)}`,
     `  ${progressBar(cpuPercent, 40)}`,
     `  ${chalk.gray('History:')} ${sparkline(cpuHistory, { width: 30 })}`,
     '',
-    chalk.bold('  Memory Usage'),
+    `${chalk.bold('  Memory Usage')}  ${chalk.gray(memoryLimit)}`,
     `  ${progressBar(memPercent, 40)}`,
     `  ${chalk.cyan(formatBytes(memUsage))} / ${formatBytes(memLimit)}`,
     `  ${chalk.gray('History:')} ${sparkline(memHistory, { width: 30 })}`,
     '',
-    chalk.bold('  I/O Stats'),
-    `  ${chalk.gray('Network:')}  ↓ ${formatBytes(netRx).padEnd(12)} ↑ ${formatBytes(netTx)}`,
-    `  ${chalk.gray('Block:  ')}  R ${formatBytes(blockRead).padEnd(12)} W ${formatBytes(blockWrite)}`,
+    chalk.bold('  Network I/O'),
+    ...(networkLines.length > 0 ? networkLines : [chalk.gray('  No network interfaces')]),
     '',
-    `  ${chalk.gray('PIDs:')} ${chalk.cyan(pids)}`,
+    chalk.bold('  Block I/O'),
+    ...(blockLines.length > 0 ? blockLines : [chalk.gray('  No block I/O reported')]),
+    '',
+    `  ${chalk.gray('PIDs:')} ${chalk.cyan(pids)}${pidsLimit}`,
     '',
     chalk.gray(`  Updated: ${new Date().toLocaleTimeString()}`),
   ];
@@ -160,6 +300,67 @@ function displayStats(containerName, stats, previousCpu, previousSystem) {
   renderer.render(lines.join('\n'));
 }
 
+/**
+ * Display a window of recorded history
+ * @param {string} containerName - Container name
+ * @param {Object} view - { windowIndex, offset }
+ */
+function displayHistory(containerName, view) {
+  const { cols } = getTerminalSize();
+  const window = HISTORY_WINDOWS[view.windowIndex];
+  const end = Date.now() - view.offset;
+  const start = end - window.ms;
+  const width = Math.max(20, Math.min(120, cols - 36));
+
+  // Read one bucket before the window so the first bucket has a rate baseline
+  const samples = readHistory(containerName, start - window.ms / width, end);
+  const buckets = bucketSamples(samples, start, end, width);
+  const series = (key) => buckets.map((bucket) => bucket?.[key] ?? null);
+  const values = (key) => series(key).filter((value) => value !== null);
+  const peak = (key) => (values(key).length > 0 ? Math.max(...values(key)) : null);
+
+  const windows = HISTORY_WINDOWS.map((w, i) => (i === view.windowIndex ? chalk.cyan.bold(`[${w.label}]`) : chalk.gray(w.label)));
+  const range = `${new Date(start).toLocaleString()} → ${view.offset === 0 ? 'now' : new Date(end).toLocaleString()}`;
+  const label = (text) => `  ${chalk.gray(text.padEnd(9))}`;
+
+  const lines = ['', `  ${chalk.bold('History')}  ${windows.join(' ')}  ${chalk.gray(range)}`, ''];
+
+  const inWindow = samples.filter((sample) => sample.t >= start);
+  if (inWindow.length === 0) {
+    lines.push(chalk.yellow(`  No samples recorded for ${containerName} in this window.`));
+    lines.push(chalk.gray('  Enable Stats History in Settings, or run `dockerdash record` in the background.'));
+  } else {
+    const cpu = values('cpu');
+    const first = inWindow[0];
+    const last = inWindow[inWindow.length - 1];
+    const memChange = last.mem - first.mem;
+    const memTrend = memChange >= 0 ? chalk.yellow(`+${formatBytes(memChange)}`) : chalk.green(`-${formatBytes(-memChange)}`);
+
+    lines.push(
+      chalk.bold('  CPU'),
+      `${label('Usage')}${sparkline(series('cpu'), { width, min: 0 })}`,
+      chalk.gray(`  ${''.padEnd(9)}avg ${(cpu.reduce((a, b) => a + b, 0) / cpu.length).toFixed(1)}%  peak ${peak('cpu').toFixed(1)}%`),
+      '',
+      chalk.bold('  Memory'),
+      `${label('Usage')}${sparkline(series('mem'), { width })}`,
+      chalk.gray(`  ${''.padEnd(9)}${formatBytes(first.mem)} → ${formatBytes(last.mem)} (`) + memTrend + chalk.gray(`)  peak ${formatBytes(peak('memMax'))}`),
+      '',
+      chalk.bold('  I/O'),
+      `${label('Net ↓')}${sparkline(series('rx'), { width, min: 0 })} ${chalk.gray(`peak ${formatRate(peak('rx'))}`)}`,
+      `${label('Net ↑')}${sparkline(series('tx'), { width, min: 0 })} ${chalk.gray(`peak ${formatRate(peak('tx'))}`)}`,
+      `${label('Disk R')}${sparkline(series('read'), { width, min: 0 })} ${chalk.gray(`peak ${formatRate(peak('read'))}`)}`,
+      `${label('Disk W')}${sparkline(series('write'), { width, min: 0 })} ${chalk.gray(`peak ${formatRate(peak('write'))}`)}`,
+      '',
+      chalk.gray(`  ${inWindow.length} samples`)
+    );
+  }
+
+  lines.push('');
+  lines.push(chalk.gray(`  [${chalk.cyan('←/→')}] Scroll  [${chalk.cyan('+/-')}] Zoom  [${chalk.cyan('1/2/3')}] 5m/1h/24h  [${chalk.cyan('End')}] Now  [${chalk.cyan('H')}] Live`));
+
+  renderer.render(lines.join('\n'));
+}
+
 /**
  * Get container stats once (non-streaming)
  * @param {string} containerName - Container name or ID
@@ -25,7 +25,8 @@ export function progressBar(percent, width = 30, options = {}) {
 
 /**
  * Create a sparkline chart from data points
- * @param {number[]} data - Array of values
+ * null entries are drawn as gaps (no data)
+ * @param {Array<number|null>} data - Array of values
  * @param {Object} options - Chart options
  * @returns {string}
  */
@@ -33,10 +34,11 @@ export function sparkline(data, options = {}) {
   const { width = 20, min = null, max = null } = options;
   const chars = ['▁', '▂', '▃', '▄', '▅', '▆', '▇', '█'];
 
-  if (!data || data.length === 0) return chalk.gray('─'.repeat(width));
+  const values = (data || []).filter((value) => value !== null && value !== undefined);
+  if (values.length === 0) return chalk.gray('─'.repeat(width));
 
-  const dataMin = min !== null ? min : Math.min(...data);
-  const dataMax = max !== null ? max : Math.max(...data);
+  const dataMin = min !== null ? min : Math.min(...values);
+  const dataMax = max !== null ? max : Math.max(...values);
   const range = dataMax - dataMin || 1;
 
   // Take last 'width' points or pad with zeros
@@ -45,6 +47,7 @@ export function sparkline(data, options = {}) {
 
   return points
     .map((value) => {
+      if (value === null || value === undefined) return chalk.gray('·');
       const normalized = (value - dataMin) / range;
       const index = Math.min(chars.length - 1, Math.floor(normalized * chars.length));
       return chalk.cyan(chars[index]);
@@ -0,0 +1,516 @@
+import chalk from 'chalk';
+import readline from 'readline';
+import { inspectContainer } from '../containers.js';
+import { formatBytes, formatNanoDuration, maskEnvValue } from '../utils/format.js';
+import { showHeader, clearScreen } from './banner.js';
+import renderer, { hideCursor, showCursor, getTerminalSize } from './renderer.js';
+
+const TABS = ['Overview', 'Env', 'Mounts', 'Network', 'Health', 'Resources', 'Labels'];
+
+const HELP_KEYS = [
+  ['←→', 'Tab'],
+  ['1-7', 'Jump'],
+  ['↑↓', 'Scroll'],
+  ['M', 'Mask/Reveal'],
+  ['R', 'Refresh'],
+  ['Q', 'Back'],
+];
+
+// Lines taken by showHeader plus the view's tab bar, footer and spacing
+const HEADER_LINES = 5;
+const CHROME_LINES = 6;
+
+const LABEL_WIDTH = 18;
+const MAX_PROBE_OUTPUT_LINES = 4;
+
+/**
+ * Key/value row
+ * @param {string} label - Row label
+ * @param {*} value - Row value (empty values are shown as '-')
+ * @param {Function} color - Value color
+ * @returns {Object}
+ */
+function row(label, value, color = chalk.white) {
+  const text = value === null || value === undefined || value === '' ? '-' : String(value);
+  return { label, value: text, color };
+}
+
+/**
+ * Section heading
+ * @param {string} text - Heading text
+ * @returns {Object}
+ */
+function heading(text) {
+  return { heading: text };
+}
+
+/**
+ * Free text line
+ * @param {string} value - Line text
+ * @param {Function} color - Text color
+ * @returns {Object}
+ */
+function text(value, color = chalk.gray) {
+  return { text: value, color };
+}
+
+/**
+ * Join a command array the way a shell would show it
+ * @param {string[]|string|null} parts - Cmd or Entrypoint
+ * @returns {string}
+ */
+function formatCommand(parts) {
+  if (!parts) return '';
+  if (!Array.isArray(parts)) return parts;
+  return parts.map((part) => (/[\s"']/.test(part) ? JSON.stringify(part) : part)).join(' ');
+}
+
+/**
+ * Format an inspect timestamp, hiding Docker's zero time
+ * @param {string} value - ISO timestamp
+ * @returns {string}
+ */
+function formatTime(value) {
+  if (!value || value.startsWith('0001-')) return '';
+  return new Date(value).toLocaleString();
+}
+
+/**
+ * Build the overview tab
+ * @param {Object} info - Container inspect data
+ * @returns {Object[]}
+ */
+function overviewLines(info) {
+  const state = info.State || {};
+  const restartPolicy = info.HostConfig?.RestartPolicy || {};
+  const stateColor = state.Running ? chalk.green : chalk.red;
+
+  const lines = [
+    row('ID', info.Id?.substring(0, 12)),
+    row('Image', info.Config?.Image),
+    row('Image ID', info.Image?.replace('sha256:', '').substring(0, 12), chalk.gray),
+    row('Created', formatTime(info.Created)),
+    heading('State'),
+    row('Status', state.Status, stateColor),
+    row('Started', formatTime(state.StartedAt)),
+  ];
+
+  if (!state.Running) {
+    lines.push(row('Finished', formatTime(state.FinishedAt)));
+    lines.push(row('Exit code', state.ExitCode, state.ExitCode === 0 ? chalk.green : chalk.red));
+  }
+  lines.push(row('OOM killed', state.OOMKilled ? 'yes' : 'no', state.OOMKilled ? chalk.red.bold : chalk.white));
+  if (state.Error) {
+    lines.push(row('Error', state.Error, chalk.red));
+  }
+  lines.push(row('Restart count', info.RestartCount, info.RestartCount > 0 ? chalk.yellow : chalk.white));
+  lines.push(row(
+    'Restart policy',
+    restartPolicy.Name === 'on-failure' && restartPolicy.MaximumRetryCount
+      ? `on-failure (max ${restartPolicy.MaximumRetryCount})`
+      : restartPolicy.Name || 'no'
+  ));
+
+  lines.push(heading('Command'));
+  lines.push(row('Entrypoint', formatCommand(info.Config?.Entrypoint)));
+  lines.push(row('Cmd', formatCommand(info.Config?.Cmd)));
+  lines.push(row('Working dir', info.Config?.WorkingDir));
+  lines.push(row('User', info.Config?.User || 'root'));
+  lines.push(row('Hostname', info.Config?.Hostname));
+
+  return lines;
+}
+
+/**
+ * Build the environment tab
+ * @param {Object} info - Container inspect data
+ * @param {boolean} masked - Hide secret-looking values
+ * @returns {Object[]}
+ */
+function envLines(info, masked) {
+  const env = info.Config?.Env || [];
+  if (env.length === 0) return [text('No environment variables')];
+
+  return env
+    .map((entry) => {
+      const index = entry.indexOf('=');
+      return index === -1 ? [entry, ''] : [entry.substring(0, index), entry.substring(index + 1)];
+    })
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([name, value]) => {
+      const shown = masked ? maskEnvValue(name, value) : value;
+      return { label: name, value: shown, color: shown !== value ? chalk.yellow : chalk.white, wide: true };
+    });
+}
+
+/**
+ * Build the mounts tab
+ * @param {Object} info - Container inspect data
+ * @returns {Object[]}
+ */
+function mountLines(info) {
+  const mounts = info.Mounts || [];
+  if (mounts.length === 0) return [text('No mounts')];
+
+  const lines = [];
+  for (const mount of mounts) {
+    lines.push(heading(mount.Destination));
+    lines.push(row('Type', mount.Type));
+    lines.push(row(mount.Type === 'volume' ? 'Volume' : 'Source', mount.Type === 'volume' ? mount.Name : mount.Source));
+    lines.push(row('Mode', mount.RW ? 'read-write' : 'read-only', mount.RW ? chalk.white : chalk.yellow));
+  }
+  return lines;
+}
+
+/**
+ * Build the network tab
+ * @param {Object} info - Container inspect data
+ * @returns {Object[]}
+ */
+function networkLines(info) {
+  const lines = [heading('Ports')];
+
+  // Live bindings only exist while running; fall back to the configured ones
+  const ports = info.State?.Running ? info.NetworkSettings?.Ports : info.HostConfig?.PortBindings;
+  const entries = Object.entries(ports || {});
+
+  if (entries.length === 0) {
+    lines.push(text('No ports exposed'));
+  }
+  for (const [containerPort, bindings] of entries) {
+    const published = (bindings || []).map((b) => `${b.HostIp || '0.0.0.0'}:${b.HostPort}`).join(', ');
+    lines.push(row(containerPort, published || 'not published', published ? chalk.cyan : chalk.gray));
+  }
+
+  lines.push(heading(`Networks ${chalk.gray(`(mode: ${info.HostConfig?.NetworkMode || 'default'})`)}`));
+  const networks = Object.entries(info.NetworkSettings?.Networks || {});
+
+  if (networks.length === 0) {
+    lines.push(text('Not connected to any network'));
+  }
+  for (const [name, network] of networks) {
+    const addresses = [network.IPAddress, network.GlobalIPv6Address].filter(Boolean).join(', ');
+    lines.push(row(name, addresses || 'no IP', chalk.cyan));
+    if (network.Gateway) lines.push(row('  Gateway', network.Gateway, chalk.gray));
+    if (network.MacAddress) lines.push(row('  MAC', network.MacAddress, chalk.gray));
+    if (network.Aliases?.length > 0) lines.push(row('  Aliases', network.Aliases.join(', '), chalk.gray));
+  }
+
+  return lines;
+}
+
+/**
+ * Build the health tab
+ * @param {Object} info - Container inspect data
+ * @returns {Object[]}
+ */
+function healthLines(info) {
+  const check = info.Config?.Healthcheck;
+  const health = info.State?.Health;
+
+  if (!check || check.Test?.[0] === 'NONE') {
+    return [text('No healthcheck configured')];
+  }
+
+  const statusColor = { healthy: chalk.green, unhealthy: chalk.red, starting: chalk.yellow }[health?.Status] || chalk.gray;
+  const test = check.Test?.[0] === 'CMD-SHELL' ? check.Test[1] : formatCommand(check.Test?.slice(1));
+
+  const lines = [
+    row('Status', health?.Status || 'unknown', statusColor),
+    row('Failing streak', health?.FailingStreak ?? 0, health?.FailingStreak > 0 ? chalk.red : chalk.white),
+    heading('Config'),
+    row('Test', test),
+    row('Interval', formatNanoDuration(check.Interval || 30e9)),
+    row('Timeout', formatNanoDuration(check.Timeout || 30e9)),
+    row('Retries', check.Retries || 3),
+    row('Start period', formatNanoDuration(check.StartPeriod)),
+    heading('Last results'),
+  ];
+
+  const log = health?.Log || [];
+  if (log.length === 0) {
+    lines.push(text('No results yet'));
+  }
+
+  // Docker keeps the last few probes, oldest first
+  for (const result of [...log].reverse()) {
+    const duration = new Date(result.End) - new Date(result.Start);
+    lines.push(row(
+      new Date(result.Start).toLocaleTimeString(),
+      `exit ${result.ExitCode}${duration >= 0 ? `  (${duration}ms)` : ''}`,
+      result.ExitCode === 0 ? chalk.green : chalk.red
+    ));
+
+    const output = (result.Output || '').split('\n').map((line) => line.trimEnd()).filter(Boolean);
+    for (const line of output.slice(0, MAX_PROBE_OUTPUT_LINES)) {
+      lines.push(text(`${' '.repeat(LABEL_WIDTH + 1)}${line}`));
+    }
+    if (output.length > MAX_PROBE_OUTPUT_LINES) {
+      lines.push(text(`${' '.repeat(LABEL_WIDTH + 1)}… ${output.length - MAX_PROBE_OUTPUT_LINES} more lines`));
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Build the resources tab
+ * @param {Object} info - Container inspect data
+ * @returns {Object[]}
+ */
+function resourceLines(info) {
+  const host = info.HostConfig || {};
+  const unlimited = chalk.gray('unlimited');
+  const bytes = (value) => (value > 0 ? formatBytes(value) : unlimited);
+
+  let cpus = unlimited;
+  if (host.NanoCpus) {
+    cpus = String(host.NanoCpus / 1e9);
+  } else if (host.CpuQuota > 0) {
+    cpus = `${(host.CpuQuota / (host.CpuPeriod || 100000)).toFixed(2)} ${chalk.gray(`(quota ${host.CpuQuota}/${host.CpuPeriod || 100000})`)}`;
+  }
+
+  const lines = [
+    heading('Memory'),
+    row('Limit', bytes(host.Memory)),
+    row('Reservation', bytes(host.MemoryReservation)),
+    row('Swap', host.MemorySwap === -1 ? unlimited : bytes(host.MemorySwap)),
+    heading('CPU'),
+    row('CPUs', cpus),
+    row('Shares', host.CpuShares || chalk.gray('default (1024)')),
+    row('Pinned to', host.CpusetCpus || chalk.gray('any')),
+    heading('Other'),
+    row('PIDs limit', host.PidsLimit > 0 ? host.PidsLimit : unlimited),
+    row('Shm size', bytes(host.ShmSize)),
+  ];
+
+  for (const ulimit of host.Ulimits || []) {
+    lines.push(row(`ulimit ${ulimit.Name}`, `${ulimit.Soft}:${ulimit.Hard}`));
+  }
+
+  return lines;
+}
+
+/**
+ * Build the labels tab
+ * @param {Object} info - Container inspect data
+ * @returns {Object[]}
+ */
+function labelLines(info) {
+  const labels = Object.entries(info.Config?.Labels || {});
+  if (labels.length === 0) return [text('No labels')];
+
+  return labels
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, value]) => ({ label: key, value, color: chalk.white, wide: true }));
+}
+
+/**
+ * Build the lines of a tab
+ * @param {string} tab - Tab name
+ * @param {Object} info - Container inspect data
+ * @param {boolean} masked - Hide secret-looking env values
+ * @returns {Object[]}
+ */
+export function buildTabLines(tab, info, masked = true) {
+  const builders = {
+    Env: () => envLines(info, masked),
+    Mounts: () => mountLines(info),
+    Network: () => networkLines(info),
+    Health: () => healthLines(info),
+    Resources: () => resourceLines(info),
+    Labels: () => labelLines(info),
+  };
+  const lines = (builders[tab] || (() => overviewLines(info)))();
+
+  // Space out sections
+  return lines.flatMap((line, i) => (line.heading && i > 0 ? [text(''), line] : [line]));
+}
+
+/**
+ * Fit a line object into the terminal width
+ * @param {Object} line - Line from buildTabLines()
+ * @param {number} width - Available width
+ * @param {number} labelWidth - Label column width
+ * @returns {string}
+ */
+function formatLine(line, width, labelWidth) {
+  const clip = (value, max) => (value.length > max ? value.substring(0, Math.max(0, max - 1)) + '…' : value);
+
+  if (line.heading) {
+    return chalk.bold.cyan(line.heading);
+  }
+  if (line.text !== undefined) {
+    return line.color(clip(line.text, width));
+  }
+
+  const label = clip(line.label, labelWidth).padEnd(labelWidth);
+  return `${chalk.gray(label)} ${line.color(clip(line.value, width - labelWidth - 1))}`;
+}
+
+/**
+ * Show a tabbed, scrollable view of a container's inspect data
+ * @param {string} containerName - Container name or ID
+ * @param {Object} options - View options
+ * @param {string} options.tab - Tab to open (defaults to Overview)
+ * @returns {Promise<void>}
+ */
+export async function showContainerDetails(containerName, options = {}) {
+  const state = {
+    tab: Math.max(0, TABS.indexOf(options.tab)),
+    offset: 0,
+    masked: true,
+    info: null,
+    message: '',
+    closed: false,
+  };
+
+  const load = async () => {
+    try {
+      state.info = await inspectContainer(containerName);
+      state.message = '';
+    } catch (error) {
+      state.message = chalk.red(`✕ ${error.message}`);
+    }
+  };
+
+  const drawHeader = () => {
+    clearScreen();
+    showHeader(`Container: ${containerName}`);
+    renderer.reset();
+  };
+
+  const getPageSize = () => Math.max(3, getTerminalSize().rows - HEADER_LINES - CHROME_LINES);
+
+  const render = () => {
+    if (state.closed) return;
+
+    const { cols } = getTerminalSize();
+    const width = cols - 4;
+    const pageSize = getPageSize();
+
+    const tabBar = TABS.map((name, i) => {
+      const label = ` ${i + 1} ${name} `;
+      return i === state.tab ? chalk.inverse.cyan(label) : chalk.gray(label);
+    }).join('');
+
+    const lines = [`  ${tabBar}`, ''];
+    const content = state.info ? buildTabLines(TABS[state.tab], state.info, state.masked) : [text('Loading...')];
+
+    // Long keys (env names, labels) get a wider label column than the fixed-width overview
+    const labelWidth = content.some((line) => line.wide)
+      ? Math.min(Math.floor(width / 2), Math.max(...content.map((line) => line.label?.length || 0)))
+      : LABEL_WIDTH;
+
+    state.offset = Math.max(0, Math.min(state.offset, content.length - pageSize));
+    const visible = content.slice(state.offset, state.offset + pageSize);
+
+    for (const line of visible) {
+      lines.push(`  ${formatLine(line, width, labelWidth)}`);
+    }
+    for (let i = visible.length; i < pageSize; i++) {
+      lines.push('');
+    }
+
+    const hidden = content.length - state.offset - visible.length;
+    const status = [
+      hidden > 0 ? `↓ ${hidden} more` : '',
+      TABS[state.tab] === 'Env' ? (state.masked ? 'secrets masked' : chalk.yellow('secrets revealed')) : '',
+    ].filter(Boolean).join('  ');
+
+    lines.push(state.message ? `  ${state.message}` : chalk.gray(`  ${status}`));
+    lines.push(`  ${HELP_KEYS.map(([key, label]) => chalk.gray(`[${chalk.cyan(key)}] ${label}`)).join('  ')}`);
+
+    renderer.render(lines.join('\n'));
+  };
+
+  hideCursor();
+  drawHeader();
+  await load();
+  render();
+
+  return new Promise((resolve) => {
+    const onResize = () => {
+      drawHeader();
+      render();
+    };
+
+    const finish = () => {
+      state.closed = true;
+      process.stdout.removeListener('resize', onResize);
+      process.stdin.removeListener('keypress', onKeypress);
+      process.stdin.setRawMode?.(false);
+      renderer.reset();
+      showCursor();
+      clearScreen();
+      resolve();
+    };
+
+    const switchTab = (index) => {
+      state.tab = (index + TABS.length) % TABS.length;
+      state.offset = 0;
+      render();
+    };
+
+    const scroll = (delta) => {
+      state.offset = Math.max(0, state.offset + delta);
+      render();
+    };
+
+    const onKeypress = (str, key = {}) => {
+      if (key.ctrl && key.name === 'c') {
+        return finish();
+      }
+
+      if (/^[1-9]$/.test(str || '') && Number(str) <= TABS.length) {
+        return switchTab(Number(str) - 1);
+      }
+
+      switch (key.name) {
+        case 'left':
+        case 'h':
+          return switchTab(state.tab - 1);
+        case 'right':
+        case 'l':
+          return switchTab(state.tab + 1);
+        case 'tab':
+          return switchTab(state.tab + (key.shift ? -1 : 1));
+        case 'up':
+        case 'k':
+          return scroll(-1);
+        case 'down':
+        case 'j':
+          return scroll(1);
+        case 'pageup':
+          return scroll(-getPageSize());
+        case 'pagedown':
+          return scroll(getPageSize());
+        case 'home':
+          return scroll(-Infinity);
+        case 'end':
+          return scroll(Infinity);
+        case 'm':
+          state.masked = !state.masked;
+          return render();
+        case 'r':
+          state.message = chalk.cyan('Refreshing...');
+          render();
+          load().then(render);
+          return;
+        case 'q':
+        case 'escape':
+          return finish();
+      }
+    };
+
+    readline.emitKeypressEvents(process.stdin);
+    if (process.stdin.isTTY) {
+      process.stdin.setRawMode(true);
+    }
+    process.stdin.resume();
+    process.stdin.on('keypress', onKeypress);
+    process.stdout.on('resize', onResize);
+  });
+}
+
+export default { showContainerDetails, buildTabLines };
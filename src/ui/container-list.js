@@ -0,0 +1,501 @@
+import chalk from 'chalk';
+import readline from 'readline';
+import {
+  getContainers,
+  startContainer,
+  stopContainer,
+  restartContainer,
+  removeContainer,
+} from '../containers.js';
+import { loadConfig } from '../utils/config.js';
+import { getStateEmoji, getHealthLabel, stripHealthStatus } from '../utils/format.js';
+import { showHeader, clearScreen } from './banner.js';
+import renderer, { hideCursor, showCursor, getTerminalSize } from './renderer.js';
+import { colorHealth } from './table.js';
+
+const SORT_FIELDS = ['name', 'state', 'health', 'image', 'created'];
+
+// Unhealthy first, then containers still starting, healthy ones, and those without a healthcheck
+const HEALTH_ORDER = { unhealthy: 0, starting: 1, healthy: 2 };
+
+const HEALTH_WIDTH = 11;
+
+const HELP_KEYS = [
+  ['↑↓', 'Move'],
+  ['Space', 'Select'],
+  ['*', 'Select all'],
+  ['Enter', 'Actions'],
+  ['I', 'Details'],
+  ['H', 'Health'],
+  ['L', 'Logs'],
+  ['S', 'Stats'],
+  ['R', 'Restart'],
+  ['X', 'Stop'],
+  ['T', 'Start'],
+  ['D', 'Remove'],
+  ['/', 'Filter'],
+  ['O', 'Sort'],
+  ['A', 'All/Running'],
+  ['U', 'Unhealthy'],
+  ['Q', 'Back'],
+];
+
+// Lines taken by showHeader plus the list's own header, footer and spacing
+const HEADER_LINES = 5;
+const CHROME_LINES = 7;
+
+/**
+ * Fit a string into a fixed-width column
+ * @param {string} str - Cell text
+ * @param {number} width - Column width
+ * @returns {string}
+ */
+function fit(str, width) {
+  if (width <= 0) return '';
+  const text = String(str ?? '');
+  return text.length > width ? text.substring(0, width - 1) + '…' : text.padEnd(width);
+}
+
+/**
+ * Join status segments, dropping those that don't fit on one line
+ * @param {string[]} segments - Colored segments in priority order
+ * @param {number} width - Available width
+ * @returns {string}
+ */
+function fitSegments(segments, width) {
+  const visibleLength = (str) => str.replace(/\x1b\[[0-9;]*m/g, '').length;
+  const kept = [];
+  let length = 0;
+
+  for (const segment of segments) {
+    const segmentLength = visibleLength(segment) + (kept.length > 0 ? 2 : 0);
+    if (length + segmentLength > width) continue;
+    kept.push(segment);
+    length += segmentLength;
+  }
+
+  return kept.join('  ');
+}
+
+/**
+ * Compare two containers by a sort field
+ * @param {Object} a - Container
+ * @param {Object} b - Container
+ * @param {string} field - Sort field
+ * @returns {number}
+ */
+function compareContainers(a, b, field) {
+  switch (field) {
+    case 'state':
+      return (a.state === 'running' ? 0 : 1) - (b.state === 'running' ? 0 : 1) || a.name.localeCompare(b.name);
+    case 'health':
+      return (HEALTH_ORDER[a.health] ?? 3) - (HEALTH_ORDER[b.health] ?? 3) || a.name.localeCompare(b.name);
+    case 'image':
+      return a.image.localeCompare(b.image) || a.name.localeCompare(b.name);
+    case 'created':
+      return b.created - a.created;
+    default:
+      return a.name.localeCompare(b.name);
+  }
+}
+
+/**
+ * Wrap help segments into lines no wider than the terminal
+ * @param {number} width - Available width
+ * @returns {string[]}
+ */
+function renderHelp(width) {
+  const lines = [];
+  let current = '';
+  let currentLength = 0;
+
+  for (const [key, label] of HELP_KEYS) {
+    const plain = `[${key}] ${label}  `;
+    if (currentLength + plain.length > width && current) {
+      lines.push(current);
+      current = '';
+      currentLength = 0;
+    }
+    current += chalk.gray(`[${chalk.cyan(key)}] ${label}  `);
+    currentLength += plain.length;
+  }
+
+  if (current) lines.push(current);
+  return lines;
+}
+
+/**
+ * Show full-screen, keyboard-driven container list
+ * Resolves when the user picks something that needs another screen
+ * @param {Object} options - List options
+ * @param {boolean} options.all - Include stopped containers
+ * @param {string} options.selected - Container name to highlight initially
+ * @param {boolean} options.unhealthyOnly - Only show unhealthy containers
+ * @returns {Promise<{action: 'actions'|'bulk'|'details'|'health'|'logs'|'stats'|'back', name?: string, names?: string[]}>}
+ */
+export async function showContainerList(options = {}) {
+  const config = loadConfig();
+
+  const state = {
+    all: options.all ?? config.showAllContainers,
+    unhealthyOnly: options.unhealthyOnly ?? false,
+    containers: [],
+    selected: options.selected || null,
+    marked: new Set(),
+    cursor: 0,
+    offset: 0,
+    sortIndex: 0,
+    sortDesc: false,
+    filter: '',
+    filterMode: false,
+    confirm: null,
+    busy: false,
+    closed: false,
+    message: '',
+  };
+
+  const drawHeader = () => {
+    clearScreen();
+    showHeader('Containers');
+    renderer.reset();
+  };
+
+  const visibleContainers = () => {
+    const needle = state.filter.toLowerCase();
+    const field = SORT_FIELDS[state.sortIndex];
+
+    return state.containers
+      .filter((c) => !state.unhealthyOnly || c.health === 'unhealthy')
+      .filter((c) => !needle || c.name.toLowerCase().includes(needle) || c.image.toLowerCase().includes(needle))
+      .sort((a, b) => compareContainers(a, b, field) * (state.sortDesc ? -1 : 1));
+  };
+
+  const render = () => {
+    if (state.closed) return;
+
+    const { rows, cols } = getTerminalSize();
+    const list = visibleContainers();
+    const helpLines = renderHelp(cols - 4);
+    const pageSize = Math.max(3, rows - HEADER_LINES - CHROME_LINES - helpLines.length);
+
+    // Keep the highlighted container under the cursor across refreshes
+    if (state.selected) {
+      const index = list.findIndex((c) => c.name === state.selected);
+      if (index !== -1) state.cursor = index;
+    }
+    state.cursor = Math.max(0, Math.min(state.cursor, list.length - 1));
+    state.selected = list[state.cursor]?.name || null;
+
+    if (state.cursor < state.offset) state.offset = state.cursor;
+    if (state.cursor >= state.offset + pageSize) state.offset = state.cursor - pageSize + 1;
+    state.offset = Math.max(0, Math.min(state.offset, Math.max(0, list.length - pageSize)));
+
+    const available = cols - 14 - HEALTH_WIDTH;
+    const nameWidth = Math.max(12, Math.floor(available * 0.28));
+    const imageWidth = Math.max(12, Math.floor(available * 0.25));
+    const statusWidth = Math.max(10, Math.floor(available * 0.2));
+    const portsWidth = Math.max(0, available - nameWidth - imageWidth - statusWidth);
+
+    const running = state.containers.filter((c) => c.state === 'running').length;
+    const unhealthy = state.containers.filter((c) => c.health === 'unhealthy').length;
+    const sortLabel = `${SORT_FIELDS[state.sortIndex]} ${state.sortDesc ? '↓' : '↑'}`;
+    const filterLabel = state.filterMode
+      ? chalk.yellow(`/${state.filter}▌`)
+      : state.filter ? chalk.yellow(state.filter) : chalk.gray('none');
+
+    const summary = [
+      `${chalk.bold(`${state.containers.length} containers`)} ${chalk.gray(`(${running} running)`)}` +
+        (unhealthy > 0 ? ` ${chalk.red.bold(`${unhealthy} unhealthy`)}` : ''),
+      state.marked.size > 0 ? chalk.yellow(`${state.marked.size} selected`) : '',
+      `${chalk.gray('filter:')} ${filterLabel}`,
+      `${chalk.gray('showing:')} ${chalk.cyan(state.all ? 'all' : 'running')}` +
+        (state.unhealthyOnly ? chalk.red(' unhealthy only') : ''),
+      `${chalk.gray('sort:')} ${chalk.cyan(sortLabel)}`,
+    ];
+
+    const lines = [
+      `  ${fitSegments(summary.filter(Boolean), cols - 2)}`,
+      '',
+      chalk.cyan(
+        `      ${fit('NAME', nameWidth)} ${fit('IMAGE', imageWidth)} ${fit('STATUS', statusWidth)} ` +
+          `${fit('HEALTH', HEALTH_WIDTH)} ${fit('PORTS', portsWidth)}`
+      ),
+    ];
+
+    if (list.length === 0) {
+      let empty = '  No containers found';
+      if (state.unhealthyOnly) empty = '  No unhealthy containers';
+      if (state.filter) empty = '  No containers match the filter';
+      lines.push(chalk.gray(empty));
+    }
+
+    for (let i = state.offset; i < Math.min(list.length, state.offset + pageSize); i++) {
+      const c = list[i];
+      const isSelected = i === state.cursor;
+      const stateColor = c.state === 'running' ? chalk.green : chalk.red;
+      const before = `${fit(c.name, nameWidth)} ${fit(c.image, imageWidth)} ${fit(stripHealthStatus(c.status), statusWidth)} `;
+      const health = colorHealth(c.health, fit(getHealthLabel(c.health), HEALTH_WIDTH));
+      const after = ` ${fit(c.ports, portsWidth)}`;
+
+      lines.push(
+        `  ${isSelected ? chalk.cyan('❯') : ' '}${state.marked.has(c.name) ? chalk.yellow('✓') : ' '} ` +
+          `${stateColor(getStateEmoji(c.state))} ` +
+          (isSelected
+            ? chalk.inverse(before + health + after)
+            : chalk.white(before) + health + chalk.white(after))
+      );
+    }
+
+    const hidden = list.length - Math.min(list.length, state.offset + pageSize);
+    lines.push(chalk.gray(hidden > 0 ? `  ↓ ${hidden} more` : ''));
+
+    if (state.confirm) {
+      lines.push(chalk.yellow(`  ${state.confirm.message} (y/N)`));
+    } else if (state.message) {
+      lines.push(`  ${state.message}`);
+    } else {
+      lines.push(state.marked.size > 0 ? chalk.gray(`  [Enter] act on ${state.marked.size} selected  [Esc] clear selection`) : '');
+    }
+
+    lines.push('');
+    for (const helpLine of helpLines) {
+      lines.push(`  ${helpLine}`);
+    }
+
+    renderer.render(lines.join('\n'));
+  };
+
+  const refresh = async () => {
+    try {
+      state.containers = await getContainers(state.all);
+      // Forget selections of containers that are gone
+      const names = new Set(state.containers.map((c) => c.name));
+      for (const name of state.marked) {
+        if (!names.has(name)) state.marked.delete(name);
+      }
+    } catch (error) {
+      state.message = chalk.red(`✕ ${error.message}`);
+    }
+  };
+
+  hideCursor();
+  drawHeader();
+  await refresh();
+  render();
+
+  return new Promise((resolve) => {
+    const refreshLoop = setInterval(async () => {
+      await refresh();
+      render();
+    }, config.refreshInterval);
+
+    const onResize = () => {
+      drawHeader();
+      render();
+    };
+
+    const finish = (result) => {
+      state.closed = true;
+      clearInterval(refreshLoop);
+      process.stdout.removeListener('resize', onResize);
+      process.stdin.removeListener('keypress', onKeypress);
+      process.stdin.setRawMode?.(false);
+      renderer.reset();
+      showCursor();
+      clearScreen();
+      resolve(result);
+    };
+
+    const runAction = async (label, done, action) => {
+      state.busy = true;
+      state.message = chalk.cyan(`${label}...`);
+      render();
+
+      try {
+        await action();
+        state.message = chalk.green(`✓ ${done}`);
+      } catch (error) {
+        state.message = chalk.red(`✕ ${error.message}`);
+      }
+
+      state.busy = false;
+      await refresh();
+      render();
+    };
+
+    const onKeypress = (str, key = {}) => {
+      if (key.ctrl && key.name === 'c') {
+        return finish({ action: 'back' });
+      }
+
+      if (state.filterMode) {
+        if (key.name === 'return' || key.name === 'enter') {
+          state.filterMode = false;
+        } else if (key.name === 'escape') {
+          state.filterMode = false;
+          state.filter = '';
+        } else if (key.name === 'backspace') {
+          state.filter = state.filter.slice(0, -1);
+        } else if (str && str.length === 1 && !key.ctrl && !key.meta && str >= ' ') {
+          state.filter += str;
+        }
+        state.cursor = 0;
+        state.selected = null;
+        render();
+        return;
+      }
+
+      if (state.confirm) {
+        const { action } = state.confirm;
+        state.confirm = null;
+        if (key.name === 'y') {
+          action();
+        } else {
+          state.message = chalk.gray('Cancelled');
+          render();
+        }
+        return;
+      }
+
+      const list = visibleContainers();
+      const current = list[state.cursor];
+      const { rows } = getTerminalSize();
+      const page = Math.max(1, rows - HEADER_LINES - CHROME_LINES - 2);
+
+      const move = (delta) => {
+        state.cursor = Math.max(0, Math.min(list.length - 1, state.cursor + delta));
+        state.selected = list[state.cursor]?.name || null;
+        render();
+      };
+
+      switch (key.name) {
+        case 'up':
+        case 'k':
+          return move(-1);
+        case 'down':
+        case 'j':
+          return move(1);
+        case 'pageup':
+          return move(-page);
+        case 'pagedown':
+          return move(page);
+        case 'home':
+          return move(-list.length);
+        case 'end':
+          return move(list.length);
+        case 'escape':
+          if (state.marked.size > 0) {
+            state.marked.clear();
+            return render();
+          }
+          return finish({ action: 'back' });
+        case 'q':
+          return finish({ action: 'back' });
+        case 'space':
+          if (!current) return;
+          if (state.marked.has(current.name)) {
+            state.marked.delete(current.name);
+          } else {
+            state.marked.add(current.name);
+          }
+          return move(1);
+        case 'o':
+          if (key.shift) {
+            state.sortDesc = !state.sortDesc;
+          } else {
+            state.sortIndex = (state.sortIndex + 1) % SORT_FIELDS.length;
+          }
+          return render();
+        case 'a':
+          state.all = !state.all;
+          refresh().then(render);
+          return;
+        case 'u':
+          state.unhealthyOnly = !state.unhealthyOnly;
+          state.cursor = 0;
+          state.selected = null;
+          return render();
+      }
+
+      if (str === '/') {
+        state.filterMode = true;
+        state.message = '';
+        return render();
+      }
+
+      // Select every visible container, or clear the selection if they all are
+      if (str === '*') {
+        const allMarked = list.length > 0 && list.every((c) => state.marked.has(c.name));
+        for (const c of list) {
+          if (allMarked) {
+            state.marked.delete(c.name);
+          } else {
+            state.marked.add(c.name);
+          }
+        }
+        return render();
+      }
+
+      if ((key.name === 'return' || key.name === 'enter') && state.marked.size > 0) {
+        return finish({ action: 'bulk', names: [...state.marked] });
+      }
+
+      if (!current || state.busy) return;
+
+      switch (key.name) {
+        case 'return':
+        case 'enter':
+          return finish({ action: 'actions', name: current.name });
+        case 'i':
+          return finish({ action: 'details', name: current.name });
+        case 'h':
+          return finish({ action: 'health', name: current.name });
+        case 'l':
+          return finish({ action: 'logs', name: current.name });
+        case 's':
+          return finish({ action: 'stats', name: current.name });
+        case 'r':
+          return runAction(`Restarting ${current.name}`, `${current.name} restarted`, () =>
+            restartContainer(current.name)
+          );
+        case 'x':
+          if (current.state !== 'running') {
+            state.message = chalk.yellow(`${current.name} is not running`);
+            return render();
+          }
+          return runAction(`Stopping ${current.name}`, `${current.name} stopped`, () =>
+            stopContainer(current.name)
+          );
+        case 't':
+          if (current.state === 'running') {
+            state.message = chalk.yellow(`${current.name} is already running`);
+            return render();
+          }
+          return runAction(`Starting ${current.name}`, `${current.name} started`, () =>
+            startContainer(current.name)
+          );
+        case 'd': {
+          const force = current.state === 'running';
+          state.confirm = {
+            message: force ? `Force remove running container ${current.name}?` : `Remove ${current.name}?`,
+            action: () =>
+              runAction(`Removing ${current.name}`, `${current.name} removed`, () =>
+                removeContainer(current.name, force)
+              ),
+          };
+          return render();
+        }
+      }
+    };
+
+    readline.emitKeypressEvents(process.stdin);
+    if (process.stdin.isTTY) {
+      process.stdin.setRawMode(true);
+    }
+    process.stdin.resume();
+    process.stdin.on('keypress', onKeypress);
+    process.stdout.on('resize', onResize);
+  });
+}
+
+export default { showContainerList };
@@ -0,0 +1,494 @@
+import chalk from 'chalk';
+import readline from 'readline';
+import { listDirectory, readFile, statPath, getChanges, joinContainerPath, parentPath, VIEW_LIMIT } from '../files.js';
+import { formatBytes } from '../utils/format.js';
+import { showHeader, clearScreen } from './banner.js';
+import renderer, { hideCursor, showCursor, getTerminalSize } from './renderer.js';
+
+const HELP_KEYS = {
+  list: [
+    ['⏎', 'Open'],
+    ['←', 'Up'],
+    ['D', 'Download'],
+    ['U', 'Upload'],
+    ['G', 'Go to'],
+    ['C', 'Changes'],
+    ['Q', 'Back'],
+  ],
+  view: [
+    ['↑↓', 'Scroll'],
+    ['←→', 'Pan'],
+    ['D', 'Download'],
+    ['Q', 'Close'],
+  ],
+  changes: [
+    ['↑↓', 'Move'],
+    ['⏎', 'Show in browser'],
+    ['Q', 'Close'],
+  ],
+};
+
+// Lines taken by showHeader plus the view's title, column header, footer and spacing
+const HEADER_LINES = 5;
+const CHROME_LINES = 7;
+
+const SIZE_WIDTH = 10;
+const MODE_WIDTH = 10;
+const DATE_WIDTH = 16;
+const PAN_STEP = 8;
+
+const CHANGE_STYLES = {
+  added: { symbol: 'A', color: chalk.green },
+  changed: { symbol: 'C', color: chalk.yellow },
+  deleted: { symbol: 'D', color: chalk.red },
+};
+
+const TYPE_STYLES = {
+  directory: { icon: '▸', color: chalk.cyan.bold },
+  symlink: { icon: '↪', color: chalk.magenta },
+  file: { icon: ' ', color: chalk.white },
+  other: { icon: '?', color: chalk.gray },
+};
+
+/**
+ * Format permission bits like ls -l
+ * @param {Object} entry - Directory entry
+ * @returns {string}
+ */
+function formatMode(entry) {
+  const type = { directory: 'd', symlink: 'l', file: '-', other: '?' }[entry.type];
+  const bits = 'rwxrwxrwx'.split('').map((char, i) => (entry.mode & (1 << (8 - i)) ? char : '-')).join('');
+  return type + bits;
+}
+
+/**
+ * Format a modification time as YYYY-MM-DD HH:MM
+ * @param {Date|null} date - Modification time
+ * @returns {string}
+ */
+function formatDate(date) {
+  if (!date) return '';
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Clip text to a width with an ellipsis
+ * @param {string} value - Text
+ * @param {number} max - Maximum width
+ * @returns {string}
+ */
+function clip(value, max) {
+  return value.length > max ? value.substring(0, Math.max(0, max - 1)) + '…' : value;
+}
+
+/**
+ * Make file content safe to print: expand tabs and replace control characters
+ * @param {string} line - Line of text
+ * @returns {string}
+ */
+function sanitizeLine(line) {
+  return line
+    .replace(/\r$/, '')
+    .replace(/\t/g, '    ')
+    .replace(/[\x00-\x08\x0b-\x1f\x7f]/g, '·');
+}
+
+/**
+ * Browse a container's filesystem through the archive API
+ * Works in containers without a shell; downloads, uploads and "go to" are handed back to the caller to prompt for
+ * @param {string} containerName - Container name or ID
+ * @param {Object} options - Browser options
+ * @param {string} options.path - Directory to open (defaults to /)
+ * @param {string} options.selected - Entry name to select
+ * @returns {Promise<{action: 'download'|'upload'|'goto', path: string, dir: string}|null>} - Requested action, or null when closed
+ */
+export async function showFileBrowser(containerName, options = {}) {
+  const state = {
+    mode: 'list',
+    path: options.path || '/',
+    entries: [],
+    truncated: false,
+    selected: 0,
+    offset: 0,
+    view: null,
+    changes: null,
+    message: '',
+    loading: false,
+    closed: false,
+  };
+
+  const drawHeader = () => {
+    clearScreen();
+    showHeader(`Files: ${containerName}`);
+    renderer.reset();
+  };
+
+  const getPageSize = () => Math.max(3, getTerminalSize().rows - HEADER_LINES - CHROME_LINES);
+
+  const selectedEntry = () => state.entries[state.selected] || null;
+
+  const openDirectory = async (path, selectName = null) => {
+    state.loading = true;
+    state.message = chalk.cyan(`Loading ${path}...`);
+    render();
+    try {
+      const { entries, truncated } = await listDirectory(containerName, path);
+      state.path = path;
+      state.entries = entries;
+      state.truncated = truncated;
+      state.selected = Math.max(0, entries.findIndex((entry) => entry.name === selectName));
+      state.offset = 0;
+      state.message = '';
+    } catch (error) {
+      state.message = chalk.red(`✕ ${error.message}`);
+    }
+    state.loading = false;
+    render();
+  };
+
+  const openFile = async (path) => {
+    state.loading = true;
+    state.message = chalk.cyan(`Reading ${path}...`);
+    render();
+    try {
+      const file = await readFile(containerName, path);
+      const lines = file.binary
+        ? [chalk.gray(`Binary file (${formatBytes(file.size)}) - press D to download it`)]
+        : file.content.toString('utf8').split('\n').map(sanitizeLine);
+      if (!file.binary && lines[lines.length - 1] === '') lines.pop();
+      state.view = { path, lines, size: file.size, truncated: file.truncated, offset: 0, pan: 0 };
+      state.mode = 'view';
+      state.message = '';
+    } catch (error) {
+      state.message = chalk.red(`✕ ${error.message}`);
+    }
+    state.loading = false;
+    render();
+  };
+
+  const openChanges = async () => {
+    state.loading = true;
+    state.message = chalk.cyan('Loading changes...');
+    render();
+    try {
+      state.changes = { items: await getChanges(containerName), selected: 0, offset: 0 };
+      state.mode = 'changes';
+      state.message = '';
+    } catch (error) {
+      state.message = chalk.red(`✕ ${error.message}`);
+    }
+    state.loading = false;
+    render();
+  };
+
+  const openEntry = async () => {
+    const entry = selectedEntry();
+    if (!entry) return;
+    const path = joinContainerPath(state.path, entry.name);
+
+    if (entry.type === 'directory') {
+      return openDirectory(path);
+    }
+    if (entry.type === 'symlink') {
+      // Follow the link: the archive API would only return the link itself
+      const target = entry.linkname?.startsWith('/') ? entry.linkname : joinContainerPath(state.path, entry.linkname || '');
+      try {
+        const stat = await statPath(containerName, `${target}/.`).catch(() => statPath(containerName, target));
+        return stat.isDirectory ? openDirectory(target) : openFile(target);
+      } catch (error) {
+        state.message = chalk.red(`✕ Broken link: ${error.message}`);
+        return render();
+      }
+    }
+    return openFile(path);
+  };
+
+  /**
+   * Build the directory listing lines
+   * @param {number} width - Available width
+   * @param {number} pageSize - Visible rows
+   * @returns {string[]}
+   */
+  const listLines = (width, pageSize) => {
+    const nameWidth = Math.max(10, width - SIZE_WIDTH - MODE_WIDTH - DATE_WIDTH - 8);
+    const lines = [
+      chalk.gray(`   ${'NAME'.padEnd(nameWidth)} ${'SIZE'.padStart(SIZE_WIDTH)}  ${'MODE'.padEnd(MODE_WIDTH)}  MODIFIED`),
+    ];
+
+    if (state.selected < state.offset) state.offset = state.selected;
+    if (state.selected >= state.offset + pageSize) state.offset = state.selected - pageSize + 1;
+
+    const visible = state.entries.slice(state.offset, state.offset + pageSize);
+    visible.forEach((entry, i) => {
+      const { icon, color } = TYPE_STYLES[entry.type];
+      const suffix = entry.type === 'directory' ? '/' : entry.type === 'symlink' ? ` → ${entry.linkname}` : '';
+      const name = clip(entry.name + suffix, nameWidth).padEnd(nameWidth);
+      const size = (entry.type === 'symlink' ? '' : formatBytes(entry.size)).padStart(SIZE_WIDTH);
+      const row = `${icon} ${name} ${size}  ${formatMode(entry)}  ${formatDate(entry.mtime)}`;
+      lines.push(state.offset + i === state.selected ? chalk.inverse(` ${row} `) : ` ${color(row)} `);
+    });
+
+    if (state.entries.length === 0 && !state.loading) {
+      lines.push(chalk.gray('  (empty directory)'));
+    }
+    return lines;
+  };
+
+  /**
+   * Build the file viewer lines
+   * @param {number} width - Available width
+   * @param {number} pageSize - Visible rows
+   * @returns {string[]}
+   */
+  const viewLines = (width, pageSize) => {
+    const { view } = state;
+    const gutter = String(view.lines.length).length;
+    view.offset = Math.max(0, Math.min(view.offset, view.lines.length - pageSize));
+
+    return view.lines.slice(view.offset, view.offset + pageSize).map((line, i) => {
+      const number = chalk.gray(String(view.offset + i + 1).padStart(gutter));
+      return `${number} ${clip(line.substring(view.pan), width - gutter - 1)}`;
+    });
+  };
+
+  /**
+   * Build the changes list lines
+   * @param {number} width - Available width
+   * @param {number} pageSize - Visible rows
+   * @returns {string[]}
+   */
+  const changeLines = (width, pageSize) => {
+    const { changes } = state;
+    if (changes.items.length === 0) {
+      return [chalk.gray('  No changes compared to the image')];
+    }
+
+    if (changes.selected < changes.offset) changes.offset = changes.selected;
+    if (changes.selected >= changes.offset + pageSize) changes.offset = changes.selected - pageSize + 1;
+
+    return changes.items.slice(changes.offset, changes.offset + pageSize).map((change, i) => {
+      const { symbol, color } = CHANGE_STYLES[change.kind];
+      const row = `${symbol}  ${clip(change.path, width - 4)}`;
+      return changes.offset + i === changes.selected ? chalk.inverse(` ${row} `) : ` ${color(row)} `;
+    });
+  };
+
+  const render = () => {
+    if (state.closed) return;
+
+    const { cols } = getTerminalSize();
+    const width = cols - 4;
+    const pageSize = getPageSize();
+    let title;
+    let body;
+    let status;
+
+    if (state.mode === 'view') {
+      const { view } = state;
+      title = `${chalk.bold(clip(view.path, width - 20))} ${chalk.gray(formatBytes(view.size))}`;
+      body = ['', ...viewLines(width, pageSize)];
+      const hidden = view.lines.length - view.offset - pageSize;
+      status = [
+        `lines ${view.offset + 1}-${Math.min(view.lines.length, view.offset + pageSize)} of ${view.lines.length}`,
+        view.truncated ? chalk.yellow(`showing the first ${formatBytes(VIEW_LIMIT)}`) : '',
+        hidden > 0 ? `↓ ${hidden} more` : '',
+      ].filter(Boolean).join('  ');
+    } else if (state.mode === 'changes') {
+      const counts = Object.keys(CHANGE_STYLES)
+        .map((kind) => `${state.changes.items.filter((change) => change.kind === kind).length} ${kind}`)
+        .join(', ');
+      title = `${chalk.bold('Changes since the image')} ${chalk.gray(`(${counts})`)}`;
+      body = ['', ...changeLines(width, pageSize)];
+      status = `${state.changes.items.length} paths`;
+    } else {
+      title = chalk.bold(clip(state.path, width));
+      body = listLines(width, pageSize);
+      const dirs = state.entries.filter((entry) => entry.type === 'directory').length;
+      status = [
+        `${state.entries.length} ${state.entries.length === 1 ? 'entry' : 'entries'}${dirs > 0 ? ` (${dirs} directories)` : ''}`,
+        state.truncated ? chalk.yellow('partial listing: directory too large to scan completely') : '',
+      ].filter(Boolean).join('  ');
+    }
+
+    const lines = [`  ${title}`, ...body.map((line) => `  ${line}`)];
+    while (lines.length < pageSize + 2) {
+      lines.push('');
+    }
+
+    lines.push('');
+    lines.push(state.message ? `  ${state.message}` : chalk.gray(`  ${status}`));
+    lines.push(`  ${HELP_KEYS[state.mode].map(([key, label]) => chalk.gray(`[${chalk.cyan(key)}] ${label}`)).join('  ')}`);
+
+    renderer.render(lines.join('\n'));
+  };
+
+  hideCursor();
+  drawHeader();
+  await openDirectory(state.path, options.selected);
+
+  return new Promise((resolve) => {
+    const onResize = () => {
+      drawHeader();
+      render();
+    };
+
+    const finish = (result = null) => {
+      state.closed = true;
+      process.stdout.removeListener('resize', onResize);
+      process.stdin.removeListener('keypress', onKeypress);
+      process.stdin.setRawMode?.(false);
+      renderer.reset();
+      showCursor();
+      clearScreen();
+      resolve(result);
+    };
+
+    const move = (delta) => {
+      if (state.mode === 'changes') {
+        const { changes } = state;
+        changes.selected = Math.max(0, Math.min(changes.items.length - 1, changes.selected + delta));
+      } else {
+        state.selected = Math.max(0, Math.min(state.entries.length - 1, state.selected + delta));
+      }
+      render();
+    };
+
+    const scroll = (delta) => {
+      state.view.offset = Math.max(0, state.view.offset + delta);
+      render();
+    };
+
+    const goUp = () => {
+      if (state.path === '/') return;
+      const current = state.path.replace(/\/+$/, '').split('/').pop();
+      openDirectory(parentPath(state.path), current);
+    };
+
+    const onListKey = (key) => {
+      const entry = selectedEntry();
+      switch (key.name) {
+        case 'up':
+        case 'k':
+          return move(-1);
+        case 'down':
+        case 'j':
+          return move(1);
+        case 'pageup':
+          return move(-getPageSize());
+        case 'pagedown':
+          return move(getPageSize());
+        case 'home':
+          return move(-Infinity);
+        case 'end':
+          return move(Infinity);
+        case 'return':
+        case 'right':
+        case 'l':
+          return openEntry();
+        case 'left':
+        case 'h':
+        case 'backspace':
+          return goUp();
+        case 'd':
+          if (!entry) return;
+          return finish({ action: 'download', path: joinContainerPath(state.path, entry.name), dir: state.path });
+        case 'u':
+          return finish({ action: 'upload', path: state.path, dir: state.path });
+        case 'g':
+          return finish({ action: 'goto', path: state.path, dir: state.path });
+        case 'c':
+          return openChanges();
+        case 'r':
+          return openDirectory(state.path, entry?.name);
+        case 'q':
+        case 'escape':
+          return finish();
+      }
+    };
+
+    const onViewKey = (key) => {
+      switch (key.name) {
+        case 'up':
+        case 'k':
+          return scroll(-1);
+        case 'down':
+        case 'j':
+          return scroll(1);
+        case 'pageup':
+          return scroll(-getPageSize());
+        case 'pagedown':
+        case 'space':
+          return scroll(getPageSize());
+        case 'home':
+          return scroll(-Infinity);
+        case 'end':
+          return scroll(Infinity);
+        case 'left':
+        case 'h':
+          state.view.pan = Math.max(0, state.view.pan - PAN_STEP);
+          return render();
+        case 'right':
+        case 'l':
+          state.view.pan += PAN_STEP;
+          return render();
+        case 'd':
+          return finish({ action: 'download', path: state.view.path, dir: state.path });
+        case 'q':
+        case 'escape':
+        case 'backspace':
+          state.mode = 'list';
+          state.view = null;
+          return render();
+      }
+    };
+
+    const onChangesKey = (key) => {
+      const change = state.changes.items[state.changes.selected];
+      switch (key.name) {
+        case 'up':
+        case 'k':
+          return move(-1);
+        case 'down':
+        case 'j':
+          return move(1);
+        case 'pageup':
+          return move(-getPageSize());
+        case 'pagedown':
+          return move(getPageSize());
+        case 'return':
+          if (!change) return;
+          state.mode = 'list';
+          // Deleted paths can't be shown, but their directory can
+          return openDirectory(parentPath(change.path), change.kind === 'deleted' ? null : change.path.split('/').pop());
+        case 'c':
+        case 'q':
+        case 'escape':
+          state.mode = 'list';
+          return render();
+      }
+    };
+
+    const onKeypress = (str, key = {}) => {
+      if (key.ctrl && key.name === 'c') {
+        return finish();
+      }
+      if (state.loading) return;
+
+      state.message = '';
+      if (state.mode === 'view') return onViewKey(key);
+      if (state.mode === 'changes') return onChangesKey(key);
+      return onListKey(key);
+    };
+
+    readline.emitKeypressEvents(process.stdin);
+    if (process.stdin.isTTY) {
+      process.stdin.setRawMode(true);
+    }
+    process.stdin.resume();
+    process.stdin.on('keypress', onKeypress);
+    process.stdout.on('resize', onResize);
+  });
+}
+
+export default { showFileBrowser };
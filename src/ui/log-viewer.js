@@ -0,0 +1,646 @@
+import chalk from 'chalk';
+import readline from 'readline';
+import { clearScreen } from './banner.js';
+import renderer, { hideCursor, showCursor, getTerminalSize } from './renderer.js';
+
+// Minimum severity for each level filter step (null = show everything)
+const LEVEL_FILTERS = [null, 'debug', 'info', 'warn', 'error'];
+const LEVEL_SEVERITY = {
+  debug: 0,
+  info: 1,
+  success: 1,
+  warn: 2,
+  error: 3,
+};
+
+const STREAM_FILTERS = [null, 'stdout', 'stderr'];
+
+const HELP_KEYS = [
+  ['↑↓/PgUp/PgDn', 'Scroll'],
+  ['Space', 'Pause'],
+  ['G/End', 'Follow'],
+  ['/', 'Search'],
+  ['n/N', 'Next/Prev'],
+  ['L', 'Level'],
+  ['S', 'Stream'],
+  ['I/E', 'Include/Exclude'],
+  ['F', 'Fields'],
+  ['T', 'Jump to time'],
+  ['C', 'Clear filters'],
+  ['Q', 'Quit'],
+];
+
+/**
+ * Escape a string for use inside a RegExp
+ * @param {string} str - Raw string
+ * @returns {string}
+ */
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Strip terminal control sequences so text occupies exactly one screen line
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+function sanitize(text) {
+  return text
+    .replace(/\x1b\[[0-9;?]*[A-Za-z]/g, '')
+    .replace(/\t/g, '    ')
+    .replace(/[\x00-\x1f\x7f]/g, '');
+}
+
+/**
+ * Parse a structured-field filter
+ * Conditions are comma-separated: key=value, key!=value, key~regex, or a bare key (field present)
+ * @param {string} value - User input
+ * @returns {Array<{key: string, op: string, value: string|RegExp|null}>}
+ * @throws {Error} - On malformed conditions or invalid regexes
+ */
+export function parseFieldFilters(value) {
+  return value
+    .split(',')
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+      const match = part.match(/^([^=!~\s]+)\s*(?:(!=|=|~)\s*(.*))?$/);
+      if (!match) {
+        throw new Error(`Invalid field filter: ${part}`);
+      }
+      const [, key, op = 'exists', operand = ''] = match;
+      return { key, op, value: op === '~' ? new RegExp(operand, 'i') : op === 'exists' ? null : operand };
+    });
+}
+
+/**
+ * Check a structured entry's fields against one filter condition
+ * @param {Object|undefined} fields - Flattened entry fields
+ * @param {Object} filter - Parsed filter condition
+ * @returns {boolean}
+ */
+function matchesField(fields, filter) {
+  const value = fields?.[filter.key];
+
+  switch (filter.op) {
+    case 'exists':
+      return value !== undefined;
+    case '!=':
+      return value === undefined || String(value).toLowerCase() !== filter.value.toLowerCase();
+    case '~':
+      return value !== undefined && filter.value.test(String(value));
+    default:
+      return value !== undefined && String(value).toLowerCase() === filter.value.toLowerCase();
+  }
+}
+
+/**
+ * Parse a time-jump target
+ * Accepts HH:MM[:SS] (today, or yesterday if still ahead), relative -5m / -2h / -30s, or any Date string
+ * @param {string} value - User input
+ * @returns {Date|null}
+ */
+export function parseTimeTarget(value) {
+  const text = value.trim();
+
+  const relative = text.match(/^-(\d+)\s*([smhd])$/i);
+  if (relative) {
+    const units = { s: 1000, m: 60000, h: 3600000, d: 86400000 };
+    return new Date(Date.now() - parseInt(relative[1], 10) * units[relative[2].toLowerCase()]);
+  }
+
+  const clock = text.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+  if (clock) {
+    const date = new Date();
+    date.setHours(parseInt(clock[1], 10), parseInt(clock[2], 10), parseInt(clock[3] || '0', 10), 0);
+    if (date > new Date()) date.setDate(date.getDate() - 1);
+    return date;
+  }
+
+  const parsed = new Date(text);
+  return isNaN(parsed.getTime()) ? null : parsed;
+}
+
+/**
+ * Full-screen log pager with follow mode, search and filters
+ */
+export class LogViewer {
+  /**
+   * @param {Object} options - Viewer options
+   * @param {string} options.title - Title shown in the status bar
+   * @param {number} options.maxLines - Scrollback buffer size
+   * @param {Function} options.colorize - (message, level) => colored message
+   * @param {number} options.prefixWidth - Width reserved for entry prefixes (merged logs)
+   */
+  constructor(options = {}) {
+    this.title = options.title || 'Logs';
+    this.maxLines = options.maxLines || 5000;
+    this.colorize = options.colorize || ((message) => message);
+    this.prefixWidth = options.prefixWidth || 0;
+
+    this.entries = [];
+    this.seq = 0;
+    this.following = true;
+    this.topSeq = 0;
+    this.unseen = 0;
+    this.ended = false;
+
+    this.search = null;
+    this.matchSeq = null;
+    this.levelIndex = 0;
+    this.streamIndex = 0;
+    this.include = null;
+    this.exclude = null;
+    this.fieldFilters = [];
+
+    this.prompt = null;
+    this.message = '';
+    this.renderTimer = null;
+    this.closed = false;
+  }
+
+  /**
+   * Add a log entry to the scrollback buffer
+   * @param {Object} entry - { timestamp: Date|null, message: string, level: string|null, stream: string, prefix?: string, fields?: Object, details?: string }
+   */
+  push(entry) {
+    const message = sanitize(entry.message);
+    const details = entry.details ? sanitize(entry.details) : '';
+
+    this.entries.push({ ...entry, message, details, seq: this.seq++ });
+    if (this.entries.length > this.maxLines) {
+      this.entries.shift();
+    }
+    if (!this.following) {
+      this.unseen++;
+    }
+    this.scheduleRender();
+  }
+
+  /**
+   * Mark the source stream as finished
+   * @param {string} reason - Message shown in the status bar
+   */
+  end(reason = 'Stream ended') {
+    this.ended = true;
+    this.message = chalk.gray(reason);
+    this.scheduleRender();
+  }
+
+  /**
+   * Full searchable text of an entry (message plus structured fields)
+   * @param {Object} entry - Log entry
+   * @returns {string}
+   */
+  getText(entry) {
+    return entry.details ? `${entry.message} ${entry.details}` : entry.message;
+  }
+
+  /**
+   * Check whether an entry passes the active level/stream/include/exclude/field filters
+   * @param {Object} entry - Log entry
+   * @returns {boolean}
+   */
+  matchesFilters(entry) {
+    const minLevel = LEVEL_FILTERS[this.levelIndex];
+    if (minLevel && (LEVEL_SEVERITY[entry.level] ?? -1) < LEVEL_SEVERITY[minLevel]) {
+      return false;
+    }
+    const stream = STREAM_FILTERS[this.streamIndex];
+    if (stream && entry.stream !== stream) return false;
+    if (this.include && !this.include.test(this.getText(entry))) return false;
+    if (this.exclude && this.exclude.test(this.getText(entry))) return false;
+    if (!this.fieldFilters.every((filter) => matchesField(entry.fields, filter))) return false;
+    return true;
+  }
+
+  /**
+   * Get entries visible under the current filters
+   * @returns {Array}
+   */
+  getFiltered() {
+    return this.entries.filter((entry) => this.matchesFilters(entry));
+  }
+
+  /**
+   * Number of log lines that fit on screen
+   * @returns {number}
+   */
+  getViewportHeight() {
+    return Math.max(3, getTerminalSize().rows - 5);
+  }
+
+  /**
+   * Index of the first visible entry in the filtered list
+   * @param {Array} filtered - Filtered entries
+   * @returns {number}
+   */
+  getTopIndex(filtered) {
+    const height = this.getViewportHeight();
+    const maxTop = Math.max(0, filtered.length - height);
+
+    if (this.following) return maxTop;
+
+    const index = filtered.findIndex((entry) => entry.seq >= this.topSeq);
+    return Math.min(index === -1 ? maxTop : index, maxTop);
+  }
+
+  /**
+   * Scroll by a number of lines, pausing follow mode
+   * @param {number} delta - Lines to scroll (negative = up)
+   */
+  scroll(delta) {
+    const filtered = this.getFiltered();
+    const top = this.getTopIndex(filtered);
+    const maxTop = Math.max(0, filtered.length - this.getViewportHeight());
+    const next = Math.max(0, Math.min(maxTop, top + delta));
+
+    if (delta > 0 && next === maxTop) {
+      this.setFollowing(true);
+      return;
+    }
+
+    this.following = false;
+    this.topSeq = filtered[next]?.seq ?? 0;
+    this.scheduleRender();
+  }
+
+  /**
+   * Toggle or set follow mode
+   * @param {boolean} value - Follow state
+   */
+  setFollowing(value) {
+    this.following = value;
+    if (value) {
+      this.unseen = 0;
+    } else {
+      const filtered = this.getFiltered();
+      this.topSeq = filtered[this.getTopIndex(filtered)]?.seq ?? 0;
+    }
+    this.scheduleRender();
+  }
+
+  /**
+   * Jump to the next/previous line matching the search term
+   * @param {number} direction - 1 for next, -1 for previous
+   */
+  findMatch(direction) {
+    if (!this.search) {
+      this.message = chalk.yellow('No search term (press / to search)');
+      this.scheduleRender();
+      return;
+    }
+
+    const filtered = this.getFiltered();
+    const from = this.matchSeq ?? filtered[this.getTopIndex(filtered)]?.seq ?? -1;
+    const candidates = direction > 0
+      ? filtered.filter((entry) => entry.seq > from)
+      : filtered.filter((entry) => entry.seq < from).reverse();
+    const match = candidates.find((entry) => this.search.test(this.getText(entry)));
+
+    if (!match) {
+      this.message = chalk.yellow(`No ${direction > 0 ? 'more' : 'previous'} matches`);
+      this.scheduleRender();
+      return;
+    }
+
+    this.matchSeq = match.seq;
+    this.following = false;
+    this.topSeq = match.seq;
+    this.message = '';
+    this.scheduleRender();
+  }
+
+  /**
+   * Jump to the first line at or after a point in time
+   * @param {Date} target - Target time
+   */
+  jumpToTime(target) {
+    const filtered = this.getFiltered();
+    const entry = filtered.find((e) => e.timestamp && e.timestamp >= target);
+
+    if (!entry) {
+      this.message = chalk.yellow(`No lines after ${target.toLocaleString()}`);
+    } else {
+      this.following = false;
+      this.topSeq = entry.seq;
+      this.message = chalk.gray(`Jumped to ${entry.timestamp.toLocaleString()}`);
+    }
+    this.scheduleRender();
+  }
+
+  /**
+   * Open an inline text prompt in the status bar
+   * @param {string} label - Prompt label
+   * @param {Function} onSubmit - Called with the entered value
+   */
+  openPrompt(label, onSubmit) {
+    this.prompt = { label, value: '', onSubmit };
+    this.scheduleRender();
+  }
+
+  /**
+   * Compile user input into a case-insensitive RegExp
+   * @param {string} value - Pattern text
+   * @param {boolean} literal - Escape regex syntax
+   * @returns {RegExp|null}
+   */
+  compilePattern(value, literal = false) {
+    if (!value) return null;
+    try {
+      return new RegExp(literal ? escapeRegExp(value) : value, 'i');
+    } catch (error) {
+      this.message = chalk.red(`Invalid pattern: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Format one entry as a single screen line
+   * @param {Object} entry - Log entry
+   * @param {number} width - Available width
+   * @returns {string}
+   */
+  formatEntry(entry, width) {
+    const time = entry.timestamp ? entry.timestamp.toLocaleTimeString() : '';
+    const marker = entry.seq === this.matchSeq ? chalk.yellow('▶') : ' ';
+    const prefix = entry.prefix ? `${entry.prefix} ` : '';
+    const messageWidth = Math.max(10, width - time.length - 2 - (prefix ? this.prefixWidth + 1 : 0));
+    const text = this.getText(entry);
+    const display = text.length > messageWidth ? text.substring(0, messageWidth - 1) + '…' : text;
+
+    // The message takes the level color and structured fields are dimmed; a span may cross the boundary
+    const style = (part, offset) => {
+      const cut = Math.max(0, Math.min(part.length, entry.message.length - offset));
+      return (cut > 0 ? this.colorize(part.slice(0, cut), entry.level) : '') +
+        (cut < part.length ? chalk.gray(part.slice(cut)) : '');
+    };
+
+    let body = '';
+    if (this.search) {
+      let offset = 0;
+      for (const match of display.matchAll(new RegExp(this.search.source, 'gi'))) {
+        body += style(display.slice(offset, match.index), offset) + chalk.bgYellow.black(match[0]);
+        offset = match.index + match[0].length;
+      }
+      body += style(display.slice(offset), offset);
+    } else {
+      body = style(display, 0);
+    }
+
+    const timeColor = entry.stream === 'stderr' ? chalk.red : chalk.gray;
+    return `${marker}${prefix}${time ? timeColor(time) + ' ' : ''}${body}`;
+  }
+
+  /**
+   * Schedule a throttled render
+   */
+  scheduleRender() {
+    if (this.closed || this.renderTimer) return;
+    this.renderTimer = setTimeout(() => {
+      this.renderTimer = null;
+      this.render();
+    }, 30);
+  }
+
+  /**
+   * Render the viewer frame
+   */
+  render() {
+    if (this.closed) return;
+
+    const { cols } = getTerminalSize();
+    const height = this.getViewportHeight();
+    const filtered = this.getFiltered();
+    const top = this.getTopIndex(filtered);
+    const visible = filtered.slice(top, top + height);
+
+    let mode = this.following
+      ? chalk.green('FOLLOW')
+      : chalk.yellow(`PAUSED${this.unseen > 0 ? ` +${this.unseen} new` : ''}`);
+    if (this.ended) mode += chalk.gray(' (ended)');
+    const filters = [];
+    if (LEVEL_FILTERS[this.levelIndex]) filters.push(`level≥${LEVEL_FILTERS[this.levelIndex]}`);
+    if (STREAM_FILTERS[this.streamIndex]) filters.push(`${STREAM_FILTERS[this.streamIndex]} only`);
+    if (this.include) filters.push(`+/${this.include.source}/`);
+    if (this.exclude) filters.push(`-/${this.exclude.source}/`);
+    for (const filter of this.fieldFilters) {
+      const operand = filter.op === '~' ? filter.value.source : filter.value;
+      filters.push(filter.op === 'exists' ? filter.key : `${filter.key}${filter.op}${operand}`);
+    }
+    if (this.search) filters.push(`search: ${this.search.source}`);
+
+    const lines = [
+      `${chalk.cyan.bold(this.title)}  ${mode}  ${chalk.gray(`${filtered.length}/${this.entries.length} lines`)}` +
+        (filters.length > 0 ? `  ${chalk.magenta(filters.join('  '))}` : ''),
+      chalk.gray('─'.repeat(Math.max(0, cols - 1))),
+    ];
+
+    for (const entry of visible) {
+      lines.push(this.formatEntry(entry, cols - 2));
+    }
+    while (lines.length < height + 2) {
+      lines.push('');
+    }
+
+    lines.push(chalk.gray('─'.repeat(Math.max(0, cols - 1))));
+
+    if (this.prompt) {
+      lines.push(`${chalk.yellow(this.prompt.label)} ${this.prompt.value}▌`);
+    } else if (this.message) {
+      lines.push(this.message);
+    } else {
+      let help = '';
+      let length = 0;
+      for (const [key, label] of HELP_KEYS) {
+        const plain = `[${key}] ${label} `;
+        if (length + plain.length > cols - 1) break;
+        help += chalk.gray(`[${chalk.cyan(key)}] ${label} `);
+        length += plain.length;
+      }
+      lines.push(help);
+    }
+
+    renderer.render(lines.join('\n'));
+  }
+
+  /**
+   * Handle a keypress while a prompt is open
+   * @param {string} str - Typed character
+   * @param {Object} key - Key info
+   */
+  handlePromptKey(str, key) {
+    if (key.name === 'return' || key.name === 'enter') {
+      const { value, onSubmit } = this.prompt;
+      this.prompt = null;
+      this.message = '';
+      onSubmit(value.trim());
+    } else if (key.name === 'escape') {
+      this.prompt = null;
+    } else if (key.name === 'backspace') {
+      this.prompt.value = this.prompt.value.slice(0, -1);
+    } else if (str && str.length === 1 && !key.ctrl && !key.meta && str >= ' ') {
+      this.prompt.value += str;
+    }
+    this.scheduleRender();
+  }
+
+  /**
+   * Handle a keypress
+   * @param {string} str - Typed character
+   * @param {Object} key - Key info
+   * @returns {boolean} - true when the viewer should close
+   */
+  handleKey(str, key = {}) {
+    if (key.ctrl && key.name === 'c') return true;
+
+    if (this.prompt) {
+      this.handlePromptKey(str, key);
+      return false;
+    }
+
+    this.message = '';
+    const page = this.getViewportHeight() - 1;
+
+    if (str === '/') {
+      this.openPrompt('Search:', (value) => {
+        this.search = this.compilePattern(value, true);
+        this.matchSeq = null;
+        if (this.search) this.findMatch(1);
+      });
+      return false;
+    }
+
+    switch (key.name) {
+      case 'q':
+      case 'escape':
+        return true;
+      case 'up':
+      case 'k':
+        this.scroll(-1);
+        break;
+      case 'down':
+      case 'j':
+        this.scroll(1);
+        break;
+      case 'pageup':
+      case 'b':
+        this.scroll(-page);
+        break;
+      case 'pagedown':
+        this.scroll(page);
+        break;
+      case 'home':
+        this.scroll(-this.entries.length);
+        break;
+      case 'end':
+        this.setFollowing(true);
+        break;
+      case 'g':
+        if (key.shift) {
+          this.setFollowing(true);
+        } else {
+          this.scroll(-this.entries.length);
+        }
+        break;
+      case 'space':
+        this.setFollowing(!this.following);
+        break;
+      case 'n':
+        this.findMatch(key.shift ? -1 : 1);
+        break;
+      case 'l':
+        this.levelIndex = (this.levelIndex + 1) % LEVEL_FILTERS.length;
+        break;
+      case 's':
+        this.streamIndex = (this.streamIndex + 1) % STREAM_FILTERS.length;
+        break;
+      case 'i':
+        this.openPrompt('Include regex:', (value) => {
+          this.include = this.compilePattern(value);
+        });
+        break;
+      case 'e':
+        this.openPrompt('Exclude regex:', (value) => {
+          this.exclude = this.compilePattern(value);
+        });
+        break;
+      case 'f':
+        this.openPrompt('Field filter (key=value, key!=value, key~regex, comma-separated):', (value) => {
+          try {
+            this.fieldFilters = parseFieldFilters(value);
+          } catch (error) {
+            this.message = chalk.red(error.message);
+          }
+        });
+        break;
+      case 't':
+        this.openPrompt('Jump to time (HH:MM[:SS], -10m, ISO date):', (value) => {
+          if (!value) return;
+          const target = parseTimeTarget(value);
+          if (target) {
+            this.jumpToTime(target);
+          } else {
+            this.message = chalk.red(`Unrecognized time: ${value}`);
+          }
+        });
+        break;
+      case 'c':
+        this.search = null;
+        this.matchSeq = null;
+        this.include = null;
+        this.exclude = null;
+        this.fieldFilters = [];
+        this.levelIndex = 0;
+        this.streamIndex = 0;
+        this.message = chalk.gray('Filters cleared');
+        break;
+    }
+
+    this.scheduleRender();
+    return false;
+  }
+
+  /**
+   * Take over the terminal until the user quits
+   * @returns {Promise<void>}
+   */
+  run() {
+    clearScreen();
+    hideCursor();
+    renderer.reset();
+    this.render();
+
+    return new Promise((resolve) => {
+      const onResize = () => {
+        clearScreen();
+        renderer.reset();
+        this.render();
+      };
+
+      const onKeypress = (str, key) => {
+        if (!this.handleKey(str, key)) return;
+
+        this.closed = true;
+        clearTimeout(this.renderTimer);
+        process.stdin.removeListener('keypress', onKeypress);
+        process.stdout.removeListener('resize', onResize);
+        process.stdin.setRawMode?.(false);
+        renderer.reset();
+        showCursor();
+        clearScreen();
+        resolve();
+      };
+
+      readline.emitKeypressEvents(process.stdin);
+      if (process.stdin.isTTY) {
+        process.stdin.setRawMode(true);
+      }
+      process.stdin.resume();
+      process.stdin.on('keypress', onKeypress);
+      process.stdout.on('resize', onResize);
+    });
+  }
+}
+
+export default { LogViewer, parseTimeTarget, parseFieldFilters };
@@ -1,9 +1,14 @@
+import { existsSync } from 'fs';
+import { resolve as resolvePath } from 'path';
 import { select, confirm, input, Separator } from '@inquirer/prompts';
 import chalk from 'chalk';
 import ora from 'ora';
 import { showBanner, showHeader, showStatus, clearScreen } from './banner.js';
-import { renderContainersTable, renderImagesTable } from './table.js';
+import { renderImagesTable, renderBulkResults, colorHealth } from './table.js';
 import { renderBuildProgress, renderBuildResult, BuildProgressTracker } from './build-progress.js';
+import { showContainerList } from './container-list.js';
+import { showContainerDetails } from './container-details.js';
+import { showFileBrowser } from './file-browser.js';
 import {
   getContainers,
   getContainerCounts,
@@ -11,13 +16,46 @@ import {
   stopContainer,
   restartContainer,
   removeContainer,
+  pauseContainer,
+  unpauseContainer,
+  killContainer,
+  renameContainer,
+  isValidContainerName,
+  KILL_SIGNALS,
   inspectContainer,
   detectShell,
   openInteractiveShell,
+  attachContainer,
 } from '../containers.js';
-import { streamLogs } from '../logs.js';
+import { streamLogs, streamMergedLogs, exportLogs, parseTimeBound } from '../logs.js';
 import { showContainerStats } from '../stats.js';
 import { showDashboard } from '../dashboard.js';
+import { startSampler, stopSampler } from '../history.js';
+import { streamEvents, EVENT_TYPES } from '../events.js';
+import { BULK_ACTIONS, runBulkAction } from '../bulk.js';
+import { getCommandHistory, runCommand, formatCommandResult } from '../exec.js';
+import { copyFromContainer, copyToContainer } from '../files.js';
+import { formatConfigDiff, formatReplaceSteps } from '../recreate.js';
+import {
+  RESOURCE_FIELDS,
+  readResources,
+  formatResource,
+  parseResourceValue,
+  validateResourceChanges,
+  getHostLimits,
+  updateResources,
+} from '../resources.js';
+import {
+  RESTART_POLICIES,
+  parsePortMapping,
+  parseMount,
+  parseEnvVar,
+  parseMemory,
+  splitCommand,
+  runContainer,
+  loadTemplates,
+  saveTemplate,
+} from '../run.js';
 import { loadConfig, saveConfig } from '../utils/config.js';
 import {
   quickRebuild,
@@ -28,7 +66,15 @@ import {
   pruneImages,
   inspectImage,
 } from '../images.js';
-import { getComposeInfo, composeRebuild } from '../compose.js';
+import {
+  getComposeInfo,
+  groupByComposeProject,
+  composeUp,
+  composeDown,
+  composeStop,
+  composeRestart,
+  composeRebuild,
+} from '../compose.js';
 import {
   getVolumes,
   inspectVolume,
@@ -46,8 +92,18 @@ import {
   getNetworkContainers,
   isSystemNetwork,
 } from '../networks.js';
-import { renderVolumesTable, renderNetworksTable } from './table.js';
 import {
+  renderVolumesTable,
+  renderNetworksTable,
+  renderComposeProjectsTable,
+  renderComposeServicesTable,
+} from './table.js';
+import {
+  listContainers,
+  isDockerRunning,
+  useDockerHost,
+  getActiveHost,
+  getHostError,
   getDiskUsage,
   pruneContainers as dockerPruneContainers,
   pruneImages as dockerPruneImages,
@@ -55,6 +111,7 @@ import {
   pruneNetworks as dockerPruneNetworks,
   pruneBuildCache,
 } from '../docker.js';
+import { listContexts } from '../contexts.js';
 import { formatBytes } from '../utils/format.js';
 import { progressBar } from './charts.js';
 
@@ -65,6 +122,13 @@ export async function mainMenu() {
   clearScreen();
   showBanner();
 
+  const activeHost = getActiveHost();
+  const hostError = getHostError();
+  console.log(chalk.gray(`  Host: ${activeHost.name} ${chalk.dim(`(${activeHost.host})`)}${hostError ? '' : '\n'}`));
+  if (hostError) {
+    console.log(chalk.yellow(`  ⚠ Configured Docker host is unusable (${hostError}); this is the fallback host\n`));
+  }
+
   const counts = await getContainerCounts();
 
   const config = loadConfig();
@@ -73,15 +137,19 @@ export async function mainMenu() {
     message: 'DockerDash - Main Menu',
     choices: [
       {
-        name: `Containers (${chalk.green(counts.running)} running, ${chalk.red(counts.stopped)} stopped)`,
+        name: `Containers (${chalk.green(counts.running)} running, ${chalk.red(counts.stopped)} stopped` +
+          `${counts.unhealthy > 0 ? `, ${chalk.red.bold(`${counts.unhealthy} unhealthy`)}` : ''})`,
         value: 'containers',
       },
+      { name: 'Compose Projects', value: 'compose' },
       { name: `Dashboard ${chalk.gray('(live stats)')}`, value: 'dashboard' },
       { name: 'Images', value: 'images' },
       { name: 'Volumes', value: 'volumes' },
       { name: 'Networks', value: 'networks' },
+      { name: `Events ${chalk.gray('(live feed)')}`, value: 'events' },
       new Separator(),
       { name: 'System Prune', value: 'prune' },
+      { name: `Docker Context ${chalk.gray(`(${activeHost.name})`)}`, value: 'context' },
       { name: `Settings ${chalk.gray(`(refresh: ${config.refreshInterval / 1000}s)`)}`, value: 'settings' },
       { name: 'Exit', value: 'exit' },
     ],
@@ -91,6 +159,9 @@ export async function mainMenu() {
     case 'containers':
       await containersMenu();
       break;
+    case 'compose':
+      await composeProjectsMenu();
+      break;
     case 'dashboard':
       await showDashboard();
       await mainMenu();
@@ -104,9 +175,15 @@ export async function mainMenu() {
     case 'networks':
       await networksMenu();
       break;
+    case 'events':
+      await eventsMenu();
+      break;
     case 'prune':
       await systemPruneWizard();
       break;
+    case 'context':
+      await contextMenu();
+      break;
     case 'settings':
       await settingsMenu();
       break;
@@ -117,43 +194,32 @@ export async function mainMenu() {
 }
 
 /**
- * Display containers menu
+ * Display full-screen containers list
+ * @param {string} selected - Container name to keep highlighted
  */
-async function containersMenu() {
-  clearScreen();
-  showHeader('Containers');
+async function containersMenu(selected = null) {
+  const result = await showContainerList({ selected });
 
-  const spinner = ora('Loading containers...').start();
-  const containers = await getContainers(true);
-  spinner.stop();
-
-  if (containers.length === 0) {
-    showStatus('No containers found', 'warning');
-    await pressEnterToContinue();
-    return mainMenu();
-  }
-
-  console.log(renderContainersTable(containers));
-  console.log(
-    chalk.gray('\n[Enter] Actions  [L] Logs  [S] Stats  [R] Restart  [X] Stop  [Q] Back\n')
-  );
-
-  const choices = containers.map((c) => ({
-    name: `${c.state === 'running' ? chalk.green('●') : chalk.red('○')} ${c.name}`,
-    value: c.name,
-  }));
-  choices.push({ name: chalk.gray('← Back to main menu'), value: 'back' });
-
-  const selectedContainer = await select({
-    message: 'Select a container:',
-    choices,
-  });
-
-  if (selectedContainer === 'back') {
-    return mainMenu();
+  switch (result.action) {
+    case 'actions':
+      return containerActionsMenu(result.name);
+    case 'logs':
+      await streamLogs(result.name);
+      return containersMenu(result.name);
+    case 'stats':
+      await showContainerStats(result.name);
+      return containersMenu(result.name);
+    case 'details':
+      await showContainerDetails(result.name);
+      return containersMenu(result.name);
+    case 'health':
+      await showContainerDetails(result.name, { tab: 'Health' });
+      return containersMenu(result.name);
+    case 'bulk':
+      return bulkActionsMenu(result.names);
+    default:
+      return mainMenu();
   }
-
-  await containerActionsMenu(selectedContainer);
 }
 
 /**
@@ -188,15 +254,40 @@ async function containerActionsMenu(containerName) {
     console.log(chalk.gray(`  Working Dir: ${composeInfo.workingDir}\n`));
   }
 
+  console.log(chalk.gray(`  Image: ${fullInfo.Config.Image}`));
+  if (fullInfo.State.Health) {
+    console.log(chalk.gray('  Health: ') + colorHealth(fullInfo.State.Health.Status));
+  }
+  if (fullInfo.State.OOMKilled) {
+    console.log(chalk.red(`  Exited ${fullInfo.State.ExitCode} (OOM killed)\n`));
+  } else if (!fullInfo.State.Running && fullInfo.State.ExitCode !== 0) {
+    console.log(chalk.red(`  Exited ${fullInfo.State.ExitCode}\n`));
+  } else {
+    console.log('');
+  }
+
   const isRunning = container.state === 'running';
 
   const choices = [
+    { name: '🔍 Details', value: 'details' },
+  ];
+
+  if (fullInfo.State.Health) {
+    choices.push({ name: '🩺 Health Checks', value: 'health' });
+  }
+
+  choices.push(
+    { name: `📁 Browse Files ${chalk.gray('(no shell needed)')}`, value: 'files' },
     { name: '📋 View Logs', value: 'logs' },
+    { name: '💾 Export Logs', value: 'export-logs' },
     { name: '📊 View Stats', value: 'stats' },
-  ];
+    { name: `⚙️  Edit Resources ${chalk.gray('(CPU, memory, restart policy)')}`, value: 'resources' },
+  );
 
   if (isRunning) {
     choices.push({ name: '💻 Exec Shell', value: 'exec' });
+    choices.push({ name: '⌨️  Run Command', value: 'run-command' });
+    choices.push({ name: `🔗 Attach ${chalk.gray('(Ctrl+P Ctrl+Q to detach)')}`, value: 'attach' });
   }
 
   choices.push(new Separator());
@@ -205,10 +296,16 @@ async function containerActionsMenu(containerName) {
   if (isRunning) {
     choices.push({ name: '🔄 Restart', value: 'restart' });
     choices.push({ name: '⏹️  Stop', value: 'stop' });
+    choices.push({ name: '⏸️  Pause', value: 'pause' });
+    choices.push({ name: `⚡ Kill ${chalk.gray('(send signal)')}`, value: 'kill' });
+  } else if (container.state === 'paused') {
+    choices.push({ name: '⏯️  Unpause', value: 'unpause' });
+    choices.push({ name: '⏹️  Stop', value: 'stop' });
   } else {
     choices.push({ name: '▶️  Start', value: 'start' });
   }
 
+  choices.push({ name: '✏️  Rename', value: 'rename' });
   choices.push({ name: '🗑️  Remove', value: 'remove' });
   choices.push(new Separator());
   choices.push({ name: '← Back', value: 'back' });
@@ -221,6 +318,18 @@ async function containerActionsMenu(containerName) {
   const spinner = ora();
 
   switch (action) {
+    case 'details':
+      await showContainerDetails(containerName);
+      break;
+
+    case 'health':
+      await showContainerDetails(containerName, { tab: 'Health' });
+      break;
+
+    case 'files':
+      await fileBrowserMenu(containerName);
+      break;
+
     case 'logs':
       await streamLogs(containerName);
       break;
@@ -229,6 +338,15 @@ async function containerActionsMenu(containerName) {
       await showContainerStats(containerName);
       break;
 
+    case 'resources':
+      await editResourcesMenu(containerName);
+      break;
+
+    case 'export-logs':
+      await exportLogsMenu(containerName);
+      await pressEnterToContinue();
+      break;
+
     case 'exec':
       const shellChoice = await select({
         message: 'Select shell:',
@@ -259,26 +377,58 @@ async function containerActionsMenu(containerName) {
         });
       }
 
+      const shellOptions = { shell: splitCommand(shellPath) };
+      if (await confirm({ message: 'Set user, working directory or environment?', default: false })) {
+        shellOptions.user = (await input({ message: 'User (empty = image default):' })).trim() || null;
+        shellOptions.workdir = (await input({ message: 'Working directory (empty = image default):' })).trim() || null;
+        shellOptions.env = splitList(await input({
+          message: 'Environment variables, comma-separated (KEY=VALUE):',
+          validate: validateList(parseEnvVar),
+        }));
+      }
+
       console.log(chalk.cyan(`\nOpening shell in ${containerName}...`));
       console.log(chalk.gray('Type "exit" to return to DockerDash\n'));
 
       try {
-        await openInteractiveShell(containerName, { shell: shellPath });
-        console.log(chalk.cyan('\nShell session ended'));
+        const exitCode = await openInteractiveShell(containerName, shellOptions);
+        console.log(chalk.cyan(`\nShell session ended${exitCode ? chalk.gray(` (exit code ${exitCode})`) : ''}`));
       } catch (error) {
         showStatus(`Shell error: ${error.message}`, 'error');
       }
       await pressEnterToContinue();
       break;
 
+    case 'run-command':
+      await runCommandMenu([containerName]);
+      break;
+
+    case 'attach':
+      console.log(chalk.cyan(`\nAttaching to ${containerName}...`));
+      console.log(chalk.gray('Press Ctrl+P Ctrl+Q to detach; Ctrl+C is sent to the container\n'));
+
+      try {
+        const result = await attachContainer(containerName);
+        console.log(chalk.cyan(result.running ? '\nDetached' : `\nContainer exited with code ${result.exitCode}`));
+      } catch (error) {
+        showStatus(`Attach error: ${error.message}`, 'error');
+      }
+      await pressEnterToContinue();
+      break;
+
     case 'rebuild':
       const useNoCache = await confirm({
         message: 'Build without cache?',
         default: false,
       });
 
+      const safeRebuild = await confirm({
+        message: 'Safe mode (keep the old container until the new one is up, restore it on failure)?',
+        default: true,
+      });
+
       const confirmRebuild = await confirm({
-        message: `Rebuild ${containerName}? This will stop, rebuild, and recreate the container.`,
+        message: `Rebuild ${containerName}? This will rebuild (or pull) its image, then stop and recreate the container.`,
         default: true,
       });
 
@@ -286,21 +436,50 @@ async function containerActionsMenu(containerName) {
         console.log(''); // Empty line
         spinner.start('Rebuilding container...');
 
+        const showProgress = buildProgressView(`Rebuilding: ${containerName}`);
+
         try {
           const result = await quickRebuild(containerName, {
             noCache: useNoCache,
+            safe: safeRebuild,
             onOutput: (msg) => {
+              // Status messages after a build bring the spinner back below the progress box
+              if (!spinner.isSpinning) spinner.start();
               spinner.text = msg.trim().substring(0, 60);
             },
+            onBuildProgress: (tracker) => {
+              spinner.stop();
+              showProgress(tracker);
+            },
+            resolveBuildContext: async (imageName) => {
+              spinner.stop();
+              const build = await promptBuildContext(imageName);
+              spinner.start('Rebuilding container...');
+              return build;
+            },
           });
 
           if (result.success) {
             spinner.succeed(`Container ${containerName} rebuilt successfully`);
             if (result.method === 'compose') {
               showStatus(`Used Docker Compose (${result.project}/${result.service})`, 'info');
+            } else if (result.method === 'build') {
+              showStatus(`Built ${result.imageName} from ${result.buildContext}`, 'info');
+            }
+            if (result.steps) {
+              console.log(formatReplaceSteps(result.steps));
+            }
+            if (result.diff) {
+              console.log(chalk.bold('\n  Old → new container config:'));
+              console.log(formatConfigDiff(result.diff));
             }
           } else {
             spinner.fail(`Rebuild failed: ${result.error}`);
+            if (result.steps) {
+              console.log(formatReplaceSteps(result.steps));
+            } else if (result.tracker) {
+              console.log(renderBuildResult(result.tracker, false));
+            }
           }
         } catch (error) {
           spinner.fail(`Rebuild failed: ${error.message}`);
@@ -331,57 +510,843 @@ async function containerActionsMenu(containerName) {
       await pressEnterToContinue();
       break;
 
-    case 'restart':
-      spinner.start(`Restarting ${containerName}...`);
-      try {
-        await restartContainer(containerName);
-        spinner.succeed(`Container ${containerName} restarted`);
-      } catch (error) {
-        spinner.fail(`Failed to restart: ${error.message}`);
-      }
+    case 'restart':
+      spinner.start(`Restarting ${containerName}...`);
+      try {
+        await restartContainer(containerName);
+        spinner.succeed(`Container ${containerName} restarted`);
+      } catch (error) {
+        spinner.fail(`Failed to restart: ${error.message}`);
+      }
+      await pressEnterToContinue();
+      break;
+
+    case 'pause':
+      spinner.start(`Pausing ${containerName}...`);
+      try {
+        await pauseContainer(containerName);
+        spinner.succeed(`Container ${containerName} paused`);
+      } catch (error) {
+        spinner.fail(`Failed to pause: ${error.message}`);
+      }
+      await pressEnterToContinue();
+      break;
+
+    case 'unpause':
+      spinner.start(`Unpausing ${containerName}...`);
+      try {
+        await unpauseContainer(containerName);
+        spinner.succeed(`Container ${containerName} unpaused`);
+      } catch (error) {
+        spinner.fail(`Failed to unpause: ${error.message}`);
+      }
+      await pressEnterToContinue();
+      break;
+
+    case 'kill':
+      const signal = await select({
+        message: 'Signal to send:',
+        choices: KILL_SIGNALS.map((value) => ({
+          name: value === 'SIGHUP'
+            ? `${value} ${chalk.gray('(reload config)')}`
+            : value === 'SIGKILL' ? `${value} ${chalk.gray('(force, cannot be handled)')}` : value,
+          value,
+        })),
+        default: 'SIGKILL',
+      });
+
+      spinner.start(`Sending ${signal} to ${containerName}...`);
+      try {
+        await killContainer(containerName, signal);
+        spinner.succeed(`Sent ${signal} to ${containerName}`);
+      } catch (error) {
+        spinner.fail(`Failed to send ${signal}: ${error.message}`);
+      }
+      await pressEnterToContinue();
+      break;
+
+    case 'rename':
+      const newName = (await input({
+        message: 'New name:',
+        default: containerName,
+        validate: (value) => isValidContainerName(value.trim()) || 'Use letters, digits, _ . - (starting with a letter or digit)',
+      })).trim();
+
+      if (newName === containerName) {
+        break;
+      }
+
+      spinner.start(`Renaming ${containerName} to ${newName}...`);
+      try {
+        await renameContainer(containerName, newName);
+        spinner.succeed(`Container renamed to ${newName}`);
+        await pressEnterToContinue();
+        return containerActionsMenu(newName);
+      } catch (error) {
+        spinner.fail(`Failed to rename: ${error.message}`);
+      }
+      await pressEnterToContinue();
+      break;
+
+    case 'remove':
+      const shouldForce = await confirm({
+        message: 'Force remove (if running)?',
+        default: false,
+      });
+
+      const confirmRemove = await confirm({
+        message: `Are you sure you want to remove ${containerName}?`,
+        default: false,
+      });
+
+      if (confirmRemove) {
+        spinner.start(`Removing ${containerName}...`);
+        try {
+          await removeContainer(containerName, shouldForce);
+          spinner.succeed(`Container ${containerName} removed`);
+          await pressEnterToContinue();
+          return containersMenu();
+        } catch (error) {
+          spinner.fail(`Failed to remove: ${error.message}`);
+        }
+      }
+      await pressEnterToContinue();
+      break;
+
+    case 'back':
+      return containersMenu(containerName);
+  }
+
+  await containerActionsMenu(containerName);
+}
+
+/**
+ * Run one action on several containers
+ * @param {string[]} names - Selected container names
+ */
+async function bulkActionsMenu(names) {
+  clearScreen();
+  showHeader(`${names.length} containers selected`);
+
+  console.log(chalk.gray(`  ${names.join(', ')}\n`));
+
+  const action = await select({
+    message: `Action for ${names.length} containers:`,
+    choices: [
+      ...Object.entries(BULK_ACTIONS).map(([value, { label }]) => ({ name: label, value })),
+      { name: 'Run Command', value: 'run-command' },
+      new Separator(),
+      { name: '← Back', value: 'back' },
+    ],
+  });
+
+  if (action === 'back') {
+    return containersMenu();
+  }
+
+  if (action === 'run-command') {
+    await runCommandMenu(names);
+    return containersMenu();
+  }
+
+  const options = {};
+  if (action === 'remove') {
+    options.force = await confirm({ message: 'Force remove running containers?', default: false });
+  } else if (action === 'rebuild') {
+    options.noCache = await confirm({ message: 'Build without cache?', default: false });
+    options.safe = await confirm({ message: 'Safe mode (keep each old container until its new one is up)?', default: true });
+  }
+
+  const { label, progress, done } = BULK_ACTIONS[action];
+  const proceed = await confirm({
+    message: `${label} ${names.length} containers?`,
+    default: action !== 'remove',
+  });
+
+  if (!proceed) {
+    return containersMenu();
+  }
+
+  console.log('');
+  const spinner = ora(`${progress} ${names.length} containers...`).start();
+  const results = await runBulkAction(names, action, {
+    ...options,
+    onProgress: (result, completed, total) => {
+      spinner.text = `${progress} containers... ${completed}/${total} (${result.name} ${result.ok ? done : 'failed'})`;
+    },
+  });
+
+  const failed = results.filter((result) => !result.ok).length;
+  if (failed > 0) {
+    spinner.warn(`${results.length - failed} ${done}, ${failed} failed`);
+  } else {
+    spinner.succeed(`${results.length} containers ${done}`);
+  }
+  console.log(renderBulkResults(results));
+
+  await pressEnterToContinue();
+  return containersMenu();
+}
+
+/**
+ * Container file browser, with prompts for downloads, uploads and jumping to a path
+ * @param {string} containerName - Container name
+ * @param {string} path - Directory to open
+ * @param {string} selected - Entry to select
+ */
+async function fileBrowserMenu(containerName, path = '/', selected = null) {
+  const result = await showFileBrowser(containerName, { path, selected });
+  if (!result) return;
+
+  const name = result.path.split('/').pop();
+
+  switch (result.action) {
+    case 'download': {
+      const destination = await input({
+        message: `Copy ${result.path} to (host directory, or a .tar file for the raw archive):`,
+        default: process.cwd(),
+      });
+
+      const spinner = ora(`Copying ${result.path}...`).start();
+      try {
+        const copied = await copyFromContainer(containerName, result.path, destination.trim());
+        spinner.succeed(`Copied to ${copied.path}`);
+        for (const link of copied.skippedLinks) {
+          console.log(chalk.yellow(`  Skipped link pointing outside the destination: ${link}`));
+        }
+      } catch (error) {
+        spinner.fail(`Copy failed: ${error.message}`);
+      }
+      await pressEnterToContinue();
+      return fileBrowserMenu(containerName, result.dir, name);
+    }
+
+    case 'upload': {
+      const source = (await input({
+        message: `Host file or directory to copy into ${result.path} (.tar files are unpacked):`,
+        validate: (value) => (value.trim() && existsSync(value.trim()) ? true : 'Path not found'),
+      })).trim();
+
+      const spinner = ora(`Copying ${source}...`).start();
+      try {
+        const written = await copyToContainer(containerName, source, result.path);
+        spinner.succeed(`Copied to ${written}`);
+      } catch (error) {
+        spinner.fail(`Copy failed: ${error.message}`);
+      }
+      await pressEnterToContinue();
+      return fileBrowserMenu(containerName, result.dir);
+    }
+
+    case 'goto': {
+      const target = (await input({
+        message: 'Go to directory:',
+        default: result.path,
+        validate: (value) => (value.trim().startsWith('/') ? true : 'Enter an absolute path'),
+      })).trim();
+      return fileBrowserMenu(containerName, target);
+    }
+  }
+}
+
+/**
+ * Turn a resource value into the text offered as the prompt default
+ * @param {string} key - Field key
+ * @param {*} value - Value from readResources()
+ * @returns {string}
+ */
+function resourceInputValue(key, value) {
+  switch (key) {
+    case 'cpus':
+      return String(parseFloat(value.toFixed(2)));
+    case 'memory':
+      return value ? formatBytes(value) : '';
+    case 'memorySwap':
+      return value > 0 ? formatBytes(value) : String(value);
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Edit a container's CPU, memory, PIDs and restart settings without recreating it
+ * Changes are collected first and validated together, since some only make sense in combination
+ * @param {string} containerName - Container name
+ * @param {Object} changes - Pending changes keyed like RESOURCE_FIELDS
+ */
+async function editResourcesMenu(containerName, changes = {}) {
+  clearScreen();
+  showHeader(`Resources: ${containerName}`);
+
+  const [info, host] = await Promise.all([inspectContainer(containerName), getHostLimits().catch(() => ({}))]);
+  const current = readResources(info);
+  const pending = Object.keys(changes).length;
+  const errors = pending > 0 ? validateResourceChanges(current, changes, host) : [];
+
+  if (host.cpus) {
+    console.log(chalk.gray(`  Host: ${host.cpus} CPUs, ${formatBytes(host.memory)} memory`));
+  }
+  console.log(chalk.gray('  Changes apply immediately; the container keeps running.\n'));
+
+  for (const error of errors) {
+    console.log(chalk.red(`  ✗ ${error}`));
+  }
+  if (errors.length > 0) console.log('');
+
+  const choices = RESOURCE_FIELDS.map((field) => {
+    const value = chalk.cyan(formatResource(field.key, current[field.key]));
+    const change = field.key in changes ? ` → ${chalk.yellow(formatResource(field.key, changes[field.key]))}` : '';
+    return { name: `${field.label.padEnd(15)} ${value}${change}`, value: field.key };
+  });
+
+  choices.push(new Separator());
+  if (pending > 0) {
+    choices.push({
+      name: `✅ Apply ${pending} change${pending === 1 ? '' : 's'}`,
+      value: 'apply',
+      disabled: errors.length > 0 ? '(fix the problems above)' : false,
+    });
+    choices.push({ name: '↩️  Discard changes', value: 'discard' });
+  }
+  choices.push({ name: '← Back', value: 'back' });
+
+  const action = await select({ message: 'Select a setting to change:', choices, pageSize: 12 });
+
+  if (action === 'back') return;
+  if (action === 'discard') return editResourcesMenu(containerName);
+
+  if (action === 'apply') {
+    const proceed = await confirm({ message: `Update ${containerName}?`, default: true });
+    if (!proceed) return editResourcesMenu(containerName, changes);
+
+    const spinner = ora(`Updating ${containerName}...`).start();
+    try {
+      const { warnings } = await updateResources(containerName, changes);
+      spinner.succeed(`Resources of ${containerName} updated`);
+      for (const warning of warnings) {
+        console.log(chalk.yellow(`  ⚠ ${warning}`));
+      }
+    } catch (error) {
+      spinner.fail(`Update failed: ${error.message}`);
+      await pressEnterToContinue();
+      return editResourcesMenu(containerName, changes);
+    }
+
+    if (!info.State.Running) {
+      await pressEnterToContinue();
+    } else if (await confirm({ message: 'Open stats to watch the new limits?', default: false })) {
+      await showContainerStats(containerName);
+    }
+    return;
+  }
+
+  const field = RESOURCE_FIELDS.find((entry) => entry.key === action);
+  const existing = resourceInputValue(action, current[action]);
+  const previous = action in changes ? resourceInputValue(action, changes[action]) : existing;
+  let answer;
+
+  if (action === 'restart') {
+    const [name, retries = ''] = previous.split(':');
+    answer = await select({
+      message: 'Restart policy:',
+      choices: RESTART_POLICIES.map((policy) => ({ name: policy, value: policy })),
+      default: name,
+    });
+    if (answer === 'on-failure') {
+      const maxRetries = (await input({
+        message: 'Maximum retries (empty = unlimited):',
+        default: retries,
+        validate: (value) => (!value.trim() || /^\d+$/.test(value.trim()) ? true : 'Enter a number'),
+      })).trim();
+      if (maxRetries && maxRetries !== '0') answer += `:${maxRetries}`;
+    }
+  } else {
+    answer = (await input({
+      message: `${field.label} (${field.hint}):`,
+      default: previous,
+      validate: (value) => {
+        try {
+          parseResourceValue(action, value);
+          return true;
+        } catch (error) {
+          return error.message;
+        }
+      },
+    })).trim();
+  }
+
+  // Compare the text so an unchanged default (rounded for display) isn't sent as a change
+  const next = { ...changes };
+  if (answer === existing) {
+    delete next[action];
+  } else {
+    next[action] = parseResourceValue(action, answer);
+  }
+
+  return editResourcesMenu(containerName, next);
+}
+
+/**
+ * Run a shell command in one or more containers and show each one's output
+ * Offers the containers' recent commands so they can be re-run
+ * @param {string[]} names - Container names
+ */
+async function runCommandMenu(names) {
+  const target = names.length === 1 ? names[0] : `${names.length} containers`;
+  const history = getCommandHistory(names);
+
+  let command = null;
+  if (history.length > 0) {
+    command = await select({
+      message: `Command to run in ${target}:`,
+      choices: [
+        { name: chalk.cyan('New command...'), value: null },
+        new Separator(chalk.gray('── Recent ──')),
+        ...history.map((entry) => ({ name: entry, value: entry })),
+      ],
+      pageSize: 12,
+    });
+  }
+
+  if (!command) {
+    command = (await input({
+      message: `Command to run in ${target} (sh -c):`,
+      validate: (value) => (value.trim() ? true : 'Enter a command'),
+    })).trim();
+  }
+
+  console.log('');
+  const spinner = ora(`Running in ${target}...`).start();
+  const results = await runCommand(names, command, {
+    onProgress: (result, completed, total) => {
+      if (total > 1) spinner.text = `Running in containers... ${completed}/${total}`;
+    },
+  });
+
+  const failed = results.filter((result) => !result.ok).length;
+  if (failed > 0) {
+    spinner.warn(names.length === 1 ? `Command failed in ${target}` : `${results.length - failed} succeeded, ${failed} failed`);
+  } else {
+    spinner.succeed(names.length === 1 ? `Command finished in ${target}` : `Succeeded in ${results.length} containers`);
+  }
+
+  console.log('');
+  for (const result of results) {
+    console.log(formatCommandResult(result));
+    console.log('');
+  }
+
+  const next = await select({
+    message: 'Next:',
+    choices: [
+      { name: 'Run another command', value: 'again' },
+      { name: '← Back', value: 'back' },
+    ],
+  });
+
+  if (next === 'again') {
+    return runCommandMenu(names);
+  }
+}
+
+/**
+ * Export container logs wizard
+ * @param {string} containerName - Container name
+ */
+async function exportLogsMenu(containerName) {
+  const format = await select({
+    message: 'Export format:',
+    choices: [
+      { name: `Plain text ${chalk.gray('(ANSI colors stripped)')}`, value: 'text' },
+      { name: `JSON Lines ${chalk.gray('({ timestamp, stream, message } per line)')}`, value: 'jsonl' },
+      { name: `Text with ANSI colors preserved`, value: 'ansi' },
+    ],
+  });
+
+  const range = await select({
+    message: 'Time range:',
+    choices: [
+      { name: 'All logs', value: 'all' },
+      { name: 'Last 15 minutes', value: '15m' },
+      { name: 'Last hour', value: '1h' },
+      { name: 'Last 24 hours', value: '24h' },
+      { name: 'Custom since/until', value: 'custom' },
+    ],
+  });
+
+  const timeValidator = (value) => {
+    if (!value.trim()) return true;
+    return parseTimeBound(value) ? true : 'Use an ISO date, HH:MM, Unix seconds, or a duration like 10m';
+  };
+
+  let since = null;
+  let until = null;
+  if (range === 'custom') {
+    const sinceInput = await input({
+      message: 'Since (empty = beginning):',
+      validate: timeValidator,
+    });
+    const untilInput = await input({
+      message: 'Until (empty = now):',
+      validate: timeValidator,
+    });
+    since = sinceInput.trim() ? parseTimeBound(sinceInput) : null;
+    until = untilInput.trim() ? parseTimeBound(untilInput) : null;
+  } else if (range !== 'all') {
+    since = parseTimeBound(range);
+  }
+
+  const streams = await select({
+    message: 'Streams:',
+    choices: [
+      { name: 'stdout + stderr', value: 'both' },
+      { name: 'stdout only', value: 'stdout' },
+      { name: 'stderr only', value: 'stderr' },
+    ],
+  });
+
+  const stamp = new Date().toISOString().replace(/[:T]/g, '-').replace(/\..+$/, '');
+  const filePath = await input({
+    message: 'Output file:',
+    default: `${containerName}-${stamp}.${format === 'jsonl' ? 'jsonl' : 'log'}`,
+    validate: (value) => (value.trim() ? true : 'Path cannot be empty'),
+  });
+
+  const spinner = ora(`Exporting logs of ${containerName}...`).start();
+  try {
+    const result = await exportLogs(containerName, filePath.trim(), {
+      format,
+      since,
+      until,
+      stdout: streams !== 'stderr',
+      stderr: streams !== 'stdout',
+    });
+    spinner.succeed(`Exported ${result.lines} lines to ${result.path}`);
+  } catch (error) {
+    spinner.fail(`Export failed: ${error.message}`);
+  }
+}
+
+/**
+ * Wait for user to press Enter
+ */
+async function pressEnterToContinue() {
+  await select({
+    message: 'Press Enter to continue...',
+    choices: [{ name: 'Continue', value: 'continue' }],
+  });
+}
+
+/**
+ * Display compose projects menu
+ */
+async function composeProjectsMenu() {
+  clearScreen();
+  showHeader('Compose Projects');
+
+  const spinner = ora('Loading compose projects...').start();
+  const containers = await listContainers(true);
+  const projects = [...groupByComposeProject(containers).values()];
+  spinner.stop();
+
+  if (projects.length === 0) {
+    showStatus('No compose projects found', 'warning');
+    await pressEnterToContinue();
+    return mainMenu();
+  }
+
+  console.log(renderComposeProjectsTable(projects));
+  console.log('');
+
+  const choices = projects.map((project) => {
+    const running = project.services.filter((s) => s.State === 'running').length;
+    const icon = running > 0 ? chalk.green('●') : chalk.red('○');
+    return {
+      name: `${icon} ${project.name} ${chalk.gray(`(${running}/${project.services.length} running)`)}`,
+      value: { name: project.name, workingDir: project.workingDir, configFiles: project.configFiles },
+    };
+  });
+  choices.push({ name: chalk.gray('← Back to main menu'), value: 'back' });
+
+  const selected = await select({
+    message: 'Select a project:',
+    choices,
+  });
+
+  if (selected === 'back') {
+    return mainMenu();
+  }
+
+  await composeProjectMenu(selected);
+}
+
+/**
+ * Display compose project actions menu
+ * @param {Object} projectInfo - Project info { name, workingDir, configFiles }
+ */
+async function composeProjectMenu(projectInfo) {
+  clearScreen();
+  showHeader(`Compose Project: ${projectInfo.name}`);
+
+  const containers = await listContainers(true);
+  const project = groupByComposeProject(containers).get(projectInfo.name);
+  const services = project
+    ? [...project.services].sort((a, b) => (a.serviceName || '').localeCompare(b.serviceName || ''))
+    : [];
+
+  console.log(chalk.gray(`  Working Dir: ${projectInfo.workingDir || 'unknown'}\n`));
+
+  if (services.length > 0) {
+    console.log(renderComposeServicesTable(services));
+    console.log('');
+  } else {
+    showStatus('Project has no containers (run "Up" to create them)', 'info');
+    console.log('');
+  }
+
+  if (!projectInfo.workingDir) {
+    showStatus('Working directory label missing - compose commands unavailable', 'warning');
+    await pressEnterToContinue();
+    return composeProjectsMenu();
+  }
+
+  const choices = [
+    { name: '▶️  Up', value: 'up' },
+    { name: '⏹️  Down', value: 'down' },
+    { name: '🔄 Restart', value: 'restart' },
+    { name: `🔨 Rebuild ${chalk.gray('(build + recreate)')}`, value: 'rebuild' },
+  ];
+
+  if (services.length > 0) {
+    choices.push({ name: `📋 View Logs ${chalk.gray('(all services, merged)')}`, value: 'logs' });
+  }
+
+  const serviceNames = [...new Set(services.map((s) => s.serviceName))];
+  if (serviceNames.length > 0) {
+    choices.push(new Separator());
+    for (const serviceName of serviceNames) {
+      const replicas = services.filter((s) => s.serviceName === serviceName);
+      const running = replicas.filter((s) => s.State === 'running').length;
+      const icon = running > 0 ? chalk.green('●') : chalk.red('○');
+      choices.push({
+        name: `${icon} ${serviceName} ${chalk.gray(`(${running}/${replicas.length} running)`)}`,
+        value: { service: serviceName },
+      });
+    }
+  }
+
+  choices.push(new Separator());
+  choices.push({ name: '← Back', value: 'back' });
+
+  const action = await select({
+    message: `Actions for ${projectInfo.name}:`,
+    choices,
+  });
+
+  if (action === 'back') {
+    return composeProjectsMenu();
+  }
+
+  if (typeof action === 'object') {
+    return composeServiceMenu(projectInfo, action.service);
+  }
+
+  switch (action) {
+    case 'up':
+      await runComposeAction(`Starting ${projectInfo.name}`, (onOutput) =>
+        composeUp(projectInfo, { onOutput })
+      );
+      break;
+
+    case 'down':
+      const removeVolumes = await confirm({
+        message: 'Also remove named volumes?',
+        default: false,
+      });
+
+      const confirmDown = await confirm({
+        message: `Stop and remove all containers of ${projectInfo.name}?`,
+        default: false,
+      });
+
+      if (confirmDown) {
+        await runComposeAction(`Stopping ${projectInfo.name}`, (onOutput) =>
+          composeDown(projectInfo, { removeVolumes, onOutput })
+        );
+      }
+      break;
+
+    case 'restart':
+      await runComposeAction(`Restarting ${projectInfo.name}`, (onOutput) =>
+        composeRestart(projectInfo, null, { onOutput })
+      );
+      break;
+
+    case 'rebuild':
+      const noCache = await confirm({
+        message: 'Build without cache?',
+        default: false,
+      });
+
+      await runComposeAction(`Rebuilding ${projectInfo.name}`, (onOutput) =>
+        composeRebuild(projectInfo, null, { noCache, onOutput })
+      );
+      break;
+
+    case 'logs':
+      await streamMergedLogs(
+        services.map((s) => s.Names[0].replace(/^\//, '')),
+        { title: `Logs: ${projectInfo.name}` }
+      );
+      return composeProjectMenu(projectInfo);
+  }
+
+  await pressEnterToContinue();
+  await composeProjectMenu(projectInfo);
+}
+
+/**
+ * Display compose service actions menu
+ * @param {Object} projectInfo - Project info { name, workingDir, configFiles }
+ * @param {string} serviceName - Service name
+ */
+async function composeServiceMenu(projectInfo, serviceName) {
+  clearScreen();
+  showHeader(`Service: ${projectInfo.name}/${serviceName}`);
+
+  const containers = await listContainers(true);
+  const project = groupByComposeProject(containers).get(projectInfo.name);
+  const replicas = (project?.services || []).filter((s) => s.serviceName === serviceName);
+
+  if (replicas.length > 0) {
+    console.log(renderComposeServicesTable(replicas));
+    console.log('');
+  }
+
+  const isRunning = replicas.some((s) => s.State === 'running');
+
+  const choices = [];
+
+  if (replicas.length > 0) {
+    choices.push({ name: '📋 View Logs', value: 'logs' });
+    choices.push({ name: '📦 Container actions', value: 'container' });
+  }
+
+  if (isRunning) {
+    choices.push({ name: `⌨️  Run Command ${chalk.gray('(every running replica)')}`, value: 'run-command' });
+  }
+
+  choices.push(new Separator());
+
+  if (isRunning) {
+    choices.push({ name: '🔄 Restart', value: 'restart' });
+    choices.push({ name: '⏹️  Stop', value: 'stop' });
+  } else {
+    choices.push({ name: '▶️  Up', value: 'up' });
+  }
+
+  choices.push({ name: `🔨 Rebuild ${chalk.gray('(build + recreate)')}`, value: 'rebuild' });
+  choices.push(new Separator());
+  choices.push({ name: '← Back', value: 'back' });
+
+  const action = await select({
+    message: `Actions for ${serviceName}:`,
+    choices,
+  });
+
+  switch (action) {
+    case 'logs':
+      if (replicas.length === 1) {
+        await streamLogs(replicas[0].Names[0].replace(/^\//, ''));
+      } else {
+        await streamMergedLogs(
+          replicas.map((s) => s.Names[0].replace(/^\//, '')),
+          { title: `Logs: ${projectInfo.name}/${serviceName}` }
+        );
+      }
+      break;
+
+    case 'container':
+      const containerName = replicas.length === 1
+        ? replicas[0].Names[0].replace(/^\//, '')
+        : await select({
+          message: 'Select a replica:',
+          choices: replicas.map((s) => {
+            const name = s.Names[0].replace(/^\//, '');
+            return { name, value: name };
+          }),
+        });
+      return containerActionsMenu(containerName);
+
+    case 'run-command':
+      await runCommandMenu(
+        replicas.filter((s) => s.State === 'running').map((s) => s.Names[0].replace(/^\//, ''))
+      );
+      break;
+
+    case 'up':
+      await runComposeAction(`Starting ${serviceName}`, (onOutput) =>
+        composeUp(projectInfo, { service: serviceName, onOutput })
+      );
+      await pressEnterToContinue();
+      break;
+
+    case 'stop':
+      await runComposeAction(`Stopping ${serviceName}`, (onOutput) =>
+        composeStop(projectInfo, serviceName, { onOutput })
+      );
       await pressEnterToContinue();
       break;
 
-    case 'remove':
-      const shouldForce = await confirm({
-        message: 'Force remove (if running)?',
-        default: false,
-      });
+    case 'restart':
+      await runComposeAction(`Restarting ${serviceName}`, (onOutput) =>
+        composeRestart(projectInfo, serviceName, { onOutput })
+      );
+      await pressEnterToContinue();
+      break;
 
-      const confirmRemove = await confirm({
-        message: `Are you sure you want to remove ${containerName}?`,
+    case 'rebuild':
+      const noCache = await confirm({
+        message: 'Build without cache?',
         default: false,
       });
 
-      if (confirmRemove) {
-        spinner.start(`Removing ${containerName}...`);
-        try {
-          await removeContainer(containerName, shouldForce);
-          spinner.succeed(`Container ${containerName} removed`);
-          await pressEnterToContinue();
-          return containersMenu();
-        } catch (error) {
-          spinner.fail(`Failed to remove: ${error.message}`);
-        }
-      }
+      await runComposeAction(`Rebuilding ${serviceName}`, (onOutput) =>
+        composeRebuild(projectInfo, serviceName, { noCache, onOutput })
+      );
       await pressEnterToContinue();
       break;
 
     case 'back':
-      return containersMenu();
+      return composeProjectMenu(projectInfo);
   }
 
-  await containerActionsMenu(containerName);
+  await composeServiceMenu(projectInfo, serviceName);
 }
 
 /**
- * Wait for user to press Enter
+ * Run a compose command with spinner feedback
+ * @param {string} label - Action label shown in the spinner
+ * @param {Function} run - Receives an onOutput callback, resolves to execCompose result
  */
-async function pressEnterToContinue() {
-  await select({
-    message: 'Press Enter to continue...',
-    choices: [{ name: 'Continue', value: 'continue' }],
-  });
+async function runComposeAction(label, run) {
+  const spinner = ora(`${label}...`).start();
+
+  try {
+    const result = await run((msg) => {
+      const line = msg.trim().split('\n').pop();
+      if (line) spinner.text = line.substring(0, 60);
+    });
+
+    if (result.code === 0) {
+      spinner.succeed(`${label}: done`);
+    } else {
+      const lastError = result.stderr.trim().split('\n').pop() || `exit code ${result.code}`;
+      spinner.fail(`${label} failed: ${lastError}`);
+    }
+  } catch (error) {
+    spinner.fail(`${label} failed: ${error.message}`);
+  }
 }
 
 /**
@@ -464,6 +1429,7 @@ async function imageActionsMenu(imageInfo) {
   }
 
   const choices = [
+    { name: '▶️  Run Container', value: 'run' },
     { name: '🏷️  Add Tag', value: 'tag' },
     { name: '🔍 Inspect', value: 'inspect' },
     new Separator(),
@@ -480,6 +1446,16 @@ async function imageActionsMenu(imageInfo) {
   const spinnerAction = ora();
 
   switch (action) {
+    case 'run': {
+      const imageRef = imageInfo.name.includes('<none>') ? imageInfo.id : imageInfo.name;
+      const containerName = await runContainerWizard(imageRef, imageDetails);
+      if (containerName) {
+        return containerActionsMenu(containerName);
+      }
+      await pressEnterToContinue();
+      break;
+    }
+
     case 'tag':
       const newTag = await input({
         message: 'Enter new tag (e.g., myapp:v2.0 or myregistry/myapp:latest):',
@@ -577,6 +1553,248 @@ async function imageActionsMenu(imageInfo) {
   await imageActionsMenu(imageInfo);
 }
 
+/**
+ * Validate a comma-separated list with a per-item parser
+ * @param {Function} parse - Throws on invalid items
+ * @returns {Function} - Inquirer validate function
+ */
+function validateList(parse) {
+  return (value) => {
+    try {
+      splitList(value).forEach((item) => parse(item));
+      return true;
+    } catch (error) {
+      return error.message;
+    }
+  };
+}
+
+/**
+ * Split a comma-separated answer into trimmed, non-empty items
+ * @param {string} value - Answer
+ * @returns {string[]}
+ */
+function splitList(value) {
+  return value.split(',').map((item) => item.trim()).filter(Boolean);
+}
+
+/**
+ * Wizard for creating and starting a container from an image
+ * @param {string} imageRef - Image name or ID
+ * @param {Object} imageDetails - Image inspect data (for defaults), if loaded
+ * @returns {Promise<string|null>} - Name of the started container, or null if cancelled or failed
+ */
+async function runContainerWizard(imageRef, imageDetails = null) {
+  clearScreen();
+  showHeader(`Run: ${imageRef}`);
+
+  const templates = loadTemplates();
+  let base = {};
+
+  if (Object.keys(templates).length > 0) {
+    const templateName = await select({
+      message: 'Start from:',
+      choices: [
+        { name: 'Blank', value: null },
+        ...Object.entries(templates).map(([name, spec]) => ({
+          name: `${name} ${chalk.gray(`(${spec.image})`)}`,
+          value: name,
+        })),
+      ],
+    });
+    if (templateName) base = templates[templateName];
+  }
+
+  const exposed = Object.keys(imageDetails?.Config?.ExposedPorts || {}).map((port) => port.replace('/tcp', ''));
+  const defaultCmd = (imageDetails?.Config?.Cmd || []).join(' ');
+
+  const name = (await input({
+    message: 'Container name (empty = generated):',
+    default: base.name || '',
+    validate: (value) => !value.trim() || isValidContainerName(value.trim()) || 'Use letters, digits, _ . - (starting with a letter or digit)',
+  })).trim();
+
+  const ports = splitList(await input({
+    message: `Port mappings, comma-separated (host:container)${exposed.length > 0 ? chalk.gray(` exposes ${exposed.join(', ')}`) : ''}:`,
+    default: (base.ports || []).join(', '),
+    validate: validateList(parsePortMapping),
+  }));
+
+  const env = [...(base.env || [])];
+  if (env.length > 0) {
+    console.log(chalk.gray(`  From template: ${env.map((entry) => entry.split('=')[0]).join(', ')}`));
+  }
+  while (true) {
+    const variable = (await input({
+      message: 'Add environment variable (KEY=VALUE, empty to continue):',
+      validate: (value) => {
+        if (!value.trim()) return true;
+        try {
+          parseEnvVar(value);
+          return true;
+        } catch (error) {
+          return error.message;
+        }
+      },
+    })).trim();
+    if (!variable) break;
+    env.push(variable);
+  }
+
+  const envFiles = splitList(await input({
+    message: 'Env files, comma-separated (empty = none):',
+    default: (base.envFiles || []).join(', '),
+    validate: (value) => splitList(value).every((file) => existsSync(file)) || 'File not found',
+  }));
+
+  const mounts = splitList(await input({
+    message: 'Volumes and bind mounts, comma-separated (volume:/path or ./dir:/path[:ro]):',
+    default: (base.mounts || []).join(', '),
+    validate: validateList(parseMount),
+  }));
+
+  const networks = await getNetworks().catch(() => []);
+  const network = await select({
+    message: 'Network:',
+    choices: [
+      { name: 'default (bridge)', value: '' },
+      ...networks
+        .filter((n) => !['bridge', 'none'].includes(n.name))
+        .map((n) => ({ name: `${n.name} ${chalk.gray(`(${n.driver})`)}`, value: n.name })),
+      { name: 'none', value: 'none' },
+    ],
+    default: base.network || '',
+  });
+
+  const restart = await select({
+    message: 'Restart policy:',
+    choices: RESTART_POLICIES.map((policy) => ({ name: policy, value: policy })),
+    default: base.restart?.split(':')[0] || 'no',
+  });
+
+  const memory = (await input({
+    message: 'Memory limit (e.g. 512m, empty = unlimited):',
+    default: base.memory || '',
+    validate: (value) => {
+      if (!value.trim()) return true;
+      try {
+        parseMemory(value);
+        return true;
+      } catch (error) {
+        return error.message;
+      }
+    },
+  })).trim();
+
+  const cpus = (await input({
+    message: 'CPU limit (e.g. 1.5, empty = unlimited):',
+    default: base.cpus || '',
+    validate: (value) => !value.trim() || Number(value) > 0 || 'Enter a positive number',
+  })).trim();
+
+  const command = (await input({
+    message: `Command override (empty = image default${defaultCmd ? `: ${defaultCmd}` : ''}):`,
+    default: base.command || '',
+    validate: (value) => {
+      try {
+        splitCommand(value);
+        return true;
+      } catch (error) {
+        return error.message;
+      }
+    },
+  })).trim();
+
+  const detach = await select({
+    message: 'Mode:',
+    choices: [
+      { name: 'Detached (run in background)', value: true },
+      { name: 'Attached (follow output)', value: false },
+    ],
+    default: base.detach ?? true,
+  });
+
+  const spec = { image: imageRef, name, ports, env, envFiles, mounts, network, restart, memory, cpus, command, detach };
+
+  if (await confirm({ message: 'Save these settings as a template?', default: false })) {
+    const templateName = (await input({
+      message: 'Template name:',
+      default: name || imageRef.split('/').pop().split(':')[0],
+      validate: (value) => (value.trim() ? true : 'Name cannot be empty'),
+    })).trim();
+    saveTemplate(templateName, spec);
+    showStatus(`Template "${templateName}" saved`, 'success');
+  }
+
+  if (!(await confirm({ message: `Create and start ${name || 'container'}?`, default: true }))) {
+    return null;
+  }
+
+  const spinner = ora('Preparing...').start();
+  try {
+    const result = await runContainer(spec, {
+      onStatus: (message) => {
+        spinner.text = message;
+      },
+      onPullProgress: (event) => {
+        spinner.text = `${event.status}${event.progress ? ` ${event.progress}` : ''}`.substring(0, 70);
+      },
+    });
+    spinner.succeed(`Container ${result.name} started ${chalk.gray(`(${result.id})`)}`);
+
+    if (!detach) {
+      await streamLogs(result.name);
+    }
+    return result.name;
+  } catch (error) {
+    spinner.fail(`Failed to run container: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Create a callback that redraws the build progress box as a build runs
+ * @param {string} title - Header shown above the box
+ * @returns {Function} - Takes the BuildProgressTracker
+ */
+function buildProgressView(title) {
+  let lastRender = '';
+
+  return (tracker) => {
+    const rendered = renderBuildProgress(tracker);
+    if (rendered !== lastRender) {
+      clearScreen();
+      showHeader(title);
+      console.log('');
+      console.log(rendered);
+      lastRender = rendered;
+    }
+  };
+}
+
+/**
+ * Ask where a locally built image's sources are
+ * @param {string} imageName - Image reference
+ * @returns {Promise<{context: string, dockerfile: string}|null>} - null to cancel
+ */
+async function promptBuildContext(imageName) {
+  console.log(chalk.yellow(`\n  No build context is known for ${imageName}.`));
+
+  const context = (await input({
+    message: 'Build context path (empty = cancel):',
+    validate: (value) => (!value.trim() || existsSync(value.trim()) ? true : 'Path not found'),
+  })).trim();
+
+  if (!context) return null;
+
+  const dockerfile = (await input({
+    message: 'Dockerfile path (relative to context):',
+    default: 'Dockerfile',
+  })).trim();
+
+  return { context, dockerfile: dockerfile === 'Dockerfile' ? dockerfile : resolvePath(context, dockerfile) };
+}
+
 /**
  * Build image menu with progress visualization
  */
@@ -624,30 +1842,15 @@ async function buildImageMenu() {
   showHeader(`Building: ${imageTag}`);
   console.log('');
 
-  let lastRender = '';
-  const updateInterval = setInterval(() => {
-    // Placeholder for continuous updates
-  }, 100);
-
   try {
     const result = await buildImage(context, {
       dockerfile,
       tag: imageTag,
       noCache,
-      onProgress: (tracker) => {
-        const rendered = renderBuildProgress(tracker);
-        if (rendered !== lastRender) {
-          clearScreen();
-          showHeader(`Building: ${imageTag}`);
-          console.log('');
-          console.log(rendered);
-          lastRender = rendered;
-        }
-      },
+      onProgress: buildProgressView(`Building: ${imageTag}`),
       onOutput: () => {},
     });
 
-    clearInterval(updateInterval);
     clearScreen();
     showHeader(`Build: ${imageTag}`);
     console.log('');
@@ -660,7 +1863,6 @@ async function buildImageMenu() {
       showStatus('Build failed!', 'error');
     }
   } catch (error) {
-    clearInterval(updateInterval);
     showStatus(`Build error: ${error.message}`, 'error');
   }
 
@@ -1512,6 +2714,121 @@ async function systemPruneWizard() {
   return mainMenu();
 }
 
+/**
+ * Pick event filters and open the live events feed
+ */
+async function eventsMenu() {
+  clearScreen();
+  showHeader('Events');
+
+  const type = await select({
+    message: 'Show events for:',
+    choices: [
+      { name: 'Everything', value: null },
+      ...EVENT_TYPES.map((value) => ({ name: `${value[0].toUpperCase()}${value.slice(1)}s`, value })),
+      new Separator(),
+      { name: chalk.gray('← Back'), value: 'back' },
+    ],
+  });
+
+  if (type === 'back') {
+    return mainMenu();
+  }
+
+  const replay = await select({
+    message: 'Replay past events:',
+    choices: [
+      { name: 'None (live only)', value: null },
+      { name: 'Last 10 minutes', value: 10 * 60 },
+      { name: 'Last hour', value: 60 * 60 },
+      { name: 'Last 24 hours', value: 24 * 60 * 60 },
+    ],
+  });
+
+  const name = await input({
+    message: 'Name contains (leave empty for all):',
+  });
+
+  try {
+    await streamEvents({
+      types: type ? [type] : [],
+      name: name.trim() || null,
+      since: replay ? Math.floor(Date.now() / 1000) - replay : null,
+    });
+  } catch (error) {
+    showStatus(`Could not stream events: ${error.message}`, 'error');
+    await pressEnterToContinue();
+  }
+
+  return mainMenu();
+}
+
+/**
+ * Display Docker context switcher
+ */
+async function contextMenu() {
+  clearScreen();
+  showHeader('Docker Context');
+
+  const activeHost = getActiveHost();
+  const contexts = listContexts();
+
+  const choices = contexts.map((ctx) => {
+    const isActive = ctx.name === activeHost.context;
+    const marker = isActive ? chalk.green('●') : chalk.gray('○');
+    const detail = ctx.host || ctx.description;
+    return {
+      name: `${marker} ${ctx.name} ${chalk.gray(`(${detail})`)}`,
+      value: { context: ctx.name },
+    };
+  });
+
+  choices.push(new Separator());
+  choices.push({ name: chalk.cyan('+ Connect to host (tcp://, ssh://, unix://)'), value: 'host' });
+  choices.push({ name: chalk.gray('← Back to main menu'), value: 'back' });
+
+  const selected = await select({
+    message: `Active: ${activeHost.name}`,
+    choices,
+  });
+
+  if (selected === 'back') {
+    return mainMenu();
+  }
+
+  let target = selected;
+  if (selected === 'host') {
+    const host = await input({
+      message: 'Docker host URL:',
+      validate: (value) => {
+        if (!value.trim()) return 'Host cannot be empty';
+        return true;
+      },
+    });
+    target = { host: host.trim() };
+  }
+
+  const previous = activeHost.context ? { context: activeHost.context } : { host: activeHost.host };
+  const previousError = getHostError();
+  const spinner = ora('Connecting...').start();
+
+  try {
+    const connected = useDockerHost(target);
+    if (!(await isDockerRunning())) {
+      throw new Error(`Could not reach ${connected.host}`);
+    }
+    spinner.succeed(`Connected to ${connected.name}`);
+  } catch (error) {
+    useDockerHost(previous, { hostError: previousError });
+    spinner.fail(`Failed to switch: ${error.message}`);
+    await pressEnterToContinue();
+    return contextMenu();
+  }
+
+  await pressEnterToContinue();
+  return mainMenu();
+}
+
 /**
  * Display settings menu
  */
@@ -1536,6 +2853,22 @@ async function settingsMenu() {
         name: `Show All Containers: ${chalk.cyan(config.showAllContainers ? 'Yes' : 'No')}`,
         value: 'showAll',
       },
+      {
+        name: `Stop Timeout: ${chalk.cyan(config.stopTimeout === null ? 'container default' : `${config.stopTimeout}s`)}`,
+        value: 'stopTimeout',
+      },
+      {
+        name: `Stats History: ${chalk.cyan(
+          config.historyEnabled ? `On (every ${config.historyInterval / 1000}s)` : 'Off'
+        )}`,
+        value: 'history',
+      },
+      {
+        name: `JSON Log Keys: ${chalk.cyan(
+          `${config.jsonLogKeys.level[0]}/${config.jsonLogKeys.message[0]}/${config.jsonLogKeys.timestamp[0]}`
+        )}`,
+        value: 'jsonKeys',
+      },
       new Separator(),
       { name: '← Back', value: 'back' },
     ],
@@ -1590,6 +2923,57 @@ async function settingsMenu() {
       await settingsMenu();
       break;
 
+    case 'stopTimeout':
+      const timeoutInput = await input({
+        message: 'Seconds to wait before stop/restart kill a container (empty = container default):',
+        default: config.stopTimeout === null ? '' : String(config.stopTimeout),
+        validate: (value) => {
+          if (!value.trim()) return true;
+          const num = parseInt(value, 10);
+          if (isNaN(num) || num < 0 || num > 3600) {
+            return 'Enter a number between 0 and 3600';
+          }
+          return true;
+        },
+      });
+      config.stopTimeout = timeoutInput.trim() ? parseInt(timeoutInput, 10) : null;
+      saveConfig(config);
+      showStatus(
+        `Stop timeout set to ${config.stopTimeout === null ? 'container default' : `${config.stopTimeout}s`}`,
+        'success'
+      );
+      await pressEnterToContinue();
+      await settingsMenu();
+      break;
+
+    case 'history':
+      config.historyEnabled = !config.historyEnabled;
+      saveConfig(config);
+      if (config.historyEnabled) {
+        startSampler();
+      } else {
+        stopSampler();
+      }
+      showStatus(`Stats history: ${config.historyEnabled ? 'enabled' : 'disabled'}`, 'success');
+      await pressEnterToContinue();
+      await settingsMenu();
+      break;
+
+    case 'jsonKeys':
+      for (const field of ['level', 'message', 'timestamp']) {
+        const keys = await input({
+          message: `Keys for the ${field} field (comma-separated, first match wins):`,
+          default: config.jsonLogKeys[field].join(', '),
+          validate: (value) => value.split(',').some((key) => key.trim()) || 'Enter at least one key',
+        });
+        config.jsonLogKeys[field] = keys.split(',').map((key) => key.trim()).filter(Boolean);
+      }
+      saveConfig(config);
+      showStatus('JSON log keys saved', 'success');
+      await pressEnterToContinue();
+      await settingsMenu();
+      break;
+
     case 'back':
       await mainMenu();
       break;
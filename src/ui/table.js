@@ -1,6 +1,12 @@
 import Table from 'cli-table3';
 import chalk from 'chalk';
-import { truncate, getStateEmoji } from '../utils/format.js';
+import { truncate, getStateEmoji, getHealthLabel, stripHealthStatus } from '../utils/format.js';
+
+const HEALTH_COLORS = {
+  healthy: chalk.green,
+  unhealthy: chalk.red.bold,
+  starting: chalk.yellow,
+};
 
 /**
  * Create a styled table
@@ -34,6 +40,16 @@ export function createTable(options = {}) {
   });
 }
 
+/**
+ * Color a container health label
+ * @param {string|null} health - Health status
+ * @param {string} text - Text to color (defaults to the health label)
+ * @returns {string}
+ */
+export function colorHealth(health, text = getHealthLabel(health)) {
+  return (HEALTH_COLORS[health] || chalk.gray)(text);
+}
+
 /**
  * Render containers table
  * @param {Array} containers - List of containers
@@ -41,8 +57,8 @@ export function createTable(options = {}) {
  */
 export function renderContainersTable(containers) {
   const table = createTable({
-    head: ['', 'NAME', 'IMAGE', 'STATUS', 'PORTS'],
-    colWidths: [3, 20, 20, 15, 25],
+    head: ['', 'NAME', 'IMAGE', 'STATUS', 'HEALTH', 'PORTS'],
+    colWidths: [3, 20, 20, 15, 13, 25],
   });
 
   for (const container of containers) {
@@ -53,7 +69,8 @@ export function renderContainersTable(containers) {
       stateColor(stateEmoji),
       chalk.white(truncate(container.name, 18)),
       chalk.gray(truncate(container.image, 18)),
-      stateColor(truncate(container.status, 13)),
+      stateColor(truncate(stripHealthStatus(container.status), 13)),
+      colorHealth(container.health),
       chalk.gray(truncate(container.ports, 23)),
     ]);
   }
@@ -129,10 +146,93 @@ export function renderNetworksTable(networks) {
   return table.toString();
 }
 
+/**
+ * Render compose projects table
+ * @param {Array} projects - List of compose projects from groupByComposeProject
+ * @returns {string}
+ */
+export function renderComposeProjectsTable(projects) {
+  const table = createTable({
+    head: ['PROJECT', 'SERVICES', 'RUNNING', 'WORKING DIR'],
+    colWidths: [22, 10, 10, 40],
+  });
+
+  for (const project of projects) {
+    const services = new Set(project.services.map((s) => s.serviceName));
+    const running = project.services.filter((s) => s.State === 'running').length;
+    const total = project.services.length;
+    const runningColor = running === total ? chalk.green : running === 0 ? chalk.red : chalk.yellow;
+
+    table.push([
+      chalk.white(truncate(project.name, 20)),
+      chalk.gray(String(services.size)),
+      runningColor(`${running}/${total}`),
+      chalk.gray(truncate(project.workingDir || '-', 38)),
+    ]);
+  }
+
+  return table.toString();
+}
+
+/**
+ * Render compose services table
+ * @param {Array} services - Containers of a compose project (with serviceName)
+ * @returns {string}
+ */
+export function renderComposeServicesTable(services) {
+  const table = createTable({
+    head: ['', 'SERVICE', 'CONTAINER', 'STATUS', 'IMAGE'],
+    colWidths: [3, 18, 24, 18, 22],
+  });
+
+  for (const service of services) {
+    const stateColor = service.State === 'running' ? chalk.green : chalk.red;
+    const name = service.Names[0].replace(/^\//, '');
+
+    table.push([
+      stateColor(getStateEmoji(service.State)),
+      chalk.white(truncate(service.serviceName || '-', 16)),
+      chalk.gray(truncate(name, 22)),
+      stateColor(truncate(service.Status, 16)),
+      chalk.gray(truncate(service.Image, 20)),
+    ]);
+  }
+
+  return table.toString();
+}
+
+/**
+ * Render per-container results of a bulk action
+ * @param {Array} results - Results from runBulkAction()
+ * @returns {string}
+ */
+export function renderBulkResults(results) {
+  const table = createTable({
+    head: ['', 'CONTAINER', 'TIME', 'RESULT'],
+    colWidths: [3, 24, 8, 45],
+    wordWrap: true,
+  });
+
+  for (const result of results) {
+    table.push([
+      result.ok ? chalk.green('✓') : chalk.red('✕'),
+      chalk.white(truncate(result.name, 22)),
+      chalk.gray(`${(result.duration / 1000).toFixed(1)}s`),
+      result.ok ? chalk.green('ok') : chalk.red(result.error),
+    ]);
+  }
+
+  return table.toString();
+}
+
 export default {
   createTable,
+  colorHealth,
+  renderBulkResults,
   renderContainersTable,
   renderImagesTable,
   renderVolumesTable,
   renderNetworksTable,
+  renderComposeProjectsTable,
+  renderComposeServicesTable,
 };
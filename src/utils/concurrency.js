@@ -0,0 +1,28 @@
+/**
+ * Run an async worker over items with at most `limit` running at once
+ * Results keep the input order; a rejected worker doesn't stop the others
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent workers
+ * @param {Function} worker - (item, index) => Promise
+ * @returns {Promise<Array<{status: 'fulfilled'|'rejected', value?: *, reason?: Error}>>}
+ */
+export async function mapLimit(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const run = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await worker(items[index], index) };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, run));
+  return results;
+}
+
+export default { mapLimit };
@@ -8,10 +8,37 @@ const CONFIG_FILE = join(CONFIG_DIR, 'config.json');
 const DEFAULT_CONFIG = {
   refreshInterval: 2000, // ms
   logTail: 100,
+  logBuffer: 5000, // lines kept in the log viewer scrollback
   showAllContainers: true,
   theme: 'default',
+  stopTimeout: null, // seconds before stop/restart kill the container (null = container's StopTimeout)
+  bulkConcurrency: 4, // containers handled at once by bulk actions
+  historyEnabled: false, // sample stats into ~/.config/dockerdash/history while DockerDash runs
+  historyInterval: 10000, // ms
+  historyRetention: 24 * 60 * 60 * 1000, // ms
+  // Candidate key names for JSON (pino, zap, bunyan) log lines, first match wins
+  jsonLogKeys: {
+    level: ['level', 'lvl', 'severity'],
+    message: ['msg', 'message'],
+    timestamp: ['time', 'ts', 'timestamp', '@timestamp'],
+  },
 };
 
+/**
+ * Merge user JSON log keys over the defaults, keeping a default for every field that isn't a list of names
+ * @param {*} keys - jsonLogKeys from the config file
+ * @returns {Object}
+ */
+function mergeJsonLogKeys(keys) {
+  return Object.fromEntries(
+    Object.entries(DEFAULT_CONFIG.jsonLogKeys).map(([field, defaults]) => {
+      const value = keys?.[field];
+      const valid = Array.isArray(value) && value.length > 0 && value.every((key) => typeof key === 'string');
+      return [field, valid ? value : defaults];
+    })
+  );
+}
+
 /**
  * Load configuration from file
  * @returns {Object}
@@ -19,8 +46,12 @@ const DEFAULT_CONFIG = {
 export function loadConfig() {
   try {
     if (existsSync(CONFIG_FILE)) {
-      const data = readFileSync(CONFIG_FILE, 'utf8');
-      return { ...DEFAULT_CONFIG, ...JSON.parse(data) };
+      const data = JSON.parse(readFileSync(CONFIG_FILE, 'utf8'));
+      return {
+        ...DEFAULT_CONFIG,
+        ...data,
+        jsonLogKeys: mergeJsonLogKeys(data.jsonLogKeys),
+      };
     }
   } catch {
     // Ignore errors, use defaults
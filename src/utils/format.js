@@ -111,3 +111,66 @@ export function getStateEmoji(state) {
   };
   return states[state] || '?';
 }
+
+/**
+ * Format container health with an indicator
+ * @param {string|null} health - Health status (null = no healthcheck)
+ * @returns {string}
+ */
+export function getHealthLabel(health) {
+  const labels = {
+    healthy: '♥ healthy',
+    unhealthy: '✕ unhealthy',
+    starting: '… starting',
+  };
+  return labels[health] || '-';
+}
+
+/**
+ * Remove the health suffix Docker appends to container Status strings
+ * @param {string} status - Status, e.g. "Up 5 minutes (unhealthy)"
+ * @returns {string}
+ */
+export function stripHealthStatus(status) {
+  return status.replace(/ \((healthy|unhealthy|health: starting)\)$/, '');
+}
+
+/**
+ * Format a transfer rate
+ * @param {number|null} bytesPerSecond - Rate in bytes per second (null = unknown)
+ * @returns {string}
+ */
+export function formatRate(bytesPerSecond) {
+  if (bytesPerSecond === null || bytesPerSecond === undefined) return '-';
+  return `${formatBytes(Math.round(bytesPerSecond))}/s`;
+}
+
+// Environment variable names that usually hold credentials
+const SECRET_NAME_PATTERN = /pass(wd|word)?|secret|token|api_?key|access_?key|private_?key|credential|auth|salt|dsn/i;
+
+/**
+ * Mask an environment variable value if it looks like a secret
+ * Values of secret-looking names are hidden entirely; passwords embedded in URLs are hidden elsewhere
+ * @param {string} name - Variable name
+ * @param {string} value - Variable value
+ * @returns {string}
+ */
+export function maskEnvValue(name, value) {
+  if (!value) return value;
+  if (SECRET_NAME_PATTERN.test(name)) return '••••••••';
+  return value.replace(/(\w+:\/\/[^:/@\s]+:)[^@\s]+@/g, '$1••••••••@');
+}
+
+/**
+ * Format a duration given in nanoseconds (Docker healthcheck and timeout settings)
+ * @param {number} nanoseconds - Duration in ns
+ * @returns {string}
+ */
+export function formatNanoDuration(nanoseconds) {
+  if (!nanoseconds) return '-';
+  const ms = nanoseconds / 1e6;
+  if (ms < 1000) return `${Math.round(ms)}ms`;
+  const seconds = ms / 1000;
+  if (seconds < 60) return `${parseFloat(seconds.toFixed(1))}s`;
+  return `${Math.floor(seconds / 60)}m${Math.round(seconds % 60) ? ` ${Math.round(seconds % 60)}s` : ''}`;
+}
@@ -0,0 +1,91 @@
+/**
+ * Read cumulative network and block I/O counters from a Docker stats object
+ * @param {Object} stats - Raw Docker stats
+ * @returns {{networks: Object, devices: Object}} - { networks: { eth0: { rx, tx } }, devices: { '8:0': { read, write } } }
+ */
+export function readIoCounters(stats) {
+  const networks = {};
+  for (const [name, iface] of Object.entries(stats.networks || {})) {
+    networks[name] = { rx: iface.rx_bytes || 0, tx: iface.tx_bytes || 0 };
+  }
+
+  // cgroup v1 reports Read/Write, cgroup v2 read/write; devices are identified by major:minor
+  const devices = {};
+  for (const entry of stats.blkio_stats?.io_service_bytes_recursive || []) {
+    const op = entry.op?.toLowerCase();
+    if (op !== 'read' && op !== 'write') continue;
+
+    const key = `${entry.major}:${entry.minor}`;
+    devices[key] = devices[key] || { read: 0, write: 0 };
+    devices[key][op] += entry.value || 0;
+  }
+
+  return { networks, devices };
+}
+
+/**
+ * Sum counters (or rates) across interfaces and devices
+ * @param {{networks: Object, devices: Object}} io - Result of readIoCounters() or calculateIoRates()
+ * @returns {{rx: number, tx: number, read: number, write: number}}
+ */
+export function sumIo(io) {
+  const total = { rx: 0, tx: 0, read: 0, write: 0 };
+
+  for (const iface of Object.values(io.networks)) {
+    total.rx += iface.rx;
+    total.tx += iface.tx;
+  }
+  for (const device of Object.values(io.devices)) {
+    total.read += device.read;
+    total.write += device.write;
+  }
+
+  return total;
+}
+
+/**
+ * Calculate per-second rates from two counter snapshots
+ * Interfaces or devices missing from the previous snapshot get no rate; counter resets count as zero
+ * @param {{networks: Object, devices: Object}} current - Current counters
+ * @param {{networks: Object, devices: Object}} previous - Previous counters
+ * @param {number} elapsed - Seconds between the snapshots
+ * @returns {{networks: Object, devices: Object}} - Same shape as the counters, in bytes per second
+ */
+export function calculateIoRates(current, previous, elapsed) {
+  const rates = { networks: {}, devices: {} };
+  if (!previous || !(elapsed > 0)) return rates;
+
+  const rate = (now, before) => Math.max(0, now - before) / elapsed;
+
+  for (const [name, iface] of Object.entries(current.networks)) {
+    const before = previous.networks[name];
+    if (before) {
+      rates.networks[name] = { rx: rate(iface.rx, before.rx), tx: rate(iface.tx, before.tx) };
+    }
+  }
+  for (const [key, device] of Object.entries(current.devices)) {
+    const before = previous.devices[key];
+    if (before) {
+      rates.devices[key] = { read: rate(device.read, before.read), write: rate(device.write, before.write) };
+    }
+  }
+
+  return rates;
+}
+
+/**
+ * Get the time a stats sample was taken
+ * @param {Object} stats - Raw Docker stats
+ * @returns {number} - ms since epoch
+ */
+export function getSampleTime(stats) {
+  const time = stats.read ? new Date(stats.read).getTime() : NaN;
+  return isNaN(time) || time <= 0 ? Date.now() : time;
+}
+
+export default {
+  readIoCounters,
+  sumIo,
+  calculateIoRates,
+  getSampleTime,
+};